@@ -0,0 +1,93 @@
+/**
+ * Automatic mechanic assignment.
+ *
+ * Each job gets a service category, either picked by the customer or
+ * guessed from keywords in the issue description. Mechanics carry skill
+ * tags using the same category names. When auto-assignment is on, a new
+ * job goes to the active mechanic with a matching skill who has the
+ * fewest open jobs; if nobody has the skill, every active mechanic is
+ * considered.
+ */
+
+// Category -> words in an issue description that suggest it. Words are
+// matched from their start, so "brake" also matches "brakes".
+// Categories are tried in this order.
+const SKILLS = {
+  brakes: /\b(brake|break|pad|disc|rotor|abs\b)/,
+  electrical:
+    /\b(battery|electric|wiring|light|headlight|starter|alternator|fuse|horn)/,
+  ac: /\b(ac\b|a\/c|air ?con|cooling|compressor|heater)/,
+  suspension: /\b(suspension|shock|steering|alignment|rattl|noise)/,
+  tyres: /\b(tyre|tire|puncture|wheel)/,
+  engine: /\b(engine|oil|overheat|smoke|spark|clutch|gear|mileage|start)/,
+};
+
+const CATEGORIES = Object.keys(SKILLS);
+
+// Statuses in which a job still occupies its mechanic
+const OPEN_STATUSES = ["Assigned", "In Progress", "Ready for Dispatch"];
+
+// Recorded as the actor of automatic status changes
+const SYSTEM_ACTOR = {
+  userId: null,
+  username: "system",
+  role: "system",
+  fullName: "Auto-assign",
+};
+
+/**
+ * Guesses a job's category from its issue description.
+ * @param {string} text - The issue description.
+ * @returns {string|null} A key of SKILLS, or null if nothing matched.
+ */
+function detectCategory(text) {
+  const description = String(text || "").toLowerCase();
+  return (
+    CATEGORIES.find((category) => SKILLS[category].test(description)) || null
+  );
+}
+
+/**
+ * Checks a list of skill tags.
+ * @param {*} skills - Raw input.
+ * @returns {string|null} An error message, or null if valid.
+ */
+function skillsError(skills) {
+  if (!Array.isArray(skills) || !skills.every((s) => CATEGORIES.includes(s))) {
+    return `Skills must be a list drawn from: ${CATEGORIES.join(", ")}.`;
+  }
+  return null;
+}
+
+/**
+ * Picks the mechanic for a job.
+ * @param {object} job - The job card (uses its category).
+ * @param {Array<object>} mechanics - Active mechanic user records.
+ * @param {Array<object>} jobs - All job cards, to count open work.
+ * @returns {object|null} The chosen mechanic, or null if there are none.
+ */
+function pickMechanic(job, mechanics, jobs) {
+  const skilled = mechanics.filter((m) =>
+    (m.skills || []).includes(job.category)
+  );
+  const candidates = skilled.length > 0 ? skilled : mechanics;
+
+  const openJobs = (mechanic) =>
+    jobs.filter(
+      (j) =>
+        j.assignedMechanicId === mechanic.id && OPEN_STATUSES.includes(j.status)
+    ).length;
+
+  return candidates.reduce((best, mechanic) => {
+    if (!best) return mechanic;
+    return openJobs(mechanic) < openJobs(best) ? mechanic : best;
+  }, null);
+}
+
+module.exports = {
+  CATEGORIES,
+  SYSTEM_ACTOR,
+  detectCategory,
+  skillsError,
+  pickMechanic,
+};
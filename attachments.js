@@ -0,0 +1,134 @@
+/**
+ * Photo and document attachments on job cards.
+ *
+ * Files are kept on local disk under random names; the job card only
+ * stores their metadata (see the attachments array on a job). Uploads are
+ * limited in size and to a few types, and the first bytes of each file
+ * must match the type it was sent as, so a page can't be uploaded
+ * disguised as a photo.
+ */
+const fs = require("fs").promises;
+const path = require("path");
+const { randomUUID } = require("crypto");
+
+const MAX_BYTES =
+  parseFloat(process.env.ATTACHMENT_MAX_MB || "5") * 1024 * 1024;
+const MAX_PER_JOB = 20;
+
+// Content type -> file extension and the bytes every such file starts with
+const TYPES = {
+  "image/jpeg": { extension: ".jpg", signature: [0xff, 0xd8, 0xff] },
+  "image/png": { extension: ".png", signature: [0x89, 0x50, 0x4e, 0x47] },
+  "image/webp": { extension: ".webp", signature: [0x52, 0x49, 0x46, 0x46] }, // "RIFF"
+  "application/pdf": { extension: ".pdf", signature: [0x25, 0x50, 0x44, 0x46] }, // "%PDF"
+};
+
+const CONTENT_TYPES = Object.keys(TYPES);
+
+let directory = null;
+
+/**
+ * Sets the directory files are stored in, creating it if needed.
+ * @param {string} dir - Absolute path.
+ */
+async function init(dir) {
+  directory = dir;
+  await fs.mkdir(dir, { recursive: true });
+}
+
+/**
+ * Checks an upload before it is stored.
+ * @param {Buffer} data - The file contents.
+ * @param {string} contentType - The type the client sent it as.
+ * @returns {string|null} An error message, or null if acceptable.
+ */
+function uploadError(data, contentType) {
+  const type = TYPES[contentType];
+  if (!type) {
+    return "Only JPEG, PNG and WebP photos and PDF documents can be attached.";
+  }
+  if (data.length === 0) {
+    return "The file is empty.";
+  }
+  if (data.length > MAX_BYTES) {
+    return `Files can be at most ${MAX_BYTES / (1024 * 1024)} MB.`;
+  }
+  const matches = type.signature.every((byte, i) => data[i] === byte);
+  if (
+    !matches ||
+    (contentType === "image/webp" && data.toString("ascii", 8, 12) !== "WEBP")
+  ) {
+    return "The file's contents don't match its type.";
+  }
+  return null;
+}
+
+/**
+ * Writes an upload to disk.
+ * @param {Buffer} data - The file contents (checked with uploadError).
+ * @param {string} contentType - Its content type.
+ * @returns {Promise<string>} The stored file name.
+ */
+async function save(data, contentType) {
+  const storedName = `${randomUUID()}${TYPES[contentType].extension}`;
+  await fs.writeFile(filePath(storedName), data);
+  return storedName;
+}
+
+/**
+ * The absolute path of a stored file.
+ * @param {string} storedName - From save().
+ * @returns {string}
+ */
+function filePath(storedName) {
+  return path.join(directory, path.basename(storedName));
+}
+
+/**
+ * Deletes a stored file. Files already gone are ignored.
+ * @param {string} storedName - From save().
+ */
+async function remove(storedName) {
+  try {
+    await fs.unlink(filePath(storedName));
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+}
+
+/**
+ * Cleans the file name an uploader gave: drops any directory part, HTML
+ * metacharacters and control characters, and caps the length.
+ * @param {string} name - As sent with the upload.
+ * @returns {string} The name to show, "attachment" if nothing is left.
+ */
+function cleanFileName(name) {
+  const cleaned = path
+    .basename(String(name || ""))
+    .replace(/[<>"'`&\u0000-\u001f\u007f]/g, "")
+    .trim()
+    .slice(0, 200);
+  return cleaned || "attachment";
+}
+
+/**
+ * Attachment metadata as sent to clients, without the stored file name.
+ * @param {object} attachment - An entry of a job's attachments.
+ * @returns {object}
+ */
+function presentAttachment({ storedName, ...attachment }) {
+  return attachment;
+}
+
+module.exports = {
+  MAX_BYTES,
+  MAX_PER_JOB,
+  CONTENT_TYPES,
+  init,
+  uploadError,
+  save,
+  filePath,
+  remove,
+  cleanFileName,
+  presentAttachment,
+};
@@ -0,0 +1,266 @@
+/**
+ * Append-only audit log of data changes.
+ *
+ * Before each transaction commits, the records it touched are compared
+ * with the state before it, and each record it created, changed or
+ * deleted in an audited collection gets an entry: who did it, through
+ * which route, and the old and new values of the fields that changed.
+ * Nothing ever updates or removes entries.
+ *
+ * The log lives outside db.json, in a JSON Lines file next to it, so it
+ * doesn't grow the file rewritten on every commit. Entries are appended
+ * once their transaction has been saved. When the file passes
+ * MAX_FILE_BYTES it is rotated to audit.log.1, audit.log.2 and so on,
+ * and the oldest beyond KEPT_FILES is dropped.
+ *
+ * Routes don't pass the actor around: middleware() remembers the request
+ * each transaction runs for, so every mutating route is covered without
+ * having to opt in. Changes made outside a request (background workers)
+ * are recorded with no actor.
+ */
+const { AsyncLocalStorage } = require("async_hooks");
+const { randomUUID } = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+
+// Collections whose changes are logged. The notification outbox, pending
+// signups, sessions and the auth event log are bookkeeping of their own.
+const ENTITIES = [
+  "users",
+  "parts",
+  "jobCards",
+  "restocks",
+  "vehicles",
+  "settings",
+  "suppliers",
+  "purchaseOrders",
+];
+
+// Fields whose values are never copied into the log
+const REDACTED_FIELDS = { users: ["password"] };
+
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const KEPT_FILES = 5; // The live file and four rotated ones
+
+const requests = new AsyncLocalStorage();
+let logPath = null;
+let staged = []; // Entries of the transaction being committed
+
+/**
+ * Where the audit log of a database lives: audit.log in the same folder.
+ * @param {string} dbPath - Path to db.json.
+ * @returns {string}
+ */
+function logPathFor(dbPath) {
+  return path.join(path.dirname(dbPath), "audit.log");
+}
+
+/**
+ * Sets the file entries are appended to. Call before the first commit.
+ * @param {string} filePath - From logPathFor().
+ */
+function init(filePath) {
+  logPath = filePath;
+}
+
+/**
+ * Express middleware remembering the current request for recordChanges().
+ * Mount it before any route.
+ */
+function middleware(req, res, next) {
+  requests.run(req, next);
+}
+
+function redact(entity, record) {
+  if (!record) return null;
+  const copy = structuredClone(record);
+  (REDACTED_FIELDS[entity] || []).forEach((field) => {
+    if (copy[field] !== undefined) copy[field] = "[redacted]";
+  });
+  return copy;
+}
+
+/**
+ * The fields that differ between two versions of a record.
+ * @returns {{ before: object, after: object }|null} Null if none.
+ */
+function changedFields(entity, before, after) {
+  const fields = [
+    ...new Set([...Object.keys(before), ...Object.keys(after)]),
+  ].filter((f) => JSON.stringify(before[f]) !== JSON.stringify(after[f]));
+  if (fields.length === 0) return null;
+  const pick = (record) =>
+    redact(
+      entity,
+      Object.fromEntries(fields.map((f) => [f, record[f] ?? null]))
+    );
+  return { before: pick(before), after: pick(after) };
+}
+
+/**
+ * Who is acting and how, from the current request.
+ * @returns {object} actorId, actorUsername, actorRole, action and ip.
+ */
+function currentSource() {
+  const req = requests.getStore();
+  if (!req) {
+    return {
+      actorId: null,
+      actorUsername: null,
+      actorRole: "system",
+      action: null,
+      ip: null,
+    };
+  }
+  const user = req.user || {};
+  const route = req.route ? `${req.baseUrl}${req.route.path}` : req.path;
+  return {
+    actorId: user.userId || null,
+    actorUsername: user.username || null,
+    actorRole: user.role || null,
+    action: `${req.method} ${route}`,
+    ip: req.ip || null,
+  };
+}
+
+/**
+ * Stages an entry for every audited record the transaction touched that
+ * differs between two versions of the database; writeStaged() saves them
+ * once the commit succeeds. Registered with the storage layer, which
+ * calls it before each commit.
+ * @param {object} before - The last committed database.
+ * @param {object} after - The transaction's draft.
+ * @param {object} touched - Collection name -> Set of IDs of the records
+ *   the transaction read, inserted or removed.
+ */
+function recordChanges(before, after, touched) {
+  const source = currentSource();
+  const date = new Date().toISOString();
+  staged = [];
+  const log = (entity, entityId, change, values) =>
+    staged.push({
+      id: randomUUID(),
+      date,
+      ...source,
+      entity,
+      entityId,
+      change,
+      ...values,
+    });
+
+  ENTITIES.forEach((entity) => {
+    const ids = touched[entity];
+    if (!ids || ids.size === 0) return;
+    const find = (records) =>
+      new Map(records.filter((r) => ids.has(r.id)).map((r) => [r.id, r]));
+    const previous = find(before[entity]);
+    const current = find(after[entity]);
+
+    ids.forEach((id) => {
+      const old = previous.get(id);
+      const record = current.get(id);
+      if (!old && record) {
+        log(entity, id, "create", {
+          before: null,
+          after: redact(entity, record),
+        });
+      } else if (old && !record) {
+        log(entity, id, "delete", {
+          before: redact(entity, old),
+          after: null,
+        });
+      } else if (old) {
+        const diff = changedFields(entity, old, record);
+        if (diff) log(entity, id, "update", diff);
+      }
+    });
+  });
+}
+
+/**
+ * The log file and its rotated copies, newest first.
+ * @returns {Array<string>}
+ */
+function logFiles() {
+  return Array.from({ length: KEPT_FILES }, (_, i) =>
+    i === 0 ? logPath : `${logPath}.${i}`
+  );
+}
+
+/**
+ * Moves audit.log to audit.log.1 (and so on) once it is too big.
+ */
+async function rotateIfFull() {
+  const stat = await fs.stat(logPath).catch(() => null);
+  if (!stat || stat.size < MAX_FILE_BYTES) return;
+  const files = logFiles();
+  await fs.rm(files[files.length - 1], { force: true });
+  for (let i = files.length - 2; i >= 0; i--) {
+    await fs.rename(files[i], files[i + 1]).catch(() => {});
+  }
+}
+
+/**
+ * Appends entries to the log file.
+ * @param {Array<object>} entries - Audit entries, oldest first.
+ * @returns {Promise<void>}
+ */
+async function append(entries) {
+  if (entries.length === 0) return;
+  await rotateIfFull();
+  await fs.appendFile(
+    logPath,
+    entries.map((e) => `${JSON.stringify(e)}\n`).join(""),
+    "utf-8"
+  );
+}
+
+/**
+ * Saves the entries staged by recordChanges(). Registered with the
+ * storage layer, which calls it after each successful commit. The data
+ * is already saved by then, so a failure is logged rather than thrown.
+ * @returns {Promise<void>}
+ */
+async function writeStaged() {
+  const entries = staged;
+  staged = [];
+  try {
+    await append(entries);
+  } catch (error) {
+    console.error("Error writing to audit log:", error);
+  }
+}
+
+/**
+ * Entries matching a filter, newest first.
+ * @param {function(object): boolean} matches - Called with each entry.
+ * @param {number} limit - The most entries to return.
+ * @returns {Promise<Array<object>>}
+ */
+async function query(matches, limit) {
+  const found = [];
+  for (const file of logFiles()) {
+    const text = await fs.readFile(file, "utf-8").catch(() => "");
+    const entries = text
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => JSON.parse(line))
+      .reverse();
+    for (const entry of entries) {
+      if (matches(entry)) found.push(entry);
+      if (found.length === limit) return found;
+    }
+  }
+  return found;
+}
+
+module.exports = {
+  ENTITIES,
+  logPathFor,
+  init,
+  middleware,
+  recordChanges,
+  writeStaged,
+  append,
+  query,
+};
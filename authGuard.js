@@ -0,0 +1,134 @@
+/**
+ * Brute-force protection for logins and the auth event log.
+ *
+ * Two limits apply to failed logins:
+ *   - per account: after MAX_FAILURES wrong passwords in a row the account
+ *     is locked for LOCKOUT_MS (or until an admin unlocks it). The count
+ *     and lock live on the user record, so they survive restarts.
+ *   - per IP address: more than MAX_IP_FAILURES failures within
+ *     IP_WINDOW_MS blocks further attempts from that address until the
+ *     oldest failure leaves the window. Kept in memory only.
+ *
+ * Every login attempt is recorded in the `authEvents` collection, which
+ * keeps the newest MAX_EVENTS entries.
+ */
+const { randomUUID } = require("crypto");
+
+const MAX_FAILURES = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+const MAX_IP_FAILURES = 20;
+const IP_WINDOW_MS = 15 * 60 * 1000;
+const MAX_EVENTS = 5000;
+
+const EVENT_TYPES = [
+  "login.success",
+  "login.failure",
+  "login.locked", // Refused because the account is locked
+  "login.throttled", // Refused because of the IP limit
+  "account.locked",
+  "account.unlocked",
+];
+
+const ipFailures = new Map(); // IP -> timestamps of recent failures
+
+function recentFailures(ip, now = Date.now()) {
+  const recent = (ipFailures.get(ip) || []).filter(
+    (time) => time > now - IP_WINDOW_MS
+  );
+  if (recent.length > 0) {
+    ipFailures.set(ip, recent);
+  } else {
+    ipFailures.delete(ip);
+  }
+  return recent;
+}
+
+/**
+ * How long an IP address must wait before trying again.
+ * @param {string} ip
+ * @returns {number} Milliseconds; 0 if it may try now.
+ */
+function ipRetryAfter(ip) {
+  const now = Date.now();
+  const recent = recentFailures(ip, now);
+  if (recent.length < MAX_IP_FAILURES) return 0;
+  return recent[recent.length - MAX_IP_FAILURES] + IP_WINDOW_MS - now;
+}
+
+/**
+ * Counts a failed login against an IP address.
+ * @param {string} ip
+ */
+function recordIpFailure(ip) {
+  ipFailures.set(ip, [...recentFailures(ip), Date.now()]);
+  if (ipFailures.size > 10000) {
+    [...ipFailures.keys()].forEach((key) => recentFailures(key)); // Sweep
+  }
+}
+
+/**
+ * How long a user's account stays locked.
+ * @param {object} user - The user record.
+ * @returns {number} Milliseconds; 0 if not locked.
+ */
+function lockRemaining(user) {
+  if (!user.lockedUntil) return 0;
+  return Math.max(new Date(user.lockedUntil).getTime() - Date.now(), 0);
+}
+
+/**
+ * Counts a wrong password against an account, locking it once there
+ * have been MAX_FAILURES in a row. Call inside a transaction.
+ * @param {object} user - The user record (mutated in place).
+ * @returns {boolean} Whether this failure locked the account.
+ */
+function recordFailure(user) {
+  user.failedLoginCount = (user.failedLoginCount || 0) + 1;
+  if (user.failedLoginCount < MAX_FAILURES) return false;
+  user.failedLoginCount = 0;
+  user.lockedUntil = new Date(Date.now() + LOCKOUT_MS).toISOString();
+  return true;
+}
+
+/**
+ * Clears an account's failure count and lock, after a successful login
+ * or an admin unlock. Call inside a transaction.
+ * @param {object} user - The user record (mutated in place).
+ */
+function clearFailures(user) {
+  user.failedLoginCount = 0;
+  user.lockedUntil = null;
+}
+
+/**
+ * Appends an entry to the auth event log. Call inside a transaction.
+ * @param {object} tx - The transaction's repositories.
+ * @param {string} type - One of EVENT_TYPES.
+ * @param {object} details - { username, userId, ip, reason }.
+ */
+function logEvent(tx, type, details) {
+  tx.authEvents.insert({
+    id: randomUUID(),
+    type,
+    username: details.username || null,
+    userId: details.userId || null,
+    ip: details.ip || null,
+    reason: details.reason || null,
+    date: new Date().toISOString(),
+  });
+  const events = tx.authEvents.all();
+  if (events.length > MAX_EVENTS) {
+    events.splice(0, events.length - MAX_EVENTS);
+  }
+}
+
+module.exports = {
+  MAX_FAILURES,
+  EVENT_TYPES,
+  ipRetryAfter,
+  recordIpFailure,
+  lockRemaining,
+  recordFailure,
+  clearFailures,
+  logEvent,
+};
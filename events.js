@@ -0,0 +1,110 @@
+/**
+ * Server-Sent Events hub for live dashboard updates.
+ *
+ * Each connected dashboard is a subscriber tied to the user in its JWT.
+ * Events carry an audience, and a subscriber only receives the events
+ * meant for them: admins receive everything, other users receive events
+ * addressed to their role or to their user ID.
+ */
+const HEARTBEAT_MS = 25000;
+
+const subscribers = new Set(); // { res, user }
+
+/**
+ * Whether a user is part of an event's audience.
+ * @param {object} user - The subscriber's token payload.
+ * @param {object} audience - { roles?: string[], userIds?: string[] }
+ * @returns {boolean}
+ */
+function canReceive(user, audience) {
+  if (user.role === "admin") return true;
+  return (
+    (audience.roles || []).includes(user.role) ||
+    (audience.userIds || []).includes(user.userId)
+  );
+}
+
+/**
+ * Writes one SSE frame.
+ * @param {object} res - Express response held open for the stream.
+ * @param {string} type - Event name.
+ * @param {object} data - JSON-serializable payload.
+ */
+function send(res, type, data) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Turns a request into an open event stream for `req.user`.
+ * The stream stays open until the client disconnects.
+ * @param {object} req - Express request (after authMiddleware).
+ * @param {object} res - Express response.
+ */
+function subscribe(req, res) {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+
+  const subscriber = { res, user: req.user };
+  subscribers.add(subscriber);
+  send(res, "connected", { role: req.user.role });
+
+  req.on("close", () => {
+    subscribers.delete(subscriber);
+  });
+}
+
+/**
+ * Sends an event to every subscriber in its audience.
+ * @param {string} type - Event name, e.g. "job.status-changed".
+ * @param {object} data - JSON-serializable payload.
+ * @param {object} audience - { roles?: string[], userIds?: string[] }
+ */
+function publish(type, data, audience = {}) {
+  subscribers.forEach(({ res, user }) => {
+    if (canReceive(user, audience)) {
+      send(res, type, data);
+    }
+  });
+}
+
+/**
+ * Closes every open stream whose subscriber matches.
+ * @param {Function} matches - Called with each subscriber's token payload.
+ */
+function disconnectWhere(matches) {
+  subscribers.forEach((subscriber) => {
+    if (matches(subscriber.user)) {
+      subscribers.delete(subscriber);
+      subscriber.res.end();
+    }
+  });
+}
+
+/**
+ * Closes every open stream belonging to a user (e.g. once deactivated).
+ * @param {string} userId - The user whose streams to close.
+ */
+function disconnectUser(userId) {
+  disconnectWhere((user) => user.userId === userId);
+}
+
+/**
+ * Closes the streams opened under the given sessions (e.g. on logout),
+ * leaving the user's other sessions connected.
+ * @param {Array<string>} sessionIds - The ended sessions' IDs.
+ */
+function disconnectSessions(sessionIds) {
+  disconnectWhere((user) => sessionIds.includes(user.sessionId));
+}
+
+// Keeps idle connections from being closed by proxies
+setInterval(() => {
+  subscribers.forEach(({ res }) => res.write(": heartbeat\n\n"));
+}, HEARTBEAT_MS).unref();
+
+module.exports = { subscribe, publish, disconnectUser, disconnectSessions };
@@ -0,0 +1,182 @@
+/**
+ * Invoice calculation and printable HTML rendering for job cards.
+ * Amounts are in rupees and rounded to the paisa.
+ */
+
+/**
+ * Rounds a rupee amount to two decimal places.
+ * @param {number} amount
+ * @returns {number}
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Escapes text for safe inclusion in HTML.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Prices a set of part and labour lines and adds GST.
+ * Shared by invoices (what was used) and estimates (what will be used).
+ * @param {Array<object>} parts - { partName, quantity, unitPrice } lines.
+ * @param {Array<object>} labour - { description, amount } lines.
+ * @param {number} gstRate - GST percentage applied to the subtotal.
+ * @returns {object} { partLines, labourLines, subtotal, gstRate, gst, total }
+ */
+function calculateTotals(parts, labour, gstRate) {
+  const partLines = parts.map((p) => ({
+    description: p.partName,
+    quantity: p.quantity,
+    unitPrice: p.unitPrice || 0,
+    amount: roundMoney(p.quantity * (p.unitPrice || 0)),
+  }));
+  const labourLines = labour.map((l) => ({
+    description: l.description,
+    amount: roundMoney(l.amount),
+  }));
+
+  const subtotal = roundMoney(
+    [...partLines, ...labourLines].reduce((sum, line) => sum + line.amount, 0)
+  );
+  const gst = roundMoney((subtotal * gstRate) / 100);
+
+  return {
+    partLines,
+    labourLines,
+    subtotal,
+    gstRate,
+    gst,
+    total: roundMoney(subtotal + gst),
+  };
+}
+
+/**
+ * Builds the line items and totals for a job card.
+ * Part prices come from the unitPrice snapshotted into partsUsed when the
+ * part was logged, so later price changes don't alter old invoices.
+ * @param {object} job - The job card.
+ * @param {number} gstRate - GST percentage applied to the subtotal.
+ * @returns {object} Invoice number, part and labour lines, and totals.
+ */
+function calculateInvoice(job, gstRate) {
+  return {
+    invoiceNumber: `INV-${job.id.slice(0, 8).toUpperCase()}`,
+    ...calculateTotals(job.partsUsed, job.labourItems, gstRate),
+  };
+}
+
+/**
+ * Renders a printable, self-contained HTML invoice.
+ * @param {object} invoice - Result of calculateInvoice.
+ * @param {object} job - The job card.
+ * @param {object} customer - The customer user record (may be null).
+ * @param {object} mechanic - The assigned mechanic's user record (may be null).
+ * @returns {string} A complete HTML document.
+ */
+function renderInvoiceHtml(invoice, job, customer, mechanic) {
+  const money = (amount) => `&#8377;${amount.toFixed(2)}`;
+  const partRows = invoice.partLines
+    .map(
+      (line) => `
+        <tr>
+          <td>${escapeHtml(line.description)}</td>
+          <td class="num">${line.quantity}</td>
+          <td class="num">${money(line.unitPrice)}</td>
+          <td class="num">${money(line.amount)}</td>
+        </tr>`
+    )
+    .join("");
+  const labourRows = invoice.labourLines
+    .map(
+      (line) => `
+        <tr>
+          <td>Labour: ${escapeHtml(line.description)}</td>
+          <td class="num"></td>
+          <td class="num"></td>
+          <td class="num">${money(line.amount)}</td>
+        </tr>`
+    )
+    .join("");
+  const issuedDate = new Date(
+    job.dispatchedDate || Date.now()
+  ).toLocaleDateString("en-IN");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Invoice ${invoice.invoiceNumber}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #222; margin: 2rem; }
+    h1 { margin: 0 0 0.25rem 0; }
+    table { width: 100%; border-collapse: collapse; margin-top: 1.5rem; }
+    th, td { padding: 0.5rem; border-bottom: 1px solid #ccc; text-align: left; }
+    .num { text-align: right; }
+    .totals td { border: none; }
+    .grand td { font-weight: bold; border-top: 2px solid #222; }
+    @media print { button { display: none; } }
+  </style>
+</head>
+<body>
+  <button onclick="window.print()">Print</button>
+  <h1>Vehicle Service Center</h1>
+  <p>
+    <strong>Invoice:</strong> ${invoice.invoiceNumber}<br>
+    <strong>Date:</strong> ${issuedDate}<br>
+    <strong>Job ID:</strong> ${escapeHtml(job.id)}
+  </p>
+  <p>
+    <strong>Billed To:</strong> ${escapeHtml(customer?.fullName || "N/A")}
+    (${escapeHtml(customer?.mobile || "N/A")})<br>
+    <strong>Vehicle:</strong> ${escapeHtml(job.vehicleNumberPlate)}<br>
+    <strong>Mechanic:</strong> ${escapeHtml(mechanic?.fullName || "N/A")}
+  </p>
+  <table>
+    <thead>
+      <tr>
+        <th>Description</th>
+        <th class="num">Qty</th>
+        <th class="num">Unit Price</th>
+        <th class="num">Amount</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${partRows}${labourRows}
+    </tbody>
+    <tfoot>
+      <tr class="totals">
+        <td colspan="3" class="num">Subtotal</td>
+        <td class="num">${money(invoice.subtotal)}</td>
+      </tr>
+      <tr class="totals">
+        <td colspan="3" class="num">GST (${invoice.gstRate}%)</td>
+        <td class="num">${money(invoice.gst)}</td>
+      </tr>
+      <tr class="grand">
+        <td colspan="3" class="num">Total</td>
+        <td class="num">${money(invoice.total)}</td>
+      </tr>
+    </tfoot>
+  </table>
+</body>
+</html>`;
+}
+
+module.exports = {
+  roundMoney,
+  escapeHtml,
+  calculateTotals,
+  calculateInvoice,
+  renderInvoiceHtml,
+};
@@ -0,0 +1,146 @@
+/**
+ * Filtering, search, sorting and offset pagination for job card lists.
+ *
+ * parseJobQuery() turns request query parameters into options and
+ * queryJobs() applies them, so every listing endpoint accepts the same
+ * parameters:
+ *   status      One status, or several separated by commas.
+ *   mechanicId  Assigned mechanic; "none" for unassigned jobs.
+ *   customerId  Owning customer.
+ *   from, to    Creation date range (see reports.parseDateRange).
+ *   search      Matches the plate (ignoring spaces and dashes) or issue.
+ *   sort        createdDate, appointmentSlot, status or
+ *               vehicleNumberPlate; prefix with "-" for descending.
+ *               Defaults to newest first.
+ *   offset, limit  Page window. limit defaults to 20, at most 100.
+ */
+const { parseDateRange } = require("./reports");
+const { normalizePlate } = require("./vehicles");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const SORT_FIELDS = [
+  "createdDate",
+  "appointmentSlot",
+  "status",
+  "vehicleNumberPlate",
+];
+
+/**
+ * Validates and parses job list query parameters.
+ * @param {object} query - The request query.
+ * @param {Array<string>} statuses - Every job status, in workflow order.
+ * @returns {{ options: object, error: string|null }}
+ */
+function parseJobQuery(query, statuses) {
+  const { range, error } = parseDateRange(query);
+  const options = {
+    statuses: query.status ? String(query.status).split(",") : [],
+    mechanicId: query.mechanicId || null,
+    customerId: query.customerId || null,
+    range,
+    search: String(query.search || "")
+      .trim()
+      .toLowerCase(),
+    sortField: "createdDate",
+    descending: true,
+    offset: parseInt(query.offset || "0", 10),
+    limit: parseInt(query.limit || String(DEFAULT_LIMIT), 10),
+  };
+  if (error) {
+    return { options, error };
+  }
+
+  const unknown = options.statuses.find((s) => !statuses.includes(s));
+  if (unknown) {
+    return { options, error: `Unknown status: ${unknown}.` };
+  }
+  if (query.sort) {
+    options.descending = query.sort.startsWith("-");
+    options.sortField = query.sort.replace(/^-/, "");
+    if (!SORT_FIELDS.includes(options.sortField)) {
+      return {
+        options,
+        error: `Sort must be one of: ${SORT_FIELDS.join(", ")}.`,
+      };
+    }
+  }
+  if (isNaN(options.offset) || options.offset < 0) {
+    return { options, error: "Offset must be zero or more." };
+  }
+  if (isNaN(options.limit) || options.limit < 1 || options.limit > MAX_LIMIT) {
+    return {
+      options,
+      error: `Limit must be between 1 and ${MAX_LIMIT}.`,
+    };
+  }
+  return { options, error: null };
+}
+
+function matchesSearch(job, search) {
+  if (!search) return true;
+  const plateSearch = normalizePlate(search);
+  return (
+    (plateSearch &&
+      normalizePlate(job.vehicleNumberPlate).includes(plateSearch)) ||
+    job.issueDescription.toLowerCase().includes(search)
+  );
+}
+
+function matchesDate(job, range) {
+  const created = new Date(job.createdDate);
+  return (
+    (!range.from || created >= range.from) && (!range.to || created <= range.to)
+  );
+}
+
+/**
+ * Filters, sorts and pages a list of job cards.
+ * @param {Array<object>} jobs - The jobs the caller may see.
+ * @param {object} options - From parseJobQuery.
+ * @param {Array<string>} statuses - Every job status, in workflow order.
+ * @returns {{ jobs: Array<object>, total: number, offset: number,
+ *   limit: number, hasMore: boolean }}
+ */
+function queryJobs(jobs, options, statuses) {
+  const matching = jobs.filter(
+    (job) =>
+      (options.statuses.length === 0 ||
+        options.statuses.includes(job.status)) &&
+      (!options.mechanicId ||
+        (options.mechanicId === "none"
+          ? !job.assignedMechanicId
+          : job.assignedMechanicId === options.mechanicId)) &&
+      (!options.customerId || job.customerId === options.customerId) &&
+      matchesDate(job, options.range) &&
+      matchesSearch(job, options.search)
+  );
+
+  const sortKey = {
+    createdDate: (job) => new Date(job.createdDate).getTime(),
+    appointmentSlot: (job) => job.appointmentSlot || "",
+    status: (job) => statuses.indexOf(job.status),
+    vehicleNumberPlate: (job) => normalizePlate(job.vehicleNumberPlate),
+  }[options.sortField];
+  const direction = options.descending ? -1 : 1;
+  matching.sort((a, b) => {
+    const keyA = sortKey(a);
+    const keyB = sortKey(b);
+    if (keyA === keyB) {
+      // Ties fall back to newest first so pages stay stable
+      return new Date(b.createdDate) - new Date(a.createdDate);
+    }
+    return (keyA < keyB ? -1 : 1) * direction;
+  });
+
+  const page = matching.slice(options.offset, options.offset + options.limit);
+  return {
+    jobs: page,
+    total: matching.length,
+    offset: options.offset,
+    limit: options.limit,
+    hasMore: options.offset + page.length < matching.length,
+  };
+}
+
+module.exports = { parseJobQuery, queryJobs };
@@ -0,0 +1,112 @@
+/**
+ * The job card status state machine.
+ *
+ * TRANSITIONS lists, for each status, the statuses a job may move to next
+ * and which roles may make that move. Every route that changes a job's
+ * status goes through this module, so this table is the single source of
+ * truth for the job workflow.
+ */
+// "desk" = anyone holding the jobs:assign permission, "system" = auto-assign
+const TRANSITIONS = {
+  Pending: { Assigned: ["desk", "system"], Cancelled: ["desk"] },
+  Assigned: {
+    "In Progress": ["mechanic"],
+    Pending: ["desk"], // Unassigned before work started
+    Cancelled: ["desk"],
+  },
+  "In Progress": { "Ready for Dispatch": ["mechanic"] },
+  "Ready for Dispatch": {
+    "In Progress": ["mechanic"], // Sent back for rework
+    Dispatched: ["mechanic"],
+  },
+  Dispatched: {},
+  Cancelled: {},
+};
+
+const JOB_STATUSES = Object.keys(TRANSITIONS);
+// Statuses a job never leaves
+const CLOSED_STATUSES = ["Dispatched", "Cancelled"];
+
+/**
+ * Whether `role` may move a job from one status to another.
+ * @param {string} fromStatus - The job's current status.
+ * @param {string} toStatus - The requested status.
+ * @param {string} role - The acting user's role.
+ * @returns {boolean}
+ */
+function canTransition(fromStatus, toStatus, role) {
+  const allowedRoles = (TRANSITIONS[fromStatus] || {})[toStatus];
+  return Boolean(allowedRoles && allowedRoles.includes(role));
+}
+
+/**
+ * Lists the statuses `role` may move a job to from its current status.
+ * @param {string} fromStatus - The job's current status.
+ * @param {string} role - The acting user's role.
+ * @returns {Array<string>}
+ */
+function nextStatuses(fromStatus, role) {
+  return Object.keys(TRANSITIONS[fromStatus] || {}).filter((status) =>
+    canTransition(fromStatus, status, role)
+  );
+}
+
+/**
+ * Checks job-specific preconditions for a move that the role table allows.
+ * Work may not start until the customer has approved the latest estimate.
+ * @param {object} job - The job card.
+ * @param {string} toStatus - The requested status.
+ * @returns {string|null} Why the move is blocked, or null if it may proceed.
+ */
+function transitionBlocker(job, toStatus) {
+  if (job.status === "Assigned" && toStatus === "In Progress") {
+    const latest = job.estimates[job.estimates.length - 1];
+    if (!latest || latest.status !== "Approved") {
+      return "The customer must approve an estimate before work can begin.";
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds one statusHistory entry.
+ * @param {string|null} fromStatus - Previous status (null on creation).
+ * @param {string} toStatus - New status.
+ * @param {object} actor - The token payload of the acting user.
+ */
+function historyEntry(fromStatus, toStatus, actor) {
+  return {
+    fromStatus,
+    toStatus,
+    actorId: actor.userId,
+    actorName: actor.fullName,
+    actorRole: actor.role,
+    date: new Date().toISOString(),
+  };
+}
+
+/**
+ * Moves a job to a new status and appends the change to its history.
+ * Callers must check canTransition first.
+ * @param {object} job - The job card (mutated in place).
+ * @param {string} toStatus - The new status.
+ * @param {object} actor - The token payload of the acting user.
+ */
+function applyStatusChange(job, toStatus, actor) {
+  const entry = historyEntry(job.status, toStatus, actor);
+  job.statusHistory.push(entry);
+  job.status = toStatus;
+  if (toStatus === "Dispatched") {
+    job.dispatchedDate = entry.date;
+  }
+}
+
+module.exports = {
+  JOB_STATUSES,
+  CLOSED_STATUSES,
+  canTransition,
+  nextStatuses,
+  transitionBlocker,
+  historyEntry,
+  applyStatusChange,
+};
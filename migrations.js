@@ -0,0 +1,353 @@
+/**
+ * Schema migrations for db.json.
+ *
+ * Each entry upgrades the data from the previous version to `version`.
+ * Migrations run once, in order, when the storage layer loads the file,
+ * and the resulting version is recorded in `meta.schemaVersion`.
+ * Append new entries to the end of the list; never edit a shipped one.
+ */
+const bcrypt = require("bcryptjs");
+const audit = require("./audit");
+
+const migrations = [
+  {
+    version: 1,
+    description: "Baseline db.json shape (users, parts, jobCards).",
+    up(data) {
+      data.users = data.users || [];
+      data.parts = data.parts || [];
+      data.jobCards = data.jobCards || [];
+      data.jobCards.forEach((job) => {
+        job.partsUsed = job.partsUsed || [];
+        if (job.assignedMechanicId === undefined) {
+          job.assignedMechanicId = null;
+        }
+      });
+    },
+  },
+  {
+    version: 2,
+    description: "Hash plain-text user passwords with bcrypt.",
+    async up(data) {
+      for (const user of data.users) {
+        if (!/^\$2[aby]\$/.test(user.password)) {
+          user.password = await bcrypt.hash(user.password, 10);
+        }
+      }
+    },
+  },
+  {
+    version: 3,
+    description: "Add reorder levels and retired flags to parts.",
+    up(data) {
+      data.parts.forEach((part) => {
+        if (part.reorderLevel === undefined) part.reorderLevel = 10;
+        if (part.retired === undefined) part.retired = false;
+      });
+      data.restocks = data.restocks || [];
+    },
+  },
+  {
+    version: 4,
+    description: "Add part adjustment history to job cards.",
+    up(data) {
+      data.jobCards.forEach((job) => {
+        job.partAdjustments = job.partAdjustments || [];
+      });
+    },
+  },
+  {
+    version: 5,
+    description: "Seed job card status history from existing dates.",
+    up(data) {
+      data.jobCards.forEach((job) => {
+        if (job.statusHistory) return;
+        const customer = data.users.find((u) => u.id === job.customerId);
+        job.statusHistory = [
+          {
+            fromStatus: null,
+            toStatus: "Pending",
+            actorId: job.customerId,
+            actorName: customer ? customer.fullName : "N/A",
+            actorRole: "customer",
+            date: job.createdDate,
+          },
+        ];
+        // Intermediate steps were never recorded; collapse them into one
+        // entry so the history still ends at the job's current status.
+        if (job.status !== "Pending") {
+          job.statusHistory.push({
+            fromStatus: "Pending",
+            toStatus: job.status,
+            actorId: null,
+            actorName: "System (migrated)",
+            actorRole: "system",
+            date: job.dispatchedDate || job.createdDate,
+          });
+        }
+      });
+    },
+  },
+  {
+    version: 6,
+    description: "Add part prices, price snapshots and labour items.",
+    up(data) {
+      data.parts.forEach((part) => {
+        if (part.unitPrice === undefined) part.unitPrice = 0;
+      });
+      data.jobCards.forEach((job) => {
+        job.labourItems = job.labourItems || [];
+        job.partsUsed.forEach((used) => {
+          if (used.unitPrice === undefined) {
+            const part = data.parts.find((p) => p.id === used.partId);
+            used.unitPrice = part ? part.unitPrice : 0;
+          }
+        });
+      });
+    },
+  },
+  {
+    version: 7,
+    description: "Add customer estimates to job cards.",
+    up(data) {
+      data.jobCards.forEach((job) => {
+        job.estimates = job.estimates || [];
+      });
+    },
+  },
+  {
+    version: 8,
+    description: "Build the vehicle registry from job card plates.",
+    up(data) {
+      data.vehicles = data.vehicles || [];
+      data.jobCards.forEach((job) => {
+        if (job.vehicleId) return;
+        const plate = job.vehicleNumberPlate
+          .toUpperCase()
+          .replace(/[\s.-]/g, "");
+        let vehicle = data.vehicles.find(
+          (v) => v.plate === plate && v.customerId === job.customerId
+        );
+        if (!vehicle) {
+          // Details were never captured; the owner can fill them in later.
+          vehicle = {
+            id: `v${data.vehicles.length + 1}`,
+            customerId: job.customerId,
+            plate,
+            make: null,
+            model: null,
+            year: null,
+            fuelType: null,
+            odometer: 0,
+            createdDate: job.createdDate,
+          };
+          data.vehicles.push(vehicle);
+        }
+        job.vehicleId = vehicle.id;
+      });
+    },
+  },
+  {
+    version: 9,
+    description: "Add the notification outbox and customer opt-out flags.",
+    up(data) {
+      data.notifications = data.notifications || [];
+      data.users.forEach((user) => {
+        if (
+          user.role === "customer" &&
+          user.notificationsOptOut === undefined
+        ) {
+          user.notificationsOptOut = false;
+        }
+      });
+    },
+  },
+  {
+    version: 10,
+    description: "Mark every existing user as active.",
+    up(data) {
+      data.users.forEach((user) => {
+        if (user.active === undefined) {
+          user.active = true;
+          user.deactivatedDate = null;
+        }
+      });
+    },
+  },
+  {
+    version: 11,
+    description: "Add appointment scheduling settings and mechanic shifts.",
+    up(data) {
+      data.settings = data.settings || [];
+      if (!data.settings.some((s) => s.id === "scheduling")) {
+        data.settings.push({
+          id: "scheduling",
+          openTime: "09:00",
+          closeTime: "18:00",
+          slotMinutes: 60,
+          bays: 3,
+          workingDays: [1, 2, 3, 4, 5, 6],
+        });
+      }
+      data.users.forEach((user) => {
+        if (user.role === "mechanic" && !user.shift) {
+          user.shift = {
+            days: [1, 2, 3, 4, 5, 6],
+            start: "09:00",
+            end: "18:00",
+          };
+        }
+      });
+      data.jobCards.forEach((job) => {
+        if (job.appointmentSlot === undefined) {
+          job.appointmentSlot = null; // Booked before appointments existed
+        }
+      });
+    },
+  },
+  {
+    version: 12,
+    description: "Add mechanic skills, job categories and auto-assign setting.",
+    up(data) {
+      if (!data.settings.some((s) => s.id === "autoAssign")) {
+        data.settings.push({ id: "autoAssign", enabled: false });
+      }
+      data.users.forEach((user) => {
+        if (user.role === "mechanic" && !user.skills) {
+          user.skills = [];
+        }
+      });
+      data.jobCards.forEach((job) => {
+        if (job.category === undefined) {
+          job.category = null;
+          job.autoAssigned = false;
+        }
+      });
+    },
+  },
+  {
+    version: 13,
+    description: "Add a notes thread to job cards.",
+    up(data) {
+      data.jobCards.forEach((job) => {
+        if (!job.notes) {
+          job.notes = [];
+        }
+      });
+    },
+  },
+  {
+    version: 14,
+    description: "Add file attachments to job cards.",
+    up(data) {
+      data.jobCards.forEach((job) => {
+        if (!job.attachments) {
+          job.attachments = [];
+        }
+      });
+    },
+  },
+  {
+    version: 15,
+    description: "Add pending customer signups awaiting mobile verification.",
+    up(data) {
+      data.signups = data.signups || [];
+    },
+  },
+  {
+    version: 16,
+    description: "Add the auth event log and login lockout fields.",
+    up(data) {
+      data.authEvents = data.authEvents || [];
+      data.users.forEach((user) => {
+        if (user.failedLoginCount === undefined) {
+          user.failedLoginCount = 0;
+          user.lockedUntil = null;
+        }
+      });
+    },
+  },
+  {
+    version: 17,
+    description: "Add server-side login sessions for refresh tokens.",
+    up(data) {
+      data.sessions = data.sessions || [];
+    },
+  },
+  {
+    version: 18,
+    description: "Add configurable role permissions.",
+    up(data) {
+      if (!data.settings.some((s) => s.id === "permissions")) {
+        data.settings.push({
+          id: "permissions",
+          roles: {
+            receptionist: ["jobs:view", "jobs:create", "jobs:assign"],
+            mechanic: ["inventory:view"],
+          },
+        });
+      }
+    },
+  },
+  {
+    version: 19,
+    description: "Add the audit log of data changes.",
+    up(data) {
+      data.auditLog = data.auditLog || [];
+    },
+  },
+  {
+    version: 20,
+    description: "Add suppliers and purchase orders.",
+    up(data) {
+      data.suppliers = data.suppliers || [];
+      data.purchaseOrders = data.purchaseOrders || [];
+    },
+  },
+  {
+    version: 21,
+    description: "Add stock reservations to parts and job cards.",
+    up(data) {
+      data.parts.forEach((part) => {
+        if (part.reserved === undefined) part.reserved = 0;
+      });
+      data.jobCards.forEach((job) => {
+        job.reservedParts = job.reservedParts || [];
+      });
+    },
+  },
+  {
+    version: 22,
+    description: "Move the audit log out of db.json into its own file.",
+    // Needs audit.init() to have been called
+    async up(data) {
+      await audit.append(data.auditLog || []);
+      delete data.auditLog;
+    },
+  },
+];
+
+const CURRENT_VERSION = migrations[migrations.length - 1].version;
+
+/**
+ * Brings a raw db.json object up to CURRENT_VERSION.
+ * Files without `meta` are treated as version 0 (the original shape).
+ * @param {object} data - The parsed database object. Mutated in place.
+ * @returns {Promise<boolean>} True if any migration ran.
+ */
+async function migrate(data) {
+  data.meta = data.meta || { schemaVersion: 0 };
+  const pending = migrations.filter((m) => m.version > data.meta.schemaVersion);
+
+  for (const migration of pending) {
+    console.log(
+      `Migrating database to v${migration.version}: ${migration.description}`
+    );
+    await migration.up(data);
+    data.meta.schemaVersion = migration.version;
+  }
+
+  return pending.length > 0;
+}
+
+module.exports = { migrate, CURRENT_VERSION };
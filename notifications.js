@@ -0,0 +1,263 @@
+/**
+ * Customer notifications: message templates, the persistent outbox and
+ * delivery through pluggable providers.
+ *
+ * Messages are queued into the `notifications` collection inside the same
+ * transaction as the job change that triggers them, so a message is never
+ * lost or sent for a change that didn't commit. A background worker then
+ * hands due messages to the provider for their channel and retries
+ * failures with exponential backoff.
+ *
+ * A provider is any object with a `name` and an async `send(message)`
+ * that resolves once the message was accepted and rejects otherwise.
+ * `message` is { to, subject, body }. Real SMS/email gateways can be
+ * plugged in with setProvider(); by default both channels use the log
+ * provider, which prints to the console and optionally appends to a file.
+ */
+const fs = require("fs").promises;
+const { randomUUID } = require("crypto");
+const db = require("./storage");
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 30 * 1000; // Doubles after every failed attempt
+const POLL_MS = 15 * 1000;
+
+/**
+ * Message text per event. Placeholders in {braces} are filled from the job
+ * and its customer and mechanic; see messageVariables().
+ */
+const TEMPLATES = {
+  "request-received": {
+    subject: "Service request received",
+    body: "Hi {customerName}, we have received your service request for {plate} (ref {jobRef}). We will assign a mechanic shortly.",
+  },
+  "mechanic-assigned": {
+    subject: "Mechanic assigned",
+    body: "Hi {customerName}, {mechanicName} has been assigned to your vehicle {plate} (ref {jobRef}).",
+  },
+  "appointment-rescheduled": {
+    subject: "Appointment changed",
+    body: "Hi {customerName}, your drop-off for {plate} (ref {jobRef}) has been moved to {appointment}.",
+  },
+  "note-added": {
+    subject: "New message about your vehicle",
+    body: "Hi {customerName}, there is a new message about your vehicle {plate} (ref {jobRef}). Log in to read it.",
+  },
+  "ready-for-dispatch": {
+    subject: "Your vehicle is ready",
+    body: "Hi {customerName}, your vehicle {plate} is ready for pickup (ref {jobRef}).",
+  },
+  dispatched: {
+    subject: "Vehicle dispatched",
+    body: "Hi {customerName}, your vehicle {plate} has been handed over. Thank you for choosing us! (ref {jobRef})",
+  },
+};
+
+// Job statuses that notify the customer when a job reaches them
+const STATUS_TEMPLATES = {
+  "Ready for Dispatch": "ready-for-dispatch",
+  Dispatched: "dispatched",
+};
+
+// --- PROVIDERS ---
+
+/**
+ * The local stand-in provider. Prints each message and, if `filePath` is
+ * set, appends it to that file as one JSON line.
+ * @param {string} channel - "sms" or "email".
+ * @param {string} [filePath] - Optional file to append messages to.
+ * @returns {object} A provider.
+ */
+function createLogProvider(channel, filePath) {
+  return {
+    name: filePath ? "file" : "console",
+    async send(message) {
+      console.log(`[${channel} -> ${message.to}] ${message.body}`);
+      if (filePath) {
+        const line = { channel, ...message, date: new Date().toISOString() };
+        await fs.appendFile(filePath, `${JSON.stringify(line)}\n`, "utf-8");
+      }
+    },
+  };
+}
+
+const providers = {
+  sms: createLogProvider("sms", process.env.NOTIFICATION_LOG_FILE),
+  email: createLogProvider("email", process.env.NOTIFICATION_LOG_FILE),
+};
+
+/**
+ * Replaces the provider used for a channel.
+ * @param {string} channel - "sms" or "email".
+ * @param {object} provider - { name, send(message) }.
+ */
+function setProvider(channel, provider) {
+  providers[channel] = provider;
+}
+
+// --- QUEUEING ---
+
+/**
+ * Fills a template's {placeholders}.
+ * @param {string} text - Template text.
+ * @param {object} variables - Placeholder values.
+ * @returns {string}
+ */
+function render(text, variables) {
+  return text.replace(/\{(\w+)\}/g, (match, key) =>
+    variables[key] !== undefined ? variables[key] : match
+  );
+}
+
+function messageVariables(tx, job, customer) {
+  return {
+    customerName: customer.fullName,
+    plate: job.vehicleNumberPlate,
+    jobRef: job.id.slice(0, 8).toUpperCase(),
+    mechanicName: tx.users.findById(job.assignedMechanicId)?.fullName || "",
+    appointment: (job.appointmentSlot || "").replace("T", " at "),
+  };
+}
+
+/**
+ * Queues a templated message to a job's customer on every channel they
+ * can be reached on. Call from inside a storage transaction. Customers who
+ * opted out get nothing.
+ * @param {object} tx - The transaction's repositories.
+ * @param {string} template - A key of TEMPLATES.
+ * @param {object} job - The job card the message is about.
+ * @returns {Array<object>} The queued outbox entries.
+ */
+function queue(tx, template, job) {
+  const customer = tx.users.findById(job.customerId);
+  if (!customer || customer.notificationsOptOut) return [];
+
+  const variables = messageVariables(tx, job, customer);
+  const now = new Date().toISOString();
+  const recipients = [
+    { channel: "sms", to: customer.mobile },
+    { channel: "email", to: customer.email },
+  ].filter((r) => r.to);
+
+  return recipients.map(({ channel, to }) =>
+    tx.notifications.insert({
+      id: randomUUID(),
+      userId: customer.id,
+      jobId: job.id,
+      template,
+      channel,
+      to,
+      subject: render(TEMPLATES[template].subject, variables),
+      body: render(TEMPLATES[template].body, variables),
+      status: "Pending",
+      attempts: 0,
+      lastError: null,
+      nextAttemptDate: now,
+      createdDate: now,
+      sentDate: null,
+    })
+  );
+}
+
+/**
+ * Queues the customer message for a job that just moved to `status`,
+ * if that status has one.
+ * @param {object} tx - The transaction's repositories.
+ * @param {object} job - The job card, already moved to its new status.
+ */
+function queueForStatus(tx, job) {
+  const template = STATUS_TEMPLATES[job.status];
+  return template ? queue(tx, template, job) : [];
+}
+
+// --- DELIVERY ---
+
+let delivering = null; // The running delivery pass, if any
+
+/**
+ * Records the outcome of one delivery attempt.
+ * @param {string} id - Outbox entry ID.
+ * @param {Error|null} error - Why delivery failed, or null if it was sent.
+ */
+function recordAttempt(id, error) {
+  return db.transaction((tx) => {
+    const entry = tx.notifications.findById(id);
+    if (!entry) return;
+    entry.attempts += 1;
+    if (!error) {
+      entry.status = "Sent";
+      entry.sentDate = new Date().toISOString();
+      entry.lastError = null;
+      return;
+    }
+    entry.lastError = error.message;
+    if (entry.attempts >= MAX_ATTEMPTS) {
+      entry.status = "Failed";
+    } else {
+      const delay = RETRY_BASE_MS * 2 ** (entry.attempts - 1);
+      entry.nextAttemptDate = new Date(Date.now() + delay).toISOString();
+    }
+  });
+}
+
+async function deliverDue() {
+  const now = new Date().toISOString();
+  const due = db.read((tx) =>
+    tx.notifications.filter(
+      (n) => n.status === "Pending" && n.nextAttemptDate <= now
+    )
+  );
+
+  for (const entry of due) {
+    let error = null;
+    try {
+      const provider = providers[entry.channel];
+      if (!provider) {
+        throw new Error(`No provider for channel "${entry.channel}".`);
+      }
+      await provider.send({
+        to: entry.to,
+        subject: entry.subject,
+        body: entry.body,
+      });
+    } catch (err) {
+      error = err;
+    }
+    await recordAttempt(entry.id, error);
+  }
+}
+
+/**
+ * Sends every outbox entry that is due. Safe to call at any time (e.g.
+ * right after queueing); overlapping calls share one delivery pass.
+ * @returns {Promise<void>}
+ */
+function deliverPending() {
+  if (!delivering) {
+    delivering = deliverDue()
+      .catch((error) => console.error("Notification delivery failed:", error))
+      .finally(() => {
+        delivering = null;
+      });
+  }
+  return delivering;
+}
+
+/**
+ * Starts the background worker that retries due messages.
+ * Call once the database has been initialized.
+ */
+function startWorker() {
+  deliverPending();
+  setInterval(deliverPending, POLL_MS).unref();
+}
+
+module.exports = {
+  TEMPLATES,
+  MAX_ATTEMPTS,
+  setProvider,
+  queue,
+  queueForStatus,
+  deliverPending,
+  startWorker,
+};
@@ -0,0 +1,125 @@
+/**
+ * One-time codes for verifying a mobile number during customer signup.
+ *
+ * Codes are only ever stored hashed. Each code expires after
+ * CODE_TTL_MS and allows MAX_ATTEMPTS guesses; a new code can be sent
+ * after RESEND_COOLDOWN_MS, up to MAX_SENDS per signup.
+ *
+ * Codes are delivered by a sender: any object with a `name` and an async
+ * `send(message)` that resolves once the message was accepted, where
+ * `message` is { to, body }. A real SMS gateway can be plugged in with
+ * setSender(); by default codes are printed to the console.
+ */
+const { randomInt, createHash, timingSafeEqual } = require("crypto");
+
+const CODE_LENGTH = 6;
+const CODE_TTL_MS = 10 * 60 * 1000;
+const SIGNUP_TTL_MS = 60 * 60 * 1000; // Unverified signups are then dropped
+const MAX_ATTEMPTS = 5;
+const MAX_SENDS = 5;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+// Indian mobile numbers: 10 digits starting 6-9, optionally written +91
+const MOBILE = /^[6-9]\d{9}$/;
+
+let sender = {
+  name: "console",
+  async send(message) {
+    console.log(`[otp -> ${message.to}] ${message.body}`);
+  },
+};
+
+/**
+ * Replaces the sender used for codes.
+ * @param {object} newSender - { name, send(message) }.
+ */
+function setSender(newSender) {
+  sender = newSender;
+}
+
+/**
+ * Strips spaces, dashes and a +91 prefix from a mobile number.
+ * @param {string} mobile
+ * @returns {string}
+ */
+function normalizeMobile(mobile) {
+  return String(mobile || "")
+    .replace(/[\s-]/g, "")
+    .replace(/^(\+91|0)(?=\d{10}$)/, "");
+}
+
+/**
+ * Whether a normalized mobile number is valid.
+ * @param {string} mobile - From normalizeMobile().
+ * @returns {boolean}
+ */
+function isValidMobile(mobile) {
+  return MOBILE.test(mobile);
+}
+
+function generateCode() {
+  return String(randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, "0");
+}
+
+function hashCode(code) {
+  return createHash("sha256").update(String(code)).digest("hex");
+}
+
+/**
+ * Whether a code entered by the user matches a stored hash.
+ * @param {string} code - As entered.
+ * @param {string} codeHash - From hashCode().
+ * @returns {boolean}
+ */
+function codeMatches(code, codeHash) {
+  return timingSafeEqual(
+    Buffer.from(hashCode(String(code || "").trim()), "hex"),
+    Buffer.from(codeHash, "hex")
+  );
+}
+
+/**
+ * Gives a pending verification a fresh code. Sets its codeHash,
+ * codeExpiresDate, attempts, sends and lastSentDate.
+ * @param {object} record - The pending signup (mutated in place).
+ * @returns {string} The plain code, to pass to sendCode().
+ */
+function issueCode(record) {
+  const code = generateCode();
+  const now = Date.now();
+  record.codeHash = hashCode(code);
+  record.codeExpiresDate = new Date(now + CODE_TTL_MS).toISOString();
+  record.attempts = 0;
+  record.sends = (record.sends || 0) + 1;
+  record.lastSentDate = new Date(now).toISOString();
+  return code;
+}
+
+/**
+ * Sends a code to a mobile number.
+ * @param {string} mobile - The number to verify.
+ * @param {string} code - From issueCode().
+ * @returns {Promise<void>} Rejects if the sender failed.
+ */
+function sendCode(mobile, code) {
+  return sender.send({
+    to: mobile,
+    body: `Your verification code is ${code}. It expires in ${
+      CODE_TTL_MS / 60000
+    } minutes.`,
+  });
+}
+
+module.exports = {
+  CODE_TTL_MS,
+  SIGNUP_TTL_MS,
+  MAX_ATTEMPTS,
+  MAX_SENDS,
+  RESEND_COOLDOWN_MS,
+  setSender,
+  normalizeMobile,
+  isValidMobile,
+  issueCode,
+  codeMatches,
+  sendCode,
+};
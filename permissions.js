@@ -0,0 +1,104 @@
+/**
+ * Roles and the permissions they grant.
+ *
+ * Staff routes check a named permission rather than a role, and each role
+ * maps to a set of permissions. The mapping for the configurable roles is
+ * kept in the `permissions` settings record so admins can change it.
+ * Admins always hold every permission, so the settings can't lock
+ * everyone out, and customers hold none: their routes only ever act on
+ * their own jobs and vehicles and check the role itself, as do the
+ * mechanic routes for the jobs assigned to them.
+ */
+
+// Permission -> what it allows, as shown to admins
+const PERMISSIONS = {
+  "jobs:view": "See all job cards, vehicles and appointments",
+  "jobs:create": "Open job cards for walk-in customers",
+  "jobs:assign": "Assign, unassign and reschedule jobs",
+  "jobs:adjust-parts": "Correct the parts logged on any job",
+  "jobs:remove-attachments": "Remove any photo or document attached to a job",
+  "inventory:view": "See parts and stock levels",
+  "inventory:manage": "Add, edit and retire parts",
+  "inventory:restock": "Restock parts and see restock history",
+  "inventory:purchase":
+    "Manage suppliers, and place and receive purchase orders",
+  "users:manage": "Manage users, their shifts and skills, and sign-ins",
+  "reports:view": "See and export reports",
+  "audit:view": "See the audit log of every change",
+  "settings:manage":
+    "Change scheduling, auto-assign, notification and permission settings",
+};
+
+const PERMISSION_NAMES = Object.keys(PERMISSIONS);
+
+const ROLES = ["admin", "receptionist", "mechanic", "customer"];
+const STAFF_ROLES = ["admin", "receptionist", "mechanic"];
+const CONFIGURABLE_ROLES = ["receptionist", "mechanic"];
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  receptionist: ["jobs:view", "jobs:create", "jobs:assign"],
+  mechanic: ["inventory:view"],
+};
+
+/**
+ * The permissions a role holds.
+ * @param {object|null} settings - The `permissions` settings record, or
+ *   null to use the defaults.
+ * @param {string} role
+ * @returns {Array<string>}
+ */
+function permissionsFor(settings, role) {
+  if (role === "admin") return PERMISSION_NAMES;
+  const roles = settings ? settings.roles : DEFAULT_ROLE_PERMISSIONS;
+  return roles[role] || [];
+}
+
+/**
+ * The roles holding a permission, e.g. to address a live event.
+ * @param {object|null} settings - As for permissionsFor().
+ * @param {string} permission
+ * @returns {Array<string>}
+ */
+function rolesWith(settings, permission) {
+  return ROLES.filter((role) =>
+    permissionsFor(settings, role).includes(permission)
+  );
+}
+
+/**
+ * Checks a new role -> permissions mapping.
+ * @param {*} roles - Raw input.
+ * @returns {string|null} An error message, or null if valid.
+ */
+function rolePermissionsError(roles) {
+  if (!roles || typeof roles !== "object" || Array.isArray(roles)) {
+    return "Roles must map role names to lists of permissions.";
+  }
+  for (const [role, granted] of Object.entries(roles)) {
+    if (!CONFIGURABLE_ROLES.includes(role)) {
+      return `Only these roles can be configured: ${CONFIGURABLE_ROLES.join(
+        ", "
+      )}.`;
+    }
+    if (
+      !Array.isArray(granted) ||
+      !granted.every((p) => PERMISSION_NAMES.includes(p))
+    ) {
+      return `Permissions for ${role} must be drawn from: ${PERMISSION_NAMES.join(
+        ", "
+      )}.`;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  STAFF_ROLES,
+  CONFIGURABLE_ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  permissionsFor,
+  rolesWith,
+  rolePermissionsError,
+};
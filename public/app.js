@@ -1,16 +1,26 @@
 // --- STATE MANAGEMENT ---
 const API_BASE_URL = "http://localhost:3000/api";
 let TOKEN = null;
+let REFRESH_TOKEN = null;
 let CURRENT_USER = null;
 
 // --- DOM ELEMENTS ---
 const loginView = document.getElementById("login-view");
+const loginPanel = document.getElementById("login-panel");
+const signupPanel = document.getElementById("signup-panel");
+const signupForm = document.getElementById("signup-form");
+const signupError = document.getElementById("signup-error");
+const signupVerifyForm = document.getElementById("signup-verify-form");
+const signupVerifyMessage = document.getElementById("signup-verify-message");
+const signupVerifyError = document.getElementById("signup-verify-error");
 const loginForm = document.getElementById("login-form");
 const loginError = document.getElementById("login-error");
 
 const userInfo = document.getElementById("user-info");
 const userFullname = document.getElementById("user-fullname");
 const logoutButton = document.getElementById("logout-button");
+const changePasswordButton = document.getElementById("change-password-button");
+const liveNotice = document.getElementById("live-notice");
 
 const customerDashboard = document.getElementById("customer-dashboard");
 const mechanicDashboard = document.getElementById("mechanic-dashboard");
@@ -22,10 +32,79 @@ const customerRequestSuccess = document.getElementById(
   "customer-request-success"
 );
 
+const customerVehicleList = document.getElementById("customer-vehicle-list");
+const customerVehicleForm = document.getElementById("customer-vehicle-form");
+const customerVehicleMessage = document.getElementById(
+  "customer-vehicle-message"
+);
+const requestVehicleSelect = document.getElementById("request-vehicle-select");
+const customerNotifyToggle = document.getElementById("customer-notify-toggle");
+const requestDateInput = document.getElementById("request-date");
+const requestSlotSelect = document.getElementById("request-slot");
+const requestCategorySelect = document.getElementById("request-category");
+
 const mechanicJobList = document.getElementById("mechanic-job-list");
+const mechanicJobFilters = document.getElementById("mechanic-job-filters");
+const mechanicLoadMore = document.getElementById("mechanic-load-more");
 
 const adminJobList = document.getElementById("admin-job-list");
+const adminJobFilters = document.getElementById("admin-job-filters");
+const adminLoadMore = document.getElementById("admin-load-more");
 const adminPartsList = document.getElementById("admin-parts-list");
+const adminLowStockList = document.getElementById("admin-low-stock-list");
+const adminAddPartForm = document.getElementById("admin-add-part-form");
+const adminAddPartMessage = document.getElementById("admin-add-part-message");
+const adminRestockList = document.getElementById("admin-restock-list");
+const adminPoSuggestions = document.getElementById("admin-po-suggestions");
+const adminPoFilters = document.getElementById("admin-po-filters");
+const adminPoList = document.getElementById("admin-po-list");
+const adminPoForm = document.getElementById("admin-po-form");
+const adminPoLines = document.getElementById("admin-po-lines");
+const adminPoMessage = document.getElementById("admin-po-message");
+const poSupplierSelect = document.getElementById("po-supplier");
+const adminSupplierList = document.getElementById("admin-supplier-list");
+const adminSupplierForm = document.getElementById("admin-supplier-form");
+const adminSupplierMessage = document.getElementById("admin-supplier-message");
+const adminUserList = document.getElementById("admin-user-list");
+const adminTabButtons = document.querySelectorAll(".tab-button");
+const adminReportFilters = document.getElementById("admin-report-filters");
+const adminCalendarControls = document.getElementById(
+  "admin-calendar-controls"
+);
+const adminCalendar = document.getElementById("admin-calendar");
+const adminSchedulingForm = document.getElementById("admin-scheduling-form");
+const adminSchedulingMessage = document.getElementById(
+  "admin-scheduling-message"
+);
+const adminShiftList = document.getElementById("admin-shift-list");
+const adminAutoAssignToggle = document.getElementById(
+  "admin-auto-assign-toggle"
+);
+const adminSkillList = document.getElementById("admin-skill-list");
+const adminUserFilters = document.getElementById("admin-user-filters");
+const adminAuthEventFilters = document.getElementById(
+  "admin-auth-event-filters"
+);
+const adminAuthEventList = document.getElementById("admin-auth-event-list");
+const adminAuditFilters = document.getElementById("admin-audit-filters");
+const adminAuditList = document.getElementById("admin-audit-list");
+const adminNotificationList = document.getElementById(
+  "admin-notification-list"
+);
+const adminNotificationFilter = document.getElementById(
+  "admin-notification-filter"
+);
+const adminResetPasswordForm = document.getElementById(
+  "admin-reset-password-form"
+);
+const resetUserSelect = document.getElementById("reset-user-select");
+const adminPermissionList = document.getElementById("admin-permission-list");
+const walkInForm = document.getElementById("walk-in-form");
+const walkInMessage = document.getElementById("walk-in-message");
+const walkInCategorySelect = document.getElementById("walk-in-category");
+const adminResetPasswordMessage = document.getElementById(
+  "admin-reset-password-message"
+);
 
 // --- MODAL ELEMENTS ---
 const logPartModal = document.getElementById("log-part-modal");
@@ -36,7 +115,164 @@ const modalJobIdInput = document.getElementById("modal-job-id-input");
 const partSelect = document.getElementById("part-select");
 const logPartError = document.getElementById("log-part-error");
 
+const adjustPartModal = document.getElementById("adjust-part-modal");
+const closeAdjustPartModalButton = document.getElementById(
+  "close-adjust-part-modal"
+);
+const adjustPartForm = document.getElementById("adjust-part-form");
+const adjustModalJobIdSpan = document.getElementById("adjust-modal-job-id");
+const adjustModalJobIdInput = document.getElementById(
+  "adjust-modal-job-id-input"
+);
+const adjustPartSelect = document.getElementById("adjust-part-select");
+const adjustPartQuantity = document.getElementById("adjust-part-quantity");
+const adjustPartReason = document.getElementById("adjust-part-reason");
+const adjustPartError = document.getElementById("adjust-part-error");
+
+const labourModal = document.getElementById("labour-modal");
+const closeLabourModalButton = document.getElementById("close-labour-modal");
+const labourForm = document.getElementById("labour-form");
+const labourModalJobIdSpan = document.getElementById("labour-modal-job-id");
+const labourModalJobIdInput = document.getElementById(
+  "labour-modal-job-id-input"
+);
+const labourError = document.getElementById("labour-error");
+
+const estimateModal = document.getElementById("estimate-modal");
+const closeEstimateModalButton = document.getElementById(
+  "close-estimate-modal"
+);
+const estimateForm = document.getElementById("estimate-form");
+const estimateModalJobIdSpan = document.getElementById("estimate-modal-job-id");
+const estimateModalJobIdInput = document.getElementById(
+  "estimate-modal-job-id-input"
+);
+const estimatePartLines = document.getElementById("estimate-part-lines");
+const estimateLabourLines = document.getElementById("estimate-labour-lines");
+const estimateError = document.getElementById("estimate-error");
+
+const vehicleHistoryModal = document.getElementById("vehicle-history-modal");
+const jobDetailModal = document.getElementById("job-detail-modal");
+const jobDetailContent = document.getElementById("job-detail-content");
+const vehicleHistoryContent = document.getElementById(
+  "vehicle-history-content"
+);
+
+const rescheduleModal = document.getElementById("reschedule-modal");
+const closeRescheduleModalButton = document.getElementById(
+  "close-reschedule-modal"
+);
+const rescheduleForm = document.getElementById("reschedule-form");
+const rescheduleJobLabel = document.getElementById("reschedule-job-label");
+const rescheduleDateInput = document.getElementById("reschedule-date");
+const rescheduleSlotSelect = document.getElementById("reschedule-slot");
+const rescheduleError = document.getElementById("reschedule-error");
+
+const passwordModal = document.getElementById("password-modal");
+const closePasswordModalButton = document.getElementById(
+  "close-password-modal"
+);
+const passwordForm = document.getElementById("password-form");
+const passwordError = document.getElementById("password-error");
+const passwordSuccess = document.getElementById("password-success");
+
 // --- API HELPER FUNCTION ---
+let refreshPromise = null;
+
+/**
+ * Stores the tokens (and user, after a login) from an auth response.
+ * @param {object} data - { token, refreshToken, user? }
+ */
+function saveSession(data) {
+  TOKEN = data.token;
+  REFRESH_TOKEN = data.refreshToken;
+  localStorage.setItem("token", TOKEN);
+  localStorage.setItem("refreshToken", REFRESH_TOKEN);
+  if (data.user) {
+    CURRENT_USER = data.user;
+    localStorage.setItem("user", JSON.stringify(CURRENT_USER));
+  }
+}
+
+/**
+ * Picks up tokens another tab saved after refreshing the shared session.
+ * @returns {boolean} Whether there were newer ones.
+ */
+function adoptStoredTokens() {
+  const storedRefreshToken = localStorage.getItem("refreshToken");
+  if (!storedRefreshToken || storedRefreshToken === REFRESH_TOKEN) {
+    return false;
+  }
+  TOKEN = localStorage.getItem("token");
+  REFRESH_TOKEN = storedRefreshToken;
+  return true;
+}
+
+async function requestNewTokens() {
+  if (adoptStoredTokens()) return true;
+  const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ refreshToken: REFRESH_TOKEN }),
+  });
+  if (!response.ok) {
+    // Another tab may have refreshed at the same moment
+    return adoptStoredTokens();
+  }
+  saveSession(await response.json());
+  return true;
+}
+
+/**
+ * Gets a new access token with the refresh token. Concurrent callers share
+ * one request, since each refresh token can only be used once.
+ * @returns {Promise<boolean>} False if the session has ended.
+ */
+function refreshSession() {
+  if (!REFRESH_TOKEN) return Promise.resolve(false);
+  if (!refreshPromise) {
+    refreshPromise = requestNewTokens().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+}
+
+/**
+ * fetch() with the auth header. When the access token has expired, the
+ * session is refreshed and the request retried once; if the session has
+ * ended, the user is sent back to the login screen.
+ * @param {string} url - The full URL.
+ * @param {object} [options] - fetch() options.
+ * @returns {Promise<Response>}
+ */
+async function authFetch(url, options = {}) {
+  const send = () =>
+    fetch(url, {
+      ...options,
+      headers: TOKEN
+        ? { ...options.headers, Authorization: `Bearer ${TOKEN}` }
+        : options.headers,
+    });
+
+  const response = await send();
+  if (response.status !== 401 || !TOKEN) {
+    return response;
+  }
+  const errorData = await response
+    .clone()
+    .json()
+    .catch(() => ({}));
+  if (errorData.code !== "invalid_token") {
+    return response;
+  }
+  if (await refreshSession()) {
+    return send();
+  }
+  endSession("Your session has expired. Please log in again.");
+  return response;
+}
+
 /**
  * A helper function to make authenticated API requests.
  * @param {string} endpoint - The API endpoint (e.g., '/customer/status')
@@ -48,9 +284,6 @@ async function apiRequest(endpoint, method, body = null) {
   const headers = {
     "Content-Type": "application/json",
   };
-  if (TOKEN) {
-    headers["Authorization"] = `Bearer ${TOKEN}`;
-  }
 
   const config = {
     method,
@@ -62,7 +295,7 @@ async function apiRequest(endpoint, method, body = null) {
   }
 
   try {
-    const response = await fetch(`${API_BASE_URL}${endpoint}`, config);
+    const response = await authFetch(`${API_BASE_URL}${endpoint}`, config);
 
     if (!response.ok) {
       const errorData = await response.json();
@@ -83,7 +316,143 @@ async function apiRequest(endpoint, method, body = null) {
   }
 }
 
+/**
+ * Opens a job's printable HTML invoice in a new tab.
+ * The invoice endpoint needs the auth header, so it is fetched here and
+ * handed to the new tab as a blob URL.
+ * @param {string} jobId - The job card ID.
+ */
+async function openInvoice(jobId) {
+  try {
+    const response = await authFetch(
+      `${API_BASE_URL}/jobcards/${jobId}/invoice`
+    );
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(
+        errorData.message || `HTTP error! Status: ${response.status}`
+      );
+    }
+    const html = await response.text();
+    const url = URL.createObjectURL(new Blob([html], { type: "text/html" }));
+    window.open(url, "_blank");
+  } catch (error) {
+    alert(`Error loading invoice: ${error.message}`);
+  }
+}
+
+/**
+ * Escapes text typed by users (notes, comments, file names) for use in
+ * HTML markup and attribute values.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Formats a rupee amount for display.
+ * @param {number} amount
+ * @returns {string}
+ */
+function formatMoney(amount) {
+  return `&#8377;${Number(amount || 0).toFixed(2)}`;
+}
+
+/**
+ * Formats a "YYYY-MM-DDTHH:MM" appointment slot for display.
+ * @param {string|null} slot
+ * @returns {string}
+ */
+function formatSlot(slot) {
+  if (!slot) return "Walk-in (no appointment)";
+  const [date, time] = slot.split("T");
+  return `${new Date(`${date}T00:00`).toDateString()}, ${time}`;
+}
+
+/**
+ * Whether a job is finished with: dispatched or cancelled.
+ * @param {object} job
+ * @returns {boolean}
+ */
+function isClosed(job) {
+  return ["Dispatched", "Cancelled"].includes(job.status);
+}
+
+/**
+ * Display name of a service category, e.g. "ac" -> "AC".
+ * @param {string|null} category
+ * @returns {string}
+ */
+function categoryLabel(category) {
+  if (!category) return "Uncategorised";
+  return category.length <= 2
+    ? category.toUpperCase()
+    : category[0].toUpperCase() + category.slice(1);
+}
+
+/**
+ * Today's date as YYYY-MM-DD in the browser's time zone.
+ * @returns {string}
+ */
+function todayString() {
+  const now = new Date();
+  now.setMinutes(now.getMinutes() - now.getTimezoneOffset());
+  return now.toISOString().slice(0, 10);
+}
+
+/**
+ * Fills a dropdown with the drop-off slots of a day. Full and past slots
+ * are listed but can't be picked.
+ * @param {string} date - YYYY-MM-DD.
+ * @param {HTMLSelectElement} select - The dropdown to fill.
+ */
+async function loadSlotOptions(date, select) {
+  select.innerHTML = "";
+  if (!date) return;
+  try {
+    const slots = await apiRequest(`/appointments/slots?date=${date}`, "GET");
+    select.innerHTML =
+      slots.length === 0
+        ? `<option value="">Closed on this day</option>`
+        : slots
+            .map(
+              (s) =>
+                `<option value="${s.slot}" ${s.bookable ? "" : "disabled"}>${
+                  s.time
+                } (${
+                  s.bookable ? `${s.available} left` : "unavailable"
+                })</option>`
+            )
+            .join("");
+    const firstOpen = slots.find((s) => s.bookable);
+    select.value = firstOpen ? firstOpen.slot : "";
+  } catch (error) {
+    select.innerHTML = `<option value="">Error: ${error.message}</option>`;
+  }
+}
+
 // --- LOGIN & LOGOUT ---
+/**
+ * Logs in and opens the user's dashboard.
+ * @param {string} username
+ * @param {string} password
+ */
+async function logIn(username, password) {
+  const data = await apiRequest("/auth/login", "POST", {
+    username,
+    password,
+  });
+  saveSession(data);
+  showDashboard(CURRENT_USER.role);
+}
+
 loginForm.addEventListener("submit", async (e) => {
   e.preventDefault();
   loginError.textContent = "";
@@ -91,25 +460,106 @@ loginForm.addEventListener("submit", async (e) => {
   const password = document.getElementById("password").value;
 
   try {
-    const data = await apiRequest("/auth/login", "POST", {
+    await logIn(username, password);
+  } catch (error) {
+    loginError.textContent = `Login Failed: ${error.message}`;
+  }
+});
+
+// --- CUSTOMER SIGNUP ---
+let pendingSignup = null; // { signupId, username, password } while verifying
+
+function showSignup(show) {
+  loginPanel.classList.toggle("hidden", show);
+  signupPanel.classList.toggle("hidden", !show);
+  signupForm.classList.remove("hidden");
+  signupVerifyForm.classList.add("hidden");
+  signupForm.reset();
+  signupVerifyForm.reset();
+  signupError.textContent = "";
+  signupVerifyError.textContent = "";
+  pendingSignup = null;
+}
+
+document.getElementById("show-signup-link").addEventListener("click", (e) => {
+  e.preventDefault();
+  showSignup(true);
+});
+
+document.getElementById("show-login-link").addEventListener("click", (e) => {
+  e.preventDefault();
+  showSignup(false);
+});
+
+signupForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  signupError.textContent = "";
+  const username = document.getElementById("signup-username").value;
+  const password = document.getElementById("signup-password").value;
+  if (password !== document.getElementById("signup-confirm-password").value) {
+    signupError.textContent = "Passwords do not match.";
+    return;
+  }
+
+  try {
+    const data = await apiRequest("/auth/signup", "POST", {
+      fullName: document.getElementById("signup-fullname").value,
+      mobile: document.getElementById("signup-mobile").value,
       username,
       password,
     });
-    TOKEN = data.token;
-    CURRENT_USER = data.user;
-    localStorage.setItem("token", TOKEN);
-    localStorage.setItem("user", JSON.stringify(CURRENT_USER));
+    pendingSignup = { signupId: data.signupId, username, password };
+    signupVerifyMessage.textContent = `${data.message} It expires in ${data.expiresInMinutes} minutes.`;
+    signupForm.classList.add("hidden");
+    signupVerifyForm.classList.remove("hidden");
+  } catch (error) {
+    signupError.textContent = error.message;
+  }
+});
 
-    showDashboard(CURRENT_USER.role);
+signupVerifyForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  signupVerifyError.textContent = "";
+  try {
+    await apiRequest("/auth/signup/verify", "POST", {
+      signupId: pendingSignup.signupId,
+      code: document.getElementById("signup-code").value,
+    });
+    const { username, password } = pendingSignup;
+    showSignup(false);
+    await logIn(username, password).catch((error) => {
+      loginError.textContent = `Login Failed: ${error.message}`;
+    });
   } catch (error) {
-    loginError.textContent = `Login Failed: ${error.message}`;
+    signupVerifyError.textContent = error.message;
   }
 });
 
-logoutButton.addEventListener("click", () => {
+document
+  .getElementById("signup-resend-button")
+  .addEventListener("click", async () => {
+    signupVerifyError.textContent = "";
+    try {
+      const data = await apiRequest("/auth/signup/resend", "POST", {
+        signupId: pendingSignup.signupId,
+      });
+      signupVerifyMessage.textContent = data.message;
+    } catch (error) {
+      signupVerifyError.textContent = error.message;
+    }
+  });
+
+/**
+ * Forgets the session and shows the login screen.
+ * @param {string} [message] - Shown above the login form.
+ */
+function endSession(message = "") {
+  disconnectLiveUpdates();
   TOKEN = null;
+  REFRESH_TOKEN = null;
   CURRENT_USER = null;
   localStorage.removeItem("token");
+  localStorage.removeItem("refreshToken");
   localStorage.removeItem("user");
 
   // Hide all dashboards and user info
@@ -118,333 +568,3511 @@ logoutButton.addEventListener("click", () => {
   );
 
   // Show login form
+  showSignup(false);
+  loginError.textContent = message;
   loginView.classList.remove("hidden");
-});
-
-// --- DASHBOARD ROUTING ---
-function showDashboard(role) {
-  // Hide login and all dashboards
-  loginView.classList.add("hidden");
-  [customerDashboard, mechanicDashboard, adminDashboard].forEach((el) =>
-    el.classList.add("hidden")
-  );
-
-  // Show user info
-  userFullname.textContent = CURRENT_USER.fullName;
-  userInfo.classList.remove("hidden");
+}
 
-  // Show the correct dashboard based on role
-  if (role === "customer") {
-    customerDashboard.classList.remove("hidden");
-    loadCustomerDashboard();
-  } else if (role === "mechanic") {
-    mechanicDashboard.classList.remove("hidden");
-    loadMechanicDashboard();
-  } else if (role === "admin") {
-    adminDashboard.classList.remove("hidden");
-    loadAdminDashboard();
+logoutButton.addEventListener("click", () => {
+  if (REFRESH_TOKEN) {
+    // Revokes the session on the server; logging out locally happens anyway
+    apiRequest("/auth/logout", "POST", { refreshToken: REFRESH_TOKEN }).catch(
+      () => {}
+    );
   }
-}
+  endSession();
+});
 
-// --- CUSTOMER DASHBOARD ---
-async function loadCustomerDashboard() {
-  customerStatusList.innerHTML = "Loading...";
-  try {
-    const jobs = await apiRequest("/customer/status", "GET");
+// --- SHARED JOB CARD RENDERING ---
 
-    if (jobs.length === 0) {
-      customerStatusList.innerHTML =
-        "<p>You have no active service requests.</p>";
-      return;
+/**
+ * Loads one page of GET /jobcards into a job list, using the filters in
+ * the view's form. Shows "Load More" while there are more pages.
+ * @param {object} view - { form, list, moreButton, createCard, emptyText,
+ *   offset } where `offset` tracks how many jobs are already shown.
+ * @param {boolean} [append] - Add the next page instead of starting over.
+ */
+async function loadJobPage(view, append = false) {
+  const params = new URLSearchParams();
+  for (const field of view.form.elements) {
+    if (field.name && field.value.trim()) {
+      params.set(field.name, field.value.trim());
     }
-
-    customerStatusList.innerHTML = ""; // Clear loading
-    jobs.forEach((job) => {
-      const statusClass = `status-${job.status.split(" ")[0]}`; // e.g., "status-Ready"
-      customerStatusList.innerHTML += `
-                <div class="job-card">
-                    <h4>Vehicle: ${job.vehicle}</h4>
-                    <p><strong>Issue:</strong> ${job.issue}</p>
-                    <p><strong>Status:</strong> <span class="status ${statusClass}">${
-        job.status
-      }</span></p>
-                    <p><small>Submitted: ${new Date(
-                      job.created
-                    ).toLocaleString()}</small></p>
-                </div>
-            `;
-    });
-  } catch (error) {
-    customerStatusList.innerHTML = `<p class="error-message">Error: ${error.message}</p>`;
   }
-}
-
-customerRequestForm.addEventListener("submit", async (e) => {
-  e.preventDefault();
-  customerRequestSuccess.textContent = "";
-  const vehicleNumberPlate = document.getElementById("vehicle-plate").value;
-  const issueDescription = document.getElementById("issue-description").value;
-
-  try {
-    await apiRequest("/customer/request-service", "POST", {
-      vehicleNumberPlate,
-      issueDescription,
-    });
-    customerRequestSuccess.textContent =
-      "Service request submitted successfully!";
-    customerRequestForm.reset();
-    loadCustomerDashboard(); // Refresh the list
-  } catch (error) {
-    customerRequestSuccess.textContent = `Error: ${error.message}`;
+  if (!append) {
+    view.offset = 0;
+    view.list.innerHTML = "Loading...";
   }
-});
-
-// --- MECHANIC DASHBOARD ---
-async function loadMechanicDashboard() {
-  mechanicJobList.innerHTML = "Loading...";
+  params.set("offset", view.offset);
 
   try {
-    const [jobs, parts] = await Promise.all([
-      apiRequest("/mechanic/jobs", "GET"),
-      apiRequest("/inventory/parts", "GET"),
-    ]);
-
-    // Populate parts dropdown for the modal
-    partSelect.innerHTML = parts
-      .map(
-        (p) =>
-          `<option value="${p.id}">${p.partName} (In Stock: ${p.quantity})</option>`
-      )
-      .join("");
-
-    if (jobs.length === 0) {
-      mechanicJobList.innerHTML = "<p>You have no assigned jobs.</p>";
-      return;
+    const page = await apiRequest(`/jobcards?${params}`, "GET");
+    if (!append) {
+      view.list.innerHTML = page.total === 0 ? `<p>${view.emptyText}</p>` : "";
     }
-
-    mechanicJobList.innerHTML = "";
-    jobs.forEach((job) => {
-      mechanicJobList.appendChild(createMechanicJobCard(job));
-    });
+    page.jobs.forEach((job) => view.list.appendChild(view.createCard(job)));
+    view.offset += page.jobs.length;
+    view.moreButton.classList.toggle("hidden", !page.hasMore);
   } catch (error) {
-    mechanicJobList.innerHTML = `<p class="error-message">Error: ${error.message}</p>`;
+    view.list.innerHTML = `<p class="error-message">Error: ${error.message}</p>`;
+    view.moreButton.classList.add("hidden");
   }
 }
 
-function createMechanicJobCard(job) {
-  const card = document.createElement("div");
-  card.className = "job-card";
-  const statusClass = `status-${job.status.split(" ")[0]}`;
-
-  card.innerHTML = `
-        <h4>Vehicle: ${job.vehicleNumberPlate} (Job ID: ${job.id})</h4>
-        <p><strong>Customer:</strong> ${job.customerName} (${
-    job.customerMobile
-  })</p>
-        <p><strong>Issue:</strong> ${job.issueDescription}</p>
-        <p><strong>Status:</strong> <span class="status ${statusClass}">${
-    job.status
-  }</span></p>
+/**
+ * Wires a job list's filter form and "Load More" button.
+ * @param {object} view - See loadJobPage.
+ */
+function bindJobListControls(view) {
+  view.form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    loadJobPage(view);
+  });
+  view.moreButton.addEventListener("click", () => loadJobPage(view, true));
+}
+/**
+ * Renders the "Parts Used" block of a job card, including any
+ * corrections made to logged parts and the parts reserved for the job.
+ * @param {object} job - The job card.
+ * @param {boolean} [canRelease] - Offer to release reserved parts.
+ * @returns {string} HTML
+ */
+function renderPartsLog(job, canRelease = false) {
+  const adjustments = job.partAdjustments || [];
+  const reserved = job.reservedParts || [];
+  return `
         <div class="parts-log">
             <strong>Parts Used:</strong>
             <ul>
                 ${
                   job.partsUsed.length > 0
                     ? job.partsUsed
-                        .map((p) => `<li>${p.quantity} x ${p.partName}</li>`)
+                        .map(
+                          (p) =>
+                            `<li>${p.quantity} x ${p.partName} @ ${formatMoney(
+                              p.unitPrice
+                            )}</li>`
+                        )
                         .join("")
                     : "<li>None</li>"
                 }
             </ul>
+            ${
+              adjustments.length > 0
+                ? `<strong>Adjustments:</strong>
+            <ul>
+                ${adjustments
+                  .map(
+                    (a) =>
+                      `<li>${a.partName}: ${a.previousQuantity} &rarr; ${a.newQuantity} by ${a.adjustedByName} (${a.reason})</li>`
+                  )
+                  .join("")}
+            </ul>`
+                : ""
+            }
+            ${
+              reserved.length > 0
+                ? `<strong>Reserved:</strong>
+            <ul>
+                ${reserved
+                  .map(
+                    (r) =>
+                      `<li>${r.quantity} x ${r.partName}${
+                        canRelease
+                          ? ` <button class="release-reservation-button secondary" data-part-id="${r.partId}">Release</button>`
+                          : ""
+                      }</li>`
+                  )
+                  .join("")}
+            </ul>`
+                : ""
+            }
         </div>
-        <div class="job-actions">
-            <select class="update-status-select" data-job-id="${job.id}">
-                <option value="">-- Update Status --</option>
-                <option value="In Progress" ${
-                  job.status === "In Progress" ? "selected" : ""
-                }>In Progress</option>
-                <option value="Ready for Dispatch" ${
-                  job.status === "Ready for Dispatch" ? "selected" : ""
-                }>Ready for Dispatch</option>
-                <option value="Dispatched" ${
-                  job.status === "Dispatched" ? "selected" : ""
-                }>Dispatched</option>
-            </select>
-            <button class="log-part-button secondary" data-job-id="${
-              job.id
-            }">Log Part</button>
+  `;
+}
+
+/**
+ * Renders a job's labour charges and the pre-tax total of parts and labour.
+ * @param {object} job - The job card.
+ * @param {boolean} [canRemove] - Show a remove button on each labour item.
+ * @returns {string} HTML
+ */
+function renderCharges(job, canRemove = false) {
+  const labourItems = job.labourItems || [];
+  const subtotal =
+    job.partsUsed.reduce((sum, p) => sum + p.quantity * (p.unitPrice || 0), 0) +
+    labourItems.reduce((sum, l) => sum + l.amount, 0);
+  return `
+        <div class="parts-log">
+            <strong>Labour:</strong>
+            <ul>
+                ${
+                  labourItems.length > 0
+                    ? labourItems
+                        .map(
+                          (l) =>
+                            `<li>${l.description}: ${formatMoney(l.amount)}${
+                              canRemove
+                                ? ` <button class="remove-labour-button secondary" data-item-id="${l.id}">Remove</button>`
+                                : ""
+                            }</li>`
+                        )
+                        .join("")
+                    : "<li>None</li>"
+                }
+            </ul>
+            <p><strong>Subtotal (before GST):</strong> ${formatMoney(
+              subtotal
+            )}</p>
         </div>
-    `;
+  `;
+}
 
-  // Event Listener for status change
-  card
-    .querySelector(".update-status-select")
-    .addEventListener("change", async (e) => {
-      const newStatus = e.target.value;
-      if (!newStatus) return;
+/**
+ * Renders a job's estimates: the latest in full, earlier ones as a summary.
+ * @param {Array<object>} estimates - The job's estimates, oldest first.
+ * @returns {string} HTML
+ */
+function renderEstimates(estimates) {
+  if (!estimates || estimates.length === 0) return "";
+  const latest = estimates[estimates.length - 1];
+  const earlier = estimates.slice(0, -1);
+  return `
+        <div class="parts-log estimate">
+            <strong>Estimate (${latest.status}):</strong>
+            <ul>
+                ${latest.parts
+                  .map(
+                    (p) =>
+                      `<li>${p.quantity} x ${p.partName} @ ${formatMoney(
+                        p.unitPrice
+                      )}</li>`
+                  )
+                  .join("")}
+                ${latest.labour
+                  .map(
+                    (l) =>
+                      `<li>Labour: ${escapeHtml(l.description)}: ${formatMoney(
+                        l.amount
+                      )}</li>`
+                  )
+                  .join("")}
+            </ul>
+            <p>Subtotal ${formatMoney(latest.subtotal)} + GST (${
+    latest.gstRate
+  }%) ${formatMoney(latest.gst)} = <strong>${formatMoney(
+    latest.total
+  )}</strong></p>
+            ${
+              latest.customerComment
+                ? `<p><small>Customer comment: ${escapeHtml(
+                    latest.customerComment
+                  )}</small></p>`
+                : ""
+            }
+            ${
+              earlier.length > 0
+                ? `<p><small>Earlier estimates: ${earlier
+                    .map((e) => `${formatMoney(e.total)} (${e.status})`)
+                    .join(", ")}</small></p>`
+                : ""
+            }
+        </div>
+  `;
+}
+
+/**
+ * Renders a "View Invoice" button for jobs that are ready to be billed.
+ * @param {object} job - The job card.
+ * @returns {string} HTML
+ */
+function renderInvoiceButton(job) {
+  return ["Ready for Dispatch", "Dispatched"].includes(job.status)
+    ? `<button class="view-invoice-button secondary">View Invoice</button>`
+    : "";
+}
+
+/**
+ * Wires up the button rendered by renderInvoiceButton, if present.
+ * @param {HTMLElement} card - The job card element.
+ * @param {object} job - The job card.
+ */
+function bindInvoiceButton(card, job) {
+  const button = card.querySelector(".view-invoice-button");
+  if (button) {
+    button.addEventListener("click", () => openInvoice(job.id));
+  }
+}
+
+/**
+ * Wires up a job card's "Vehicle History" button, if present.
+ * @param {HTMLElement} card - The job card element.
+ * @param {object} job - The job card.
+ */
+function bindVehicleHistoryButton(card, job) {
+  const button = card.querySelector(".vehicle-history-button");
+  if (button) {
+    button.addEventListener("click", () => openVehicleHistory(job.vehicleId));
+  }
+}
+
+/**
+ * Renders a job's status timeline, oldest change first.
+ * @param {Array<object>} history - The job's statusHistory entries.
+ * @returns {string} HTML
+ */
+function renderStatusHistory(history) {
+  if (!history || history.length === 0) return "";
+  return `
+        <div class="status-history">
+            <strong>Status History:</strong>
+            <ul>
+                ${history
+                  .map(
+                    (h) =>
+                      `<li>${new Date(h.date).toLocaleString()}: ${
+                        h.fromStatus ? `${h.fromStatus} &rarr; ` : ""
+                      }${h.toStatus}${
+                        h.actorName
+                          ? ` <small>(${escapeHtml(h.actorName)})</small>`
+                          : ""
+                      }</li>`
+                  )
+                  .join("")}
+            </ul>
+        </div>
+  `;
+}
+
+/**
+ * Renders a job's notes thread with a form for adding a note.
+ * @param {Array<object>} notes - The notes the user may see, oldest first.
+ * @param {boolean} isStaff - Whether to offer the internal/customer choice.
+ * @returns {string} HTML
+ */
+function renderNotes(notes, isStaff) {
+  return `
+        <div class="job-notes">
+            <strong>Notes:</strong>
+            ${
+              notes.length === 0
+                ? "<p><small>No notes yet.</small></p>"
+                : `<ul>${notes
+                    .map(
+                      (n) => `
+                <li class="${
+                  n.visibility === "internal" ? "note-internal" : ""
+                }">
+                    <small>${new Date(
+                      n.createdDate
+                    ).toLocaleString()} - ${escapeHtml(
+                        n.authorName
+                      )} (${escapeHtml(n.authorRole)})${
+                        isStaff && n.visibility === "internal"
+                          ? " - internal"
+                          : ""
+                      }</small><br>
+                    ${escapeHtml(n.text)}
+                </li>`
+                    )
+                    .join("")}</ul>`
+            }
+            <form class="note-form">
+                <textarea name="text" rows="2" maxlength="2000" placeholder="${
+                  isStaff ? "Add a note" : "Reply to the workshop"
+                }" required></textarea>
+                ${
+                  isStaff
+                    ? `<label class="checkbox-label">
+                    <input type="checkbox" name="customerVisible">
+                    Visible to customer
+                </label>`
+                    : ""
+                }
+                <button type="submit" class="secondary">Add Note</button>
+            </form>
+        </div>
+  `;
+}
+
+/**
+ * Posts a note from a job card's note form.
+ * @param {HTMLFormElement} form - The card's .note-form.
+ * @param {string} endpoint - The role's notes endpoint for the job.
+ * @returns {Promise<boolean>} Whether the note was saved.
+ */
+async function submitNote(form, endpoint) {
+  const { text, customerVisible } = form.elements;
+  try {
+    await apiRequest(endpoint, "POST", {
+      text: text.value,
+      visibility: customerVisible?.checked ? "customer" : "internal",
+    });
+    return true;
+  } catch (error) {
+    alert(`Error adding note: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Wires up the note form of a job card built as an element.
+ * @param {HTMLElement} card - The job card element.
+ * @param {string} endpoint - The role's notes endpoint for the job.
+ * @param {Function} onSaved - Called after the note was added.
+ */
+function bindNoteForm(card, endpoint, onSaved) {
+  const form = card.querySelector(".note-form");
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    if (await submitNote(form, endpoint)) onSaved();
+  });
+}
+
+/**
+ * Renders a job's attachments as thumbnails (photos) or buttons
+ * (documents), with a file picker for adding more. Thumbnails are filled
+ * in by loadThumbnails() once rendered.
+ * @param {string} jobId - The job card ID.
+ * @param {Array<object>} files - The job's attachments.
+ * @param {boolean} canUpload - Whether to show the file picker.
+ * @returns {string} HTML
+ */
+function renderAttachments(jobId, files, canUpload) {
+  const canRemove = (a) =>
+    can("jobs:remove-attachments") || a.uploadedBy === CURRENT_USER.id;
+  return `
+        <div class="job-attachments">
+            <strong>Photos &amp; Documents:</strong>
+            ${
+              files.length === 0
+                ? "<p><small>None attached.</small></p>"
+                : `<div class="attachment-list">${files
+                    .map(
+                      (a) => `
+                <div class="attachment-item" data-attachment-id="${
+                  a.id
+                }" title="${escapeHtml(a.fileName)} (${escapeHtml(
+                        a.uploadedByName
+                      )})">
+                    ${
+                      a.contentType.startsWith("image/")
+                        ? `<img class="attachment-thumb" alt="${escapeHtml(
+                            a.fileName
+                          )}">`
+                        : `<button class="attachment-open secondary">${escapeHtml(
+                            a.fileName
+                          )}</button>`
+                    }
+                    ${
+                      canRemove(a)
+                        ? `<button class="attachment-remove secondary" title="Remove">&times;</button>`
+                        : ""
+                    }
+                </div>`
+                    )
+                    .join("")}</div>`
+            }
+            ${
+              canUpload
+                ? `<label>Attach a photo or PDF
+                <input type="file" class="attachment-input" accept="image/jpeg,image/png,image/webp,application/pdf">
+            </label>`
+                : ""
+            }
+        </div>
+  `;
+}
+
+/**
+ * Downloads an attachment with the auth header (like openInvoice).
+ * @param {string} jobId - The job card ID.
+ * @param {string} attachmentId - The attachment ID.
+ * @returns {Promise<string>} A blob URL for the file.
+ */
+async function fetchAttachment(jobId, attachmentId) {
+  const response = await authFetch(
+    `${API_BASE_URL}/jobcards/${jobId}/attachments/${attachmentId}`
+  );
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(
+      errorData.message || `HTTP error! Status: ${response.status}`
+    );
+  }
+  return URL.createObjectURL(await response.blob());
+}
+
+/**
+ * Loads the photo thumbnails inside an element.
+ * @param {HTMLElement} container - A job card or a list of them.
+ */
+function loadThumbnails(container) {
+  container.querySelectorAll(".attachment-thumb").forEach(async (img) => {
+    const { jobId } = img.closest(".job-card").dataset;
+    const { attachmentId } = img.closest(".attachment-item").dataset;
+    try {
+      img.src = await fetchAttachment(jobId, attachmentId);
+    } catch (error) {
+      img.alt = `${img.alt} (unavailable)`;
+    }
+  });
+}
+
+/**
+ * Sends a file as the body of an upload request.
+ * @param {string} jobId - The job card ID.
+ * @param {File} file - The file picked by the user.
+ */
+async function uploadAttachment(jobId, file) {
+  const response = await authFetch(
+    `${API_BASE_URL}/jobcards/${jobId}/attachments?fileName=${encodeURIComponent(
+      file.name
+    )}`,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": file.type || "application/octet-stream",
+      },
+      body: file,
+    }
+  );
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(
+      errorData.message || `HTTP error! Status: ${response.status}`
+    );
+  }
+}
+
+/**
+ * Handles opening, uploading and removing attachments on the job cards
+ * inside an element.
+ * @param {HTMLElement} container - A job card or a list of them.
+ * @param {Function} onChange - Called with the job ID after a file was
+ *   added or removed.
+ */
+function bindAttachments(container, onChange) {
+  container.addEventListener("click", async (e) => {
+    const item = e.target.closest(".attachment-item");
+    if (!item) return;
+    const { jobId } = item.closest(".job-card").dataset;
+    const { attachmentId } = item.dataset;
+    try {
+      if (e.target.classList.contains("attachment-remove")) {
+        if (!confirm("Remove this attachment?")) return;
+        await apiRequest(
+          `/jobcards/${jobId}/attachments/${attachmentId}`,
+          "DELETE"
+        );
+        onChange(jobId);
+      } else if (e.target.matches(".attachment-thumb, .attachment-open")) {
+        window.open(await fetchAttachment(jobId, attachmentId), "_blank");
+      }
+    } catch (error) {
+      alert(`Error: ${error.message}`);
+    }
+  });
+
+  container.addEventListener("change", async (e) => {
+    if (!e.target.classList.contains("attachment-input")) return;
+    const [file] = e.target.files;
+    if (!file) return;
+    const { jobId } = e.target.closest(".job-card").dataset;
+    try {
+      await uploadAttachment(jobId, file);
+      onChange(jobId);
+    } catch (error) {
+      e.target.value = "";
+      alert(`Error attaching file: ${error.message}`);
+    }
+  });
+}
 
+/**
+ * Wires up the Release buttons of a job card's reserved parts.
+ * @param {HTMLElement} card - The job card element.
+ * @param {string} endpoint - The job's reservations endpoint.
+ * @param {Function} onChange - Called after a reservation was released.
+ */
+function bindReservationButtons(card, endpoint, onChange) {
+  card.querySelectorAll(".release-reservation-button").forEach((button) => {
+    button.addEventListener("click", async () => {
       try {
-        await apiRequest(`/mechanic/jobs/${job.id}/status`, "PUT", {
-          status: newStatus,
+        await apiRequest(endpoint, "PUT", {
+          partId: button.dataset.partId,
+          quantity: 0,
         });
-        loadMechanicDashboard(); // Refresh
+        onChange();
       } catch (error) {
-        alert(`Error updating status: ${error.message}`);
+        alert(`Error releasing parts: ${error.message}`);
       }
     });
-
-  // Event Listener for log part button
-  card.querySelector(".log-part-button").addEventListener("click", () => {
-    openLogPartModal(job.id);
   });
+}
 
-  return card;
+// --- VEHICLE HISTORY MODAL ---
+/**
+ * Loads and shows a vehicle's complete service history.
+ * @param {string} vehicleId - The vehicle ID.
+ */
+async function openVehicleHistory(vehicleId) {
+  vehicleHistoryContent.innerHTML = "Loading...";
+  vehicleHistoryModal.classList.remove("hidden");
+  try {
+    const { vehicle, history } = await apiRequest(
+      `/vehicles/${vehicleId}/history`,
+      "GET"
+    );
+    vehicleHistoryContent.innerHTML = `
+        <p><strong>${escapeHtml(vehicle.displayPlate)}</strong> ${
+      vehicle.make
+        ? `- ${escapeHtml(vehicle.year)} ${escapeHtml(
+            vehicle.make
+          )} ${escapeHtml(vehicle.model)}`
+        : ""
+    }</p>
+        ${
+          history.length === 0
+            ? "<p>No services recorded yet.</p>"
+            : `<ul>${history
+                .map(
+                  (h) => `
+            <li>
+                <strong>${new Date(h.created).toLocaleDateString()}</strong>
+                - ${escapeHtml(h.issue)} (${h.status}, ${escapeHtml(
+                    h.mechanicName
+                  )})
+                ${
+                  h.partsUsed.length > 0
+                    ? `<br><small>Parts: ${h.partsUsed
+                        .map((p) => `${p.quantity} x ${escapeHtml(p.partName)}`)
+                        .join(", ")}</small>`
+                    : ""
+                }
+            </li>`
+                )
+                .join("")}</ul>`
+        }
+    `;
+  } catch (error) {
+    vehicleHistoryContent.innerHTML = `<p class="error-message">Error: ${error.message}</p>`;
+  }
 }
 
-// --- Mechanic Modal Logic ---
-function openLogPartModal(jobId) {
-  modalJobIdSpan.textContent = jobId;
-  modalJobIdInput.value = jobId;
-  logPartError.textContent = "";
-  logPartModal.classList.remove("hidden");
+document
+  .getElementById("close-vehicle-history-modal")
+  .addEventListener("click", () => {
+    vehicleHistoryModal.classList.add("hidden");
+  });
+
+// --- ADJUST LOGGED PART MODAL ---
+let adjustPartOnSuccess = null;
+
+/**
+ * Opens the adjust-part modal for a job.
+ * @param {object} job - The job card whose logged parts can be adjusted.
+ * @param {Function} onSuccess - Called after a successful adjustment.
+ */
+function openAdjustPartModal(job, onSuccess) {
+  adjustModalJobIdSpan.textContent = job.id;
+  adjustModalJobIdInput.value = job.id;
+  adjustPartSelect.innerHTML = job.partsUsed
+    .map(
+      (p) =>
+        `<option value="${p.partId}" data-quantity="${p.quantity}">${p.partName} (Logged: ${p.quantity})</option>`
+    )
+    .join("");
+  adjustPartQuantity.value = job.partsUsed[0].quantity;
+  adjustPartReason.value = "";
+  adjustPartError.textContent = "";
+  adjustPartOnSuccess = onSuccess;
+  adjustPartModal.classList.remove("hidden");
 }
 
-closeModalButton.addEventListener("click", () => {
-  logPartModal.classList.add("hidden");
+adjustPartSelect.addEventListener("change", () => {
+  adjustPartQuantity.value =
+    adjustPartSelect.selectedOptions[0].dataset.quantity;
 });
 
-logPartForm.addEventListener("submit", async (e) => {
+closeAdjustPartModalButton.addEventListener("click", () => {
+  adjustPartModal.classList.add("hidden");
+});
+
+adjustPartForm.addEventListener("submit", async (e) => {
   e.preventDefault();
-  logPartError.textContent = "";
-  const jobId = modalJobIdInput.value;
-  const partId = document.getElementById("part-select").value;
-  const quantityUsed = document.getElementById("part-quantity").value;
+  adjustPartError.textContent = "";
+  const jobId = adjustModalJobIdInput.value;
+  const endpoint = can("jobs:adjust-parts")
+    ? `/admin/jobcards/${jobId}/adjust-part`
+    : `/mechanic/jobs/${jobId}/adjust-part`;
 
   try {
-    await apiRequest(`/mechanic/jobs/${jobId}/log-part`, "PUT", {
-      partId,
-      quantityUsed,
+    await apiRequest(endpoint, "PUT", {
+      partId: adjustPartSelect.value,
+      newQuantity: adjustPartQuantity.value,
+      reason: adjustPartReason.value,
     });
-    logPartModal.classList.add("hidden");
-    loadMechanicDashboard(); // Refresh job list
+    adjustPartModal.classList.add("hidden");
+    if (adjustPartOnSuccess) adjustPartOnSuccess();
   } catch (error) {
-    logPartError.textContent = `Error: ${error.message}`;
+    adjustPartError.textContent = `Error: ${error.message}`;
   }
 });
 
-// --- ADMIN DASHBOARD ---
-let adminData = {
-  jobs: [],
-  mechanics: [],
-  parts: [],
-};
+// --- CHANGE PASSWORD ---
+changePasswordButton.addEventListener("click", () => {
+  passwordForm.reset();
+  passwordError.textContent = "";
+  passwordSuccess.textContent = "";
+  passwordModal.classList.remove("hidden");
+});
 
-async function loadAdminDashboard() {
-  adminJobList.innerHTML = "Loading...";
-  adminPartsList.innerHTML = "Loading...";
+closePasswordModalButton.addEventListener("click", () => {
+  passwordModal.classList.add("hidden");
+});
+
+passwordForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  passwordError.textContent = "";
+  passwordSuccess.textContent = "";
+  const currentPassword = document.getElementById("current-password").value;
+  const newPassword = document.getElementById("new-password").value;
+  const confirmPassword = document.getElementById("confirm-password").value;
+
+  if (newPassword !== confirmPassword) {
+    passwordError.textContent = "New passwords do not match.";
+    return;
+  }
 
   try {
-    const data = await apiRequest("/admin/dashboard-data", "GET");
-    adminData.jobs = data.jobCards;
-    adminData.mechanics = data.mechanics;
-    adminData.parts = data.parts;
+    await apiRequest("/auth/password", "PUT", { currentPassword, newPassword });
+    passwordForm.reset();
+    passwordSuccess.textContent = "Password changed successfully!";
+  } catch (error) {
+    passwordError.textContent = `Error: ${error.message}`;
+  }
+});
 
-    // Render Jobs
-    if (adminData.jobs.length === 0) {
-      adminJobList.innerHTML = "<p>No job cards found.</p>";
-    } else {
-      adminJobList.innerHTML = "";
-      adminData.jobs.forEach((job) => {
-        adminJobList.appendChild(createAdminJobCard(job));
-      });
-    }
+// --- DASHBOARD ROUTING ---
+// --- PERMISSIONS ---
+// Roles that use the admin dashboard, trimmed to their permissions
+const STAFF_DASHBOARD_ROLES = ["admin", "receptionist"];
 
-    // Render Parts
-    if (adminData.parts.length === 0) {
-      adminPartsList.innerHTML = "<p>No parts in inventory.</p>";
-    } else {
-      adminPartsList.innerHTML = "<ul>";
-      adminData.parts.forEach((part) => {
-        adminPartsList.innerHTML += `<li><strong>${part.partName}:</strong> ${part.quantity} in stock</li>`;
-      });
-      adminPartsList.innerHTML += "</ul>";
+/**
+ * Whether the logged-in user's role holds a permission. Mirrors the
+ * server, where admins hold every permission.
+ * @param {string} permission - e.g. "jobs:assign".
+ * @returns {boolean}
+ */
+function can(permission) {
+  return (
+    CURRENT_USER.role === "admin" ||
+    (CURRENT_USER.permissions || []).includes(permission)
+  );
+}
+
+/**
+ * Hides the parts of the dashboard the user may not use. Elements name
+ * the permissions they need in data-permission (space-separated, all
+ * required).
+ */
+function applyPermissions() {
+  document.querySelectorAll("[data-permission]").forEach((el) => {
+    const needed = el.dataset.permission.split(" ");
+    el.classList.toggle("hidden", !needed.every(can));
+  });
+}
+
+function showDashboard(role) {
+  // Hide login and all dashboards
+  loginView.classList.add("hidden");
+  [customerDashboard, mechanicDashboard, adminDashboard].forEach((el) =>
+    el.classList.add("hidden")
+  );
+
+  // Show user info
+  userFullname.textContent = CURRENT_USER.fullName;
+  userInfo.classList.remove("hidden");
+  connectLiveUpdates();
+
+  // Show the correct dashboard based on role
+  if (role === "customer") {
+    customerDashboard.classList.remove("hidden");
+    loadCustomerDashboard();
+    loadCustomerVehicles();
+    loadNotificationPreference();
+    loadCategoryOptions(requestCategorySelect);
+    requestDateInput.min = todayString();
+  } else if (role === "mechanic") {
+    mechanicDashboard.classList.remove("hidden");
+    loadMechanicDashboard();
+  } else if (STAFF_DASHBOARD_ROLES.includes(role)) {
+    applyPermissions();
+    adminTabButtons[0].click(); // Start on Operations
+    adminDashboard.classList.remove("hidden");
+    loadAdminDashboard();
+  }
+}
+
+// --- CUSTOMER DASHBOARD ---
+async function loadCustomerDashboard() {
+  customerStatusList.innerHTML = "Loading...";
+  try {
+    const jobs = await apiRequest("/customer/status", "GET");
+
+    if (jobs.length === 0) {
+      customerStatusList.innerHTML =
+        "<p>You have no active service requests.</p>";
+      return;
     }
+
+    customerStatusList.innerHTML = jobs.map(renderCustomerJobCard).join("");
+    loadThumbnails(customerStatusList);
   } catch (error) {
-    adminJobList.innerHTML = `<p class="error-message">Error: ${error.message}</p>`;
+    customerStatusList.innerHTML = `<p class="error-message">Error: ${error.message}</p>`;
   }
 }
 
-function createAdminJobCard(job) {
-  const card = document.createElement("div");
-  card.className = "job-card";
-  const statusClass = `status-${job.status.split(" ")[0]}`;
+/**
+ * Renders one of the customer's job cards.
+ * @param {object} job - A job from /customer/status.
+ * @returns {string} HTML
+ */
+function renderCustomerJobCard(job) {
+  const statusClass = `status-${job.status.split(" ")[0]}`; // e.g., "status-Ready"
+  return `
+                <div class="job-card" data-job-id="${job.jobId}">
+                    <h4>Vehicle: ${escapeHtml(job.vehicle)}</h4>
+                    <p><strong>Issue:</strong> ${escapeHtml(job.issue)}</p>
+                    <p><strong>Status:</strong> <span class="status ${statusClass}">${
+    job.status
+  }</span></p>
+                    <p><strong>Drop-off:</strong> ${formatSlot(
+                      job.appointmentSlot
+                    )}</p>
+                    <p><small>Submitted: ${new Date(
+                      job.created
+                    ).toLocaleString()}</small></p>
+                    ${renderEstimates(job.estimates)}
+                    ${
+                      job.status !== "Cancelled" &&
+                      job.estimates.some((e) => e.status === "Pending Approval")
+                        ? `<div class="job-actions">
+                        <button class="approve-estimate-button" data-job-id="${job.jobId}">Approve Estimate</button>
+                        <button class="reject-estimate-button secondary" data-job-id="${job.jobId}">Reject Estimate</button>
+                    </div>`
+                        : ""
+                    }
+                    ${renderStatusHistory(job.statusHistory)}
+                    ${renderAttachments(job.jobId, job.attachments, true)}
+                    ${renderNotes(job.notes, false)}
+                    <div class="job-actions">
+                        <button class="job-detail-button secondary" data-job-id="${
+                          job.jobId
+                        }">View Details</button>
+                        <button class="vehicle-history-button secondary" data-vehicle-id="${
+                          job.vehicleId
+                        }">Vehicle History</button>
+                        ${
+                          ["Ready for Dispatch", "Dispatched"].includes(
+                            job.status
+                          )
+                            ? `<button class="view-invoice-button secondary" data-job-id="${job.jobId}">View Invoice</button>`
+                            : ""
+                        }
+                    </div>
+                </div>
+            `;
+}
 
-  // Create dropdown for mechanic assignment
-  const mechanicOptions = adminData.mechanics
-    .map(
-      (m) =>
-        `<option value="${m.id}" ${
-          job.assignedMechanicId === m.id ? "selected" : ""
-        }>${m.fullName}</option>`
-    )
-    .join("");
+/**
+ * Re-fetches the customer's jobs and redraws only the card for `jobId`.
+ * @param {string} jobId - The job that changed.
+ */
+async function refreshCustomerJob(jobId) {
+  const jobs = await apiRequest("/customer/status", "GET");
+  const job = jobs.find((j) => j.jobId === jobId);
+  const template = document.createElement("template");
+  template.innerHTML = job ? renderCustomerJobCard(job).trim() : "";
+  const card = template.content.firstChild;
+  if (card) loadThumbnails(card);
+  replaceJobCard(customerStatusList, jobId, card, true);
+}
 
-  card.innerHTML = `
-        <h4>Vehicle: ${job.vehicleNumberPlate} (Job ID: ${job.id})</h4>
-        <p><strong>Customer:</strong> ${job.customerName}</p>
-        <p><strong>Issue:</strong> ${job.issueDescription}</p>
+bindAttachments(customerStatusList, refreshCustomerJob);
+
+customerStatusList.addEventListener("submit", async (e) => {
+  if (!e.target.classList.contains("note-form")) return;
+  e.preventDefault();
+  const { jobId } = e.target.closest(".job-card").dataset;
+  if (await submitNote(e.target, `/customer/jobs/${jobId}/notes`)) {
+    refreshCustomerJob(jobId);
+  }
+});
+
+// Cards are rendered as HTML strings, so their buttons are handled here
+customerStatusList.addEventListener("click", async (e) => {
+  const { jobId } = e.target.dataset;
+  if (e.target.classList.contains("view-invoice-button")) {
+    openInvoice(jobId);
+  } else if (e.target.classList.contains("job-detail-button")) {
+    openJobDetail(jobId);
+  } else if (e.target.classList.contains("vehicle-history-button")) {
+    openVehicleHistory(e.target.dataset.vehicleId);
+  } else if (e.target.classList.contains("approve-estimate-button")) {
+    await decideEstimate(jobId, "approve");
+  } else if (e.target.classList.contains("reject-estimate-button")) {
+    const comment = prompt("Reason for rejecting the estimate (optional):");
+    if (comment === null) return; // Cancelled
+    await decideEstimate(jobId, "reject", comment);
+  }
+});
+
+/**
+ * Loads and shows the full details of one of the customer's jobs.
+ * @param {string} jobId - The job card ID.
+ */
+async function openJobDetail(jobId) {
+  jobDetailContent.innerHTML = "Loading...";
+  jobDetailModal.classList.remove("hidden");
+  try {
+    const job = await apiRequest(`/customer/jobs/${jobId}`, "GET");
+    const statusClass = `status-${job.status.split(" ")[0]}`;
+    jobDetailContent.innerHTML = `
+        <p><strong>Vehicle:</strong> ${escapeHtml(job.vehicle)}</p>
+        <p><strong>Issue:</strong> ${escapeHtml(job.issue)}</p>
         <p><strong>Status:</strong> <span class="status ${statusClass}">${
-    job.status
-  }</span></p>
+      job.status
+    }</span></p>
+        <p><strong>Mechanic:</strong> ${escapeHtml(
+          job.mechanicName || "Not assigned yet"
+        )}</p>
+        <p><strong>Drop-off:</strong> ${formatSlot(job.appointmentSlot)}</p>
+        <p><strong>Dispatched:</strong> ${
+          job.dispatchedDate
+            ? new Date(job.dispatchedDate).toLocaleString()
+            : "Not yet"
+        }</p>
         <div class="parts-log">
-            <strong>Parts Used:</strong>
+            <strong>Parts Fitted:</strong>
             <ul>
                 ${
                   job.partsUsed.length > 0
                     ? job.partsUsed
-                        .map((p) => `<li>${p.quantity} x ${p.partName}</li>`)
+                        .map(
+                          (p) =>
+                            `<li>${p.quantity} x ${escapeHtml(
+                              p.partName
+                            )} @ ${formatMoney(p.unitPrice)}</li>`
+                        )
                         .join("")
-                    : "<li>None</li>"
+                    : "<li>None yet</li>"
                 }
             </ul>
+            ${
+              job.labour.length > 0
+                ? `<strong>Labour:</strong>
+            <ul>
+                ${job.labour
+                  .map(
+                    (l) =>
+                      `<li>${escapeHtml(l.description)}: ${formatMoney(
+                        l.amount
+                      )}</li>`
+                  )
+                  .join("")}
+            </ul>`
+                : ""
+            }
         </div>
-        <div class="job-actions">
-            <label for="assign-mech-${job.id}">Assign Mechanic:</label>
-            <select id="assign-mech-${
-              job.id
-            }" class="assign-mechanic-select" data-job-id="${job.id}">
-                <option value="">-- Unassigned --</option>
-                ${mechanicOptions}
-            </select>
-        </div>
+        ${renderStatusHistory(job.statusHistory)}
     `;
+  } catch (error) {
+    jobDetailContent.innerHTML = `<p class="error-message">Error: ${error.message}</p>`;
+  }
+}
 
-  // Event Listener for mechanic assignment
+document
+  .getElementById("close-job-detail-modal")
+  .addEventListener("click", () => {
+    jobDetailModal.classList.add("hidden");
+  });
+
+async function decideEstimate(jobId, decision, comment = "") {
+  try {
+    await apiRequest(`/customer/jobs/${jobId}/estimate`, "PUT", {
+      decision,
+      comment,
+    });
+    loadCustomerDashboard();
+  } catch (error) {
+    alert(`Error updating estimate: ${error.message}`);
+  }
+}
+
+customerRequestForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  customerRequestSuccess.textContent = "";
+  const vehicleId = requestVehicleSelect.value;
+  const appointmentSlot = requestSlotSelect.value;
+  const odometer = document.getElementById("request-odometer").value;
+  const issueDescription = document.getElementById("issue-description").value;
+  const category = requestCategorySelect.value;
+
+  try {
+    await apiRequest("/customer/request-service", "POST", {
+      vehicleId,
+      appointmentSlot,
+      odometer,
+      issueDescription,
+      category,
+    });
+    customerRequestSuccess.textContent =
+      "Service request submitted successfully!";
+    customerRequestForm.reset();
+    requestSlotSelect.innerHTML = "";
+    loadCustomerDashboard(); // Refresh the list
+  } catch (error) {
+    customerRequestSuccess.textContent = `Error: ${error.message}`;
+  }
+});
+
+requestDateInput.addEventListener("change", () =>
+  loadSlotOptions(requestDateInput.value, requestSlotSelect)
+);
+
+/**
+ * Fills a "Type of Problem" dropdown with the service categories.
+ * @param {HTMLSelectElement} select
+ */
+async function loadCategoryOptions(select) {
+  try {
+    const categories = await apiRequest("/skills", "GET");
+    select.innerHTML = [
+      `<option value="">Not sure</option>`,
+      ...categories.map(
+        (c) => `<option value="${c}">${categoryLabel(c)}</option>`
+      ),
+    ].join("");
+  } catch (error) {
+    console.error("Could not load categories:", error);
+  }
+}
+
+// --- Customer Vehicles ---
+let customerVehicles = [];
+
+async function loadCustomerVehicles() {
+  customerVehicleList.innerHTML = "Loading...";
+  try {
+    customerVehicles = await apiRequest("/customer/vehicles", "GET");
+
+    requestVehicleSelect.innerHTML = customerVehicles
+      .map(
+        (v) => `<option value="${v.id}">${escapeHtml(v.displayPlate)}</option>`
+      )
+      .join("");
+
+    if (customerVehicles.length === 0) {
+      customerVehicleList.innerHTML =
+        "<p>Add a vehicle below before requesting a service.</p>";
+      return;
+    }
+
+    customerVehicleList.innerHTML = customerVehicles
+      .map(
+        (v) => `
+            <div class="job-card">
+                <h4>${escapeHtml(v.displayPlate)}</h4>
+                <p>${
+                  v.make
+                    ? escapeHtml(
+                        `${v.year} ${v.make} ${v.model} (${v.fuelType})`
+                      )
+                    : "<em>Details not set yet</em>"
+                }</p>
+                <p><strong>Odometer:</strong> ${v.odometer} km</p>
+                <div class="job-actions">
+                    <button class="edit-vehicle-button secondary" data-vehicle-id="${
+                      v.id
+                    }">Edit</button>
+                    <button class="vehicle-history-button secondary" data-vehicle-id="${
+                      v.id
+                    }">Service History</button>
+                </div>
+            </div>
+        `
+      )
+      .join("");
+  } catch (error) {
+    customerVehicleList.innerHTML = `<p class="error-message">Error: ${error.message}</p>`;
+  }
+}
+
+customerVehicleList.addEventListener("click", (e) => {
+  const { vehicleId } = e.target.dataset;
+  if (e.target.classList.contains("vehicle-history-button")) {
+    openVehicleHistory(vehicleId);
+  } else if (e.target.classList.contains("edit-vehicle-button")) {
+    startVehicleEdit(customerVehicles.find((v) => v.id === vehicleId));
+  }
+});
+
+/**
+ * Switches the vehicle form to edit an existing vehicle.
+ * The plate can't be changed, so its field is locked.
+ * @param {object} vehicle - The vehicle to edit.
+ */
+function startVehicleEdit(vehicle) {
+  document.getElementById("vehicle-id-input").value = vehicle.id;
+  document.getElementById("vehicle-plate").value = vehicle.displayPlate;
+  document.getElementById("vehicle-plate").disabled = true;
+  document.getElementById("vehicle-make").value = vehicle.make || "";
+  document.getElementById("vehicle-model").value = vehicle.model || "";
+  document.getElementById("vehicle-year").value = vehicle.year || "";
+  document.getElementById("vehicle-fuel").value = vehicle.fuelType || "Petrol";
+  document.getElementById("vehicle-odometer").value = vehicle.odometer;
+  document.getElementById("vehicle-form-title").textContent = "Edit Vehicle";
+  document.getElementById("vehicle-form-submit").textContent = "Save Vehicle";
+  document.getElementById("vehicle-form-cancel").classList.remove("hidden");
+  customerVehicleMessage.textContent = "";
+}
+
+function resetVehicleForm() {
+  customerVehicleForm.reset();
+  document.getElementById("vehicle-id-input").value = "";
+  document.getElementById("vehicle-plate").disabled = false;
+  document.getElementById("vehicle-form-title").textContent = "Add a Vehicle";
+  document.getElementById("vehicle-form-submit").textContent = "Add Vehicle";
+  document.getElementById("vehicle-form-cancel").classList.add("hidden");
+}
+
+document
+  .getElementById("vehicle-form-cancel")
+  .addEventListener("click", resetVehicleForm);
+
+customerVehicleForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  customerVehicleMessage.textContent = "";
+  const vehicleId = document.getElementById("vehicle-id-input").value;
+  const vehicle = {
+    make: document.getElementById("vehicle-make").value,
+    model: document.getElementById("vehicle-model").value,
+    year: document.getElementById("vehicle-year").value,
+    fuelType: document.getElementById("vehicle-fuel").value,
+    odometer: document.getElementById("vehicle-odometer").value,
+  };
+
+  try {
+    if (vehicleId) {
+      await apiRequest(`/customer/vehicles/${vehicleId}`, "PUT", vehicle);
+      customerVehicleMessage.textContent = "Vehicle updated!";
+    } else {
+      vehicle.plate = document.getElementById("vehicle-plate").value;
+      await apiRequest("/customer/vehicles", "POST", vehicle);
+      customerVehicleMessage.textContent = "Vehicle added!";
+    }
+    resetVehicleForm();
+    loadCustomerVehicles();
+  } catch (error) {
+    customerVehicleMessage.textContent = `Error: ${error.message}`;
+  }
+});
+
+// --- Customer Notification Preference ---
+async function loadNotificationPreference() {
+  try {
+    const { optOut } = await apiRequest(
+      "/customer/notification-preferences",
+      "GET"
+    );
+    customerNotifyToggle.checked = !optOut;
+  } catch (error) {
+    console.error("Could not load notification preference:", error.message);
+  }
+}
+
+customerNotifyToggle.addEventListener("change", async () => {
+  const optOut = !customerNotifyToggle.checked;
+  try {
+    await apiRequest("/customer/notification-preferences", "PUT", { optOut });
+  } catch (error) {
+    customerNotifyToggle.checked = optOut; // Put the box back
+    alert(`Error saving preference: ${error.message}`);
+  }
+});
+
+// --- MECHANIC DASHBOARD ---
+let mechanicParts = [];
+
+const mechanicJobView = {
+  form: mechanicJobFilters,
+  list: mechanicJobList,
+  moreButton: mechanicLoadMore,
+  createCard: createMechanicJobCard,
+  emptyText: "No assigned jobs match these filters.",
+  offset: 0,
+};
+bindJobListControls(mechanicJobView);
+
+async function loadMechanicDashboard() {
+  loadJobPage(mechanicJobView);
+
+  try {
+    mechanicParts = await apiRequest("/inventory/parts", "GET");
+    renderPartSelect();
+  } catch (error) {
+    console.error("Could not load parts:", error.message);
+  }
+}
+
+// Populate parts dropdown for the modal
+function renderPartSelect() {
+  partSelect.innerHTML = mechanicParts
+    .filter((p) => !p.retired)
+    .map(
+      (p) =>
+        `<option value="${p.id}">${p.partName} - ${formatMoney(
+          p.unitPrice
+        )} (Available: ${p.available})</option>`
+    )
+    .join("");
+}
+
+/**
+ * Re-fetches one job and redraws its card. The card is removed if the
+ * job was reassigned to someone else.
+ * @param {string} jobId - The job that changed.
+ * @param {boolean} addIfMissing - Show the job even if it isn't listed.
+ */
+async function refreshMechanicJob(jobId, addIfMissing) {
+  const job = await apiRequest(`/jobcards/${jobId}`, "GET").catch(() => null);
+  replaceJobCard(
+    mechanicJobList,
+    jobId,
+    job ? createMechanicJobCard(job) : null,
+    addIfMissing
+  );
+}
+
+function createMechanicJobCard(job) {
+  const card = document.createElement("div");
+  card.className = "job-card";
+  card.dataset.jobId = job.id;
+  const statusClass = `status-${job.status.split(" ")[0]}`;
+
+  card.innerHTML = `
+        <h4>Vehicle: ${escapeHtml(job.vehicleNumberPlate)} (Job ID: ${
+    job.id
+  })</h4>
+        <p><strong>Customer:</strong> ${escapeHtml(
+          job.customerName
+        )} (${escapeHtml(job.customerMobile)})</p>
+        <p><strong>Drop-off:</strong> ${formatSlot(job.appointmentSlot)}</p>
+        <p><strong>Issue:</strong> ${escapeHtml(
+          job.issueDescription
+        )} <small>(${categoryLabel(job.category)})</small></p>
+        <p><strong>Status:</strong> <span class="status ${statusClass}">${
+    job.status
+  }</span></p>
+        ${renderPartsLog(job, job.status !== "Dispatched")}
+        ${renderEstimates(job.estimates)}
+        ${renderCharges(job, job.status !== "Dispatched")}
+        ${renderAttachments(job.id, job.attachments, true)}
+        ${renderNotes(job.notes, true)}
+        <div class="job-actions">
+            <select class="update-status-select" data-job-id="${job.id}" ${
+    job.nextStatuses.length === 0 ? "disabled" : ""
+  }>
+                <option value="">-- Update Status --</option>
+                ${job.nextStatuses
+                  .map((s) => `<option value="${s}">${s}</option>`)
+                  .join("")}
+            </select>
+            ${
+              job.status !== "Dispatched"
+                ? `<button class="log-part-button secondary" data-job-id="${job.id}">Log Part</button>`
+                : ""
+            }
+            ${
+              job.partsUsed.length > 0 && job.status !== "Dispatched"
+                ? `<button class="adjust-part-button secondary">Adjust Parts</button>`
+                : ""
+            }
+            ${
+              job.status === "Assigned"
+                ? `<button class="submit-estimate-button secondary">Submit Estimate</button>`
+                : ""
+            }
+            ${
+              job.status !== "Dispatched"
+                ? `<button class="add-labour-button secondary">Add Labour</button>`
+                : ""
+            }
+            <button class="vehicle-history-button secondary">Vehicle History</button>
+            ${renderInvoiceButton(job)}
+        </div>
+    `;
+
+  // Event Listener for status change
   card
-    .querySelector(".assign-mechanic-select")
+    .querySelector(".update-status-select")
     .addEventListener("change", async (e) => {
-      const mechanicId = e.target.value;
-      if (!mechanicId) return; // Maybe add un-assign logic later
+      const newStatus = e.target.value;
+      if (!newStatus) return;
 
       try {
-        // We call the API and get the *updated* job back
-        const { jobCard: updatedJob } = await apiRequest(
-          `/admin/jobcards/${job.id}/assign`,
-          "PUT",
-          { mechanicId }
-        );
+        await apiRequest(`/mechanic/jobs/${job.id}/status`, "PUT", {
+          status: newStatus,
+        });
+        loadMechanicDashboard(); // Refresh
+      } catch (error) {
+        alert(`Error updating status: ${error.message}`);
+      }
+    });
 
-        // We can just refresh the whole dashboard, or be smart and update
-        // the single card. Let's refresh for simplicity.
-        loadAdminDashboard();
+  // Event Listener for log part button
+  const logPartButton = card.querySelector(".log-part-button");
+  if (logPartButton) {
+    logPartButton.addEventListener("click", () => {
+      openLogPartModal(job.id);
+    });
+  }
+
+  const adjustButton = card.querySelector(".adjust-part-button");
+  if (adjustButton) {
+    adjustButton.addEventListener("click", () => {
+      openAdjustPartModal(job, loadMechanicDashboard);
+    });
+  }
+
+  const estimateButton = card.querySelector(".submit-estimate-button");
+  if (estimateButton) {
+    estimateButton.addEventListener("click", () => {
+      openEstimateModal(job.id);
+    });
+  }
+
+  const addLabourButton = card.querySelector(".add-labour-button");
+  if (addLabourButton) {
+    addLabourButton.addEventListener("click", () => {
+      openLabourModal(job.id);
+    });
+  }
+
+  card.querySelectorAll(".remove-labour-button").forEach((button) => {
+    button.addEventListener("click", async () => {
+      try {
+        await apiRequest(
+          `/mechanic/jobs/${job.id}/labour/${button.dataset.itemId}`,
+          "DELETE"
+        );
+        loadMechanicDashboard();
       } catch (error) {
-        alert(`Error assigning mechanic: ${error.message}`);
+        alert(`Error removing labour charge: ${error.message}`);
       }
     });
+  });
+
+  bindReservationButtons(card, `/mechanic/jobs/${job.id}/reservations`, () =>
+    refreshMechanicJob(job.id)
+  );
+  bindInvoiceButton(card, job);
+  bindVehicleHistoryButton(card, job);
+  bindNoteForm(card, `/mechanic/jobs/${job.id}/notes`, () =>
+    refreshMechanicJob(job.id)
+  );
+  bindAttachments(card, refreshMechanicJob);
+  loadThumbnails(card);
 
   return card;
 }
 
+// --- Mechanic Modal Logic ---
+function openLogPartModal(jobId) {
+  modalJobIdSpan.textContent = jobId;
+  modalJobIdInput.value = jobId;
+  logPartError.textContent = "";
+  logPartModal.classList.remove("hidden");
+}
+
+closeModalButton.addEventListener("click", () => {
+  logPartModal.classList.add("hidden");
+});
+
+logPartForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  logPartError.textContent = "";
+  const jobId = modalJobIdInput.value;
+  const partId = document.getElementById("part-select").value;
+  const quantityUsed = document.getElementById("part-quantity").value;
+
+  try {
+    await apiRequest(`/mechanic/jobs/${jobId}/log-part`, "PUT", {
+      partId,
+      quantityUsed,
+    });
+    logPartModal.classList.add("hidden");
+    loadMechanicDashboard(); // Refresh job list
+  } catch (error) {
+    logPartError.textContent = `Error: ${error.message}`;
+  }
+});
+
+document
+  .getElementById("reserve-part-button")
+  .addEventListener("click", async () => {
+    logPartError.textContent = "";
+    const jobId = modalJobIdInput.value;
+
+    try {
+      await apiRequest(`/mechanic/jobs/${jobId}/reservations`, "PUT", {
+        partId: document.getElementById("part-select").value,
+        quantity: document.getElementById("part-quantity").value,
+      });
+      logPartModal.classList.add("hidden");
+      loadMechanicDashboard();
+    } catch (error) {
+      logPartError.textContent = `Error: ${error.message}`;
+    }
+  });
+
+// --- Mechanic Labour Modal ---
+function openLabourModal(jobId) {
+  labourModalJobIdSpan.textContent = jobId;
+  labourModalJobIdInput.value = jobId;
+  labourForm.reset();
+  labourError.textContent = "";
+  labourModal.classList.remove("hidden");
+}
+
+closeLabourModalButton.addEventListener("click", () => {
+  labourModal.classList.add("hidden");
+});
+
+labourForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  labourError.textContent = "";
+  const jobId = labourModalJobIdInput.value;
+  const description = document.getElementById("labour-description").value;
+  const amount = document.getElementById("labour-amount").value;
+
+  try {
+    await apiRequest(`/mechanic/jobs/${jobId}/labour`, "POST", {
+      description,
+      amount,
+    });
+    labourModal.classList.add("hidden");
+    loadMechanicDashboard();
+  } catch (error) {
+    labourError.textContent = `Error: ${error.message}`;
+  }
+});
+
+// --- Mechanic Estimate Modal ---
+function openEstimateModal(jobId) {
+  estimateModalJobIdSpan.textContent = jobId;
+  estimateModalJobIdInput.value = jobId;
+  estimatePartLines.innerHTML = "";
+  estimateLabourLines.innerHTML = "";
+  estimateError.textContent = "";
+  addEstimatePartLine();
+  estimateModal.classList.remove("hidden");
+}
+
+function addEstimatePartLine() {
+  const line = document.createElement("div");
+  line.className = "estimate-line";
+  line.innerHTML = `
+      <select class="estimate-part-select">
+          ${mechanicParts
+            .map(
+              (p) =>
+                `<option value="${p.id}">${p.partName} - ${formatMoney(
+                  p.unitPrice
+                )}</option>`
+            )
+            .join("")}
+      </select>
+      <input type="number" class="estimate-part-quantity" min="1" value="1">
+      <button type="button" class="remove-line-button secondary">&times;</button>
+  `;
+  estimatePartLines.appendChild(line);
+}
+
+function addEstimateLabourLine() {
+  const line = document.createElement("div");
+  line.className = "estimate-line";
+  line.innerHTML = `
+      <input type="text" class="estimate-labour-description" placeholder="Description">
+      <input type="number" class="estimate-labour-amount" min="0.01" step="0.01" placeholder="Amount">
+      <button type="button" class="remove-line-button secondary">&times;</button>
+  `;
+  estimateLabourLines.appendChild(line);
+}
+
+document
+  .getElementById("add-estimate-part-line")
+  .addEventListener("click", addEstimatePartLine);
+document
+  .getElementById("add-estimate-labour-line")
+  .addEventListener("click", addEstimateLabourLine);
+
+estimateForm.addEventListener("click", (e) => {
+  if (e.target.classList.contains("remove-line-button")) {
+    e.target.closest(".estimate-line").remove();
+  }
+});
+
+closeEstimateModalButton.addEventListener("click", () => {
+  estimateModal.classList.add("hidden");
+});
+
+estimateForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  estimateError.textContent = "";
+  const jobId = estimateModalJobIdInput.value;
+  const parts = [...estimatePartLines.querySelectorAll(".estimate-line")].map(
+    (line) => ({
+      partId: line.querySelector(".estimate-part-select").value,
+      quantity: line.querySelector(".estimate-part-quantity").value,
+    })
+  );
+  const labour = [
+    ...estimateLabourLines.querySelectorAll(".estimate-line"),
+  ].map((line) => ({
+    description: line.querySelector(".estimate-labour-description").value,
+    amount: line.querySelector(".estimate-labour-amount").value,
+  }));
+
+  try {
+    const { message, shortages } = await apiRequest(
+      `/mechanic/jobs/${jobId}/estimate`,
+      "POST",
+      { parts, labour }
+    );
+    estimateModal.classList.add("hidden");
+    if (shortages.length > 0) {
+      alert(message);
+    }
+    loadMechanicDashboard();
+  } catch (error) {
+    estimateError.textContent = `Error: ${error.message}`;
+  }
+});
+
+// --- ADMIN DASHBOARD ---
+let adminData = {
+  mechanics: [],
+  customers: [],
+  parts: [],
+};
+
+const adminJobView = {
+  form: adminJobFilters,
+  list: adminJobList,
+  moreButton: adminLoadMore,
+  createCard: createAdminJobCard,
+  emptyText: "No job cards found.",
+  offset: 0,
+};
+bindJobListControls(adminJobView);
+
+/**
+ * Fills the mechanic and customer filter dropdowns, keeping the current
+ * selections.
+ */
+function renderAdminJobFilterOptions() {
+  const { mechanicId, customerId } = adminJobFilters.elements;
+  const selectedMechanic = mechanicId.value;
+  const selectedCustomer = customerId.value;
+  mechanicId.innerHTML = `
+      <option value="">All mechanics</option>
+      <option value="none">Unassigned</option>
+      ${adminData.mechanics
+        .map(
+          (m) => `<option value="${m.id}">${escapeHtml(m.fullName)}</option>`
+        )
+        .join("")}
+  `;
+  customerId.innerHTML = `
+      <option value="">All customers</option>
+      ${adminData.customers
+        .map(
+          (c) => `<option value="${c.id}">${escapeHtml(c.fullName)}</option>`
+        )
+        .join("")}
+  `;
+  mechanicId.value = selectedMechanic;
+  customerId.value = selectedCustomer;
+}
+
+async function loadAdminDashboard() {
+  adminJobList.innerHTML = "Loading...";
+  adminPartsList.innerHTML = "Loading...";
+  adminRestockList.innerHTML = "Loading...";
+
+  try {
+    const data = await apiRequest("/admin/dashboard-data", "GET");
+    adminData.mechanics = data.mechanics;
+    adminData.customers = data.customers;
+    adminData.parts = data.parts;
+
+    // Populate the password reset dropdown
+    resetUserSelect.innerHTML = [
+      ...adminData.mechanics.map((m) => ({ ...m, role: "Mechanic" })),
+      ...adminData.customers.map((c) => ({ ...c, role: "Customer" })),
+    ]
+      .map(
+        (u) =>
+          `<option value="${u.id}">${escapeHtml(u.fullName)} (${
+            u.role
+          })</option>`
+      )
+      .join("");
+
+    // Render Jobs (needs the mechanics for each card's dropdown)
+    renderAdminJobFilterOptions();
+    loadJobPage(adminJobView);
+
+    if (can("jobs:create")) {
+      loadCategoryOptions(walkInCategorySelect);
+    }
+    if (can("inventory:view")) {
+      renderAdminParts();
+    }
+    if (can("inventory:restock")) {
+      loadAdminRestocks();
+    }
+    if (can("settings:manage")) {
+      loadAdminNotifications();
+      loadRolePermissions();
+    }
+    if (can("settings:manage") && can("users:manage")) {
+      loadAutoAssignment();
+    }
+    if (can("users:manage")) {
+      loadAdminUsers();
+      loadAuthEvents();
+    }
+    if (can("audit:view")) {
+      loadAuditLog();
+    }
+  } catch (error) {
+    adminJobList.innerHTML = `<p class="error-message">Error: ${error.message}</p>`;
+  }
+}
+
+// --- Admin Inventory ---
+function renderAdminParts() {
+  const activeParts = adminData.parts.filter((p) => !p.retired);
+  const lowStock = activeParts.filter((p) => p.lowStock);
+
+  if (lowStock.length === 0) {
+    adminLowStockList.classList.add("hidden");
+  } else {
+    adminLowStockList.classList.remove("hidden");
+    adminLowStockList.innerHTML = `
+        <strong>Low Stock:</strong>
+        ${lowStock
+          .map(
+            (p) =>
+              `${p.partName} (${p.available} available, reorder at ${p.reorderLevel})`
+          )
+          .join(", ")}
+    `;
+  }
+
+  if (adminData.parts.length === 0) {
+    adminPartsList.innerHTML = "<p>No parts in inventory.</p>";
+    return;
+  }
+
+  adminPartsList.innerHTML = `
+      <table class="data-table">
+          <thead>
+              <tr>
+                  <th>Part</th>
+                  <th>In Stock</th>
+                  <th>Reserved</th>
+                  <th>Available</th>
+                  <th>Reorder Level</th>
+                  <th>Unit Price (&#8377;)</th>
+                  <th>Actions</th>
+              </tr>
+          </thead>
+          <tbody>
+              ${adminData.parts.map(createAdminPartRow).join("")}
+          </tbody>
+      </table>
+  `;
+}
+
+function createAdminPartRow(part) {
+  if (part.retired) {
+    return `
+        <tr class="retired-row">
+            <td>${part.partName}</td>
+            <td>${part.quantity}</td>
+            <td>${part.reserved}</td>
+            <td>${part.available}</td>
+            <td>${part.reorderLevel}</td>
+            <td>${formatMoney(part.unitPrice)}</td>
+            <td>Retired</td>
+        </tr>
+    `;
+  }
+
+  const lowClass = part.lowStock ? "low-stock" : "";
+  return `
+      <tr data-part-id="${part.id}">
+          <td>${part.partName}</td>
+          <td>${part.quantity}</td>
+          <td>${part.reserved}</td>
+          <td class="${lowClass}">${part.available}</td>
+          <td>
+              <input type="number" class="reorder-level-input" min="0" value="${part.reorderLevel}">
+          </td>
+          <td>
+              <input type="number" class="unit-price-input" min="0" step="0.01" value="${part.unitPrice}">
+              <button class="save-part-button secondary">Save</button>
+          </td>
+          <td>
+              <input type="number" class="restock-quantity-input" min="1" placeholder="Qty">
+              <button class="restock-button">Restock</button>
+              <button class="retire-part-button secondary">Retire</button>
+          </td>
+      </tr>
+  `;
+}
+
+adminPartsList.addEventListener("click", async (e) => {
+  const row = e.target.closest("tr[data-part-id]");
+  if (!row || e.target.tagName !== "BUTTON") return;
+  const partId = row.dataset.partId;
+
+  try {
+    if (e.target.classList.contains("restock-button")) {
+      const quantity = row.querySelector(".restock-quantity-input").value;
+      await apiRequest(`/inventory/parts/${partId}/restock`, "POST", {
+        quantity,
+      });
+    } else if (e.target.classList.contains("save-part-button")) {
+      const reorderLevel = row.querySelector(".reorder-level-input").value;
+      const unitPrice = row.querySelector(".unit-price-input").value;
+      await apiRequest(`/inventory/parts/${partId}`, "PUT", {
+        reorderLevel,
+        unitPrice,
+      });
+    } else if (e.target.classList.contains("retire-part-button")) {
+      if (!confirm("Retire this part? It can no longer be logged on jobs.")) {
+        return;
+      }
+      await apiRequest(`/inventory/parts/${partId}`, "DELETE");
+    }
+    loadAdminDashboard();
+  } catch (error) {
+    alert(`Error updating part: ${error.message}`);
+  }
+});
+
+adminAddPartForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  adminAddPartMessage.textContent = "";
+  const partName = document.getElementById("new-part-name").value;
+  const quantity = document.getElementById("new-part-quantity").value;
+  const reorderLevel = document.getElementById("new-part-reorder-level").value;
+  const unitPrice = document.getElementById("new-part-price").value;
+
+  try {
+    await apiRequest("/inventory/parts", "POST", {
+      partName,
+      quantity,
+      reorderLevel,
+      unitPrice,
+    });
+    adminAddPartForm.reset();
+    adminAddPartMessage.textContent = "Part added successfully!";
+    loadAdminDashboard();
+  } catch (error) {
+    adminAddPartMessage.textContent = `Error: ${error.message}`;
+  }
+});
+
+async function loadAdminRestocks() {
+  try {
+    const restocks = await apiRequest("/inventory/restocks", "GET");
+    if (restocks.length === 0) {
+      adminRestockList.innerHTML = "<p>No restocks recorded yet.</p>";
+      return;
+    }
+    adminRestockList.innerHTML = `
+        <ul>
+            ${restocks
+              .slice(0, 10)
+              .map(
+                (r) =>
+                  `<li>${new Date(r.date).toLocaleString()}: ${
+                    r.addedByName
+                  } added ${r.quantity} x ${r.partName}${
+                    r.note ? ` (${r.note})` : ""
+                  }</li>`
+              )
+              .join("")}
+        </ul>
+    `;
+  } catch (error) {
+    adminRestockList.innerHTML = `<p class="error-message">Error: ${error.message}</p>`;
+  }
+}
+
+/**
+ * Re-fetches one job and redraws its card.
+ * @param {string} jobId - The job that changed.
+ * @param {boolean} addIfMissing - Show the job even if it isn't listed.
+ */
+async function refreshAdminJob(jobId, addIfMissing) {
+  const job = await apiRequest(`/jobcards/${jobId}`, "GET");
+  replaceJobCard(adminJobList, jobId, createAdminJobCard(job), addIfMissing);
+}
+
+/**
+ * Re-fetches the parts list and redraws the admin inventory section.
+ */
+async function refreshAdminParts() {
+  const data = await apiRequest("/admin/dashboard-data", "GET");
+  adminData.parts = data.parts;
+  renderAdminParts();
+  if (can("inventory:restock")) {
+    loadAdminRestocks();
+  }
+}
+
+function createAdminJobCard(job) {
+  const card = document.createElement("div");
+  card.className = "job-card";
+  card.dataset.jobId = job.id;
+  const statusClass = `status-${job.status.split(" ")[0]}`;
+  // Mirrors the server: only Pending, Assigned and In Progress jobs can be
+  // (re)assigned.
+  const canAssign =
+    can("jobs:assign") &&
+    ["Pending", "Assigned", "In Progress"].includes(job.status);
+
+  // Create dropdown for mechanic assignment
+  const mechanicOptions = adminData.mechanics
+    .map(
+      (m) =>
+        `<option value="${m.id}" ${
+          job.assignedMechanicId === m.id ? "selected" : ""
+        }>${escapeHtml(m.fullName)}</option>`
+    )
+    .join("");
+
+  card.innerHTML = `
+        <h4>Vehicle: ${escapeHtml(job.vehicleNumberPlate)} (Job ID: ${
+    job.id
+  })</h4>
+        <p><strong>Customer:</strong> ${escapeHtml(job.customerName)}</p>
+        <p><strong>Drop-off:</strong> ${formatSlot(job.appointmentSlot)}</p>
+        <p><strong>Issue:</strong> ${escapeHtml(
+          job.issueDescription
+        )} <small>(${categoryLabel(job.category)})</small></p>
+        ${
+          job.autoAssigned
+            ? `<p><small>Mechanic picked automatically</small></p>`
+            : ""
+        }
+        <p><strong>Status:</strong> <span class="status ${statusClass}">${
+    job.status
+  }</span></p>
+        ${renderPartsLog(job, !isClosed(job) && can("jobs:assign"))}
+        ${renderEstimates(job.estimates)}
+        ${renderCharges(job)}
+        ${renderStatusHistory(job.statusHistory)}
+        ${renderAttachments(job.id, job.attachments, false)}
+        ${renderNotes(job.notes, true)}
+        <div class="job-actions">
+            <label for="assign-mech-${job.id}">Assign Mechanic:</label>
+            <select id="assign-mech-${
+              job.id
+            }" class="assign-mechanic-select" data-job-id="${job.id}" ${
+    canAssign ? "" : "disabled"
+  }>
+                <option value="">-- Unassigned --</option>
+                ${mechanicOptions}
+            </select>
+            ${
+              job.partsUsed.length > 0 && can("jobs:adjust-parts")
+                ? `<button class="adjust-part-button secondary">Adjust Parts</button>`
+                : ""
+            }
+            ${
+              !isClosed(job) && can("jobs:assign")
+                ? `<button class="reschedule-button secondary">Reschedule</button>`
+                : ""
+            }
+            ${
+              ["Pending", "Assigned"].includes(job.status) && can("jobs:assign")
+                ? `<button class="cancel-job-button secondary">Cancel Job</button>`
+                : ""
+            }
+            <button class="vehicle-history-button secondary">Vehicle History</button>
+            ${renderInvoiceButton(job)}
+        </div>
+    `;
+
+  const rescheduleButton = card.querySelector(".reschedule-button");
+  if (rescheduleButton) {
+    rescheduleButton.addEventListener("click", () => openRescheduleModal(job));
+  }
+
+  const cancelButton = card.querySelector(".cancel-job-button");
+  if (cancelButton) {
+    cancelButton.addEventListener("click", () => cancelJob(job));
+  }
+
+  // Event Listener for mechanic assignment
+  card
+    .querySelector(".assign-mechanic-select")
+    .addEventListener("change", async (e) => {
+      const mechanicId = e.target.value;
+      if (!mechanicId) {
+        unassignMechanic(job, e.target);
+        return;
+      }
+
+      try {
+        // We call the API and get the *updated* job back
+        const { jobCard: updatedJob } = await apiRequest(
+          `/admin/jobcards/${job.id}/assign`,
+          "PUT",
+          { mechanicId }
+        );
+
+        // We can just refresh the whole dashboard, or be smart and update
+        // the single card. Let's refresh for simplicity.
+        loadAdminDashboard();
+      } catch (error) {
+        alert(`Error assigning mechanic: ${error.message}`);
+      }
+    });
+
+  const adjustButton = card.querySelector(".adjust-part-button");
+  if (adjustButton) {
+    adjustButton.addEventListener("click", () => {
+      openAdjustPartModal(job, loadAdminDashboard);
+    });
+  }
+
+  bindReservationButtons(card, `/admin/jobcards/${job.id}/reservations`, () =>
+    refreshAdminJob(job.id)
+  );
+  bindInvoiceButton(card, job);
+  bindVehicleHistoryButton(card, job);
+  bindNoteForm(card, `/admin/jobcards/${job.id}/notes`, () =>
+    refreshAdminJob(job.id)
+  );
+  bindAttachments(card, refreshAdminJob);
+  loadThumbnails(card);
+
+  return card;
+}
+
+// --- Admin Notification Outbox ---
+async function loadAdminNotifications() {
+  try {
+    const status = adminNotificationFilter.value;
+    const entries = await apiRequest(
+      `/admin/notifications${status ? `?status=${status}` : ""}`,
+      "GET"
+    );
+    if (entries.length === 0) {
+      adminNotificationList.innerHTML = "<p>No notifications.</p>";
+      return;
+    }
+    adminNotificationList.innerHTML = `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Queued</th>
+                    <th>Customer</th>
+                    <th>To</th>
+                    <th>Message</th>
+                    <th>Status</th>
+                    <th>Attempts</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${entries
+                  .map(
+                    (n) => `
+                    <tr>
+                        <td>${new Date(n.createdDate).toLocaleString()}</td>
+                        <td>${escapeHtml(n.customerName)}</td>
+                        <td>${n.channel.toUpperCase()}: ${escapeHtml(n.to)}</td>
+                        <td>${escapeHtml(n.body)}</td>
+                        <td>${n.status}${
+                      n.lastError
+                        ? `<br><small>${escapeHtml(n.lastError)}</small>`
+                        : ""
+                    }</td>
+                        <td>${n.attempts}</td>
+                        <td>${
+                          n.status === "Failed"
+                            ? `<button class="retry-notification-button secondary" data-id="${n.id}">Retry</button>`
+                            : ""
+                        }</td>
+                    </tr>`
+                  )
+                  .join("")}
+            </tbody>
+        </table>
+    `;
+  } catch (error) {
+    adminNotificationList.innerHTML = `<p class="error-message">Error: ${error.message}</p>`;
+  }
+}
+
+adminNotificationFilter.addEventListener("change", loadAdminNotifications);
+
+adminNotificationList.addEventListener("click", async (e) => {
+  const button = e.target.closest(".retry-notification-button");
+  if (!button) return;
+  try {
+    await apiRequest(`/admin/notifications/${button.dataset.id}/retry`, "POST");
+    loadAdminNotifications();
+  } catch (error) {
+    alert(`Error: ${error.message}`);
+  }
+});
+
+// --- Admin Auto-Assignment ---
+async function loadAutoAssignment() {
+  try {
+    const [settings, categories, mechanics] = await Promise.all([
+      apiRequest("/admin/settings/auto-assign", "GET"),
+      apiRequest("/skills", "GET"),
+      apiRequest("/admin/users?role=mechanic&status=active", "GET"),
+    ]);
+    adminAutoAssignToggle.checked = settings.enabled;
+    if (mechanics.length === 0) {
+      adminSkillList.innerHTML = "<p>No active mechanics.</p>";
+      return;
+    }
+    adminSkillList.innerHTML = `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Mechanic</th>
+                    <th>Skills</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${mechanics
+                  .map(
+                    (m) => `
+                    <tr data-user-id="${m.id}">
+                        <td>${escapeHtml(m.fullName)}</td>
+                        <td>${categories
+                          .map(
+                            (c) => `
+                            <label class="skill-checkbox">
+                                <input type="checkbox" value="${c}" ${
+                              (m.skills || []).includes(c) ? "checked" : ""
+                            }>
+                                ${categoryLabel(c)}
+                            </label>`
+                          )
+                          .join("")}</td>
+                        <td><button class="save-skills-button secondary">Save</button></td>
+                    </tr>`
+                  )
+                  .join("")}
+            </tbody>
+        </table>
+    `;
+  } catch (error) {
+    adminSkillList.innerHTML = `<p class="error-message">Error: ${error.message}</p>`;
+  }
+}
+
+adminAutoAssignToggle.addEventListener("change", async () => {
+  try {
+    await apiRequest("/admin/settings/auto-assign", "PUT", {
+      enabled: adminAutoAssignToggle.checked,
+    });
+  } catch (error) {
+    adminAutoAssignToggle.checked = !adminAutoAssignToggle.checked;
+    alert(`Error: ${error.message}`);
+  }
+});
+
+adminSkillList.addEventListener("click", async (e) => {
+  if (!e.target.classList.contains("save-skills-button")) return;
+  const row = e.target.closest("tr[data-user-id]");
+  try {
+    await apiRequest(`/admin/users/${row.dataset.userId}/skills`, "PUT", {
+      skills: [...row.querySelectorAll("input:checked")].map(
+        (input) => input.value
+      ),
+    });
+  } catch (error) {
+    alert(`Error saving skills: ${error.message}`);
+  }
+});
+
+/**
+ * Returns an Assigned job to Pending after the admin confirms.
+ * Resets the dropdown if the job can't be unassigned or the admin cancels.
+ * @param {object} job - The admin job card data.
+ * @param {HTMLSelectElement} select - The card's mechanic dropdown.
+ */
+async function unassignMechanic(job, select) {
+  if (job.status !== "Assigned") {
+    alert(
+      "Work has started on this job. Reassign it to another mechanic instead."
+    );
+    select.value = job.assignedMechanicId || "";
+    return;
+  }
+  if (
+    !confirm(`Unassign ${job.mechanicName} and return this job to Pending?`)
+  ) {
+    select.value = job.assignedMechanicId;
+    return;
+  }
+
+  try {
+    await apiRequest(`/admin/jobcards/${job.id}/unassign`, "PUT");
+    loadAdminDashboard();
+  } catch (error) {
+    select.value = job.assignedMechanicId;
+    alert(`Error unassigning mechanic: ${error.message}`);
+  }
+}
+
+async function cancelJob(job) {
+  if (
+    !confirm(
+      `Cancel the job for ${job.vehicleNumberPlate}? Its slot and any reserved parts will be freed.`
+    )
+  ) {
+    return;
+  }
+
+  try {
+    await apiRequest(`/admin/jobcards/${job.id}/cancel`, "PUT");
+    loadAdminDashboard();
+  } catch (error) {
+    alert(`Error cancelling job: ${error.message}`);
+  }
+}
+
+// --- Admin User Management ---
+async function loadAdminUsers() {
+  const params = new URLSearchParams();
+  ["role", "status", "search"].forEach((name) => {
+    const value = adminUserFilters.elements[name].value.trim();
+    if (value) params.set(name, value);
+  });
+
+  try {
+    const users = await apiRequest(`/admin/users?${params}`, "GET");
+    if (users.length === 0) {
+      adminUserList.innerHTML = "<p>No users match these filters.</p>";
+      return;
+    }
+    adminUserList.innerHTML = `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Name</th>
+                    <th>Username</th>
+                    <th>Role</th>
+                    <th>Mobile</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${users.map(createAdminUserRow).join("")}
+            </tbody>
+        </table>
+    `;
+  } catch (error) {
+    adminUserList.innerHTML = `<p class="error-message">Error: ${error.message}</p>`;
+  }
+}
+
+function isLocked(user) {
+  return user.lockedUntil && new Date(user.lockedUntil) > new Date();
+}
+
+function renderUnlockButton(user) {
+  return isLocked(user)
+    ? `<button class="unlock-user-button secondary">Unlock</button>`
+    : "";
+}
+
+function renderSignOutButton(user) {
+  return user.active && user.id !== CURRENT_USER.id
+    ? `<button class="end-sessions-button secondary">Sign Out Everywhere</button>`
+    : "";
+}
+
+function renderLockStatus(user) {
+  return isLocked(user)
+    ? `<br><small>Locked until ${new Date(
+        user.lockedUntil
+      ).toLocaleTimeString()}</small>`
+    : "";
+}
+
+function createAdminUserRow(user) {
+  if (user.role === "admin") {
+    return `
+        <tr data-user-id="${user.id}">
+            <td>${escapeHtml(user.fullName)}</td>
+            <td>${escapeHtml(user.username)}</td>
+            <td>${user.role}</td>
+            <td>${escapeHtml(user.mobile)}</td>
+            <td>Active${renderLockStatus(user)}</td>
+            <td>${renderUnlockButton(user)}${renderSignOutButton(user)}</td>
+        </tr>
+    `;
+  }
+
+  return `
+      <tr data-user-id="${user.id}" class="${user.active ? "" : "retired-row"}">
+          <td><input type="text" class="user-name-input" value="${escapeHtml(
+            user.fullName
+          )}"></td>
+          <td>${escapeHtml(user.username)}</td>
+          <td>${user.role}</td>
+          <td><input type="text" class="user-mobile-input" value="${escapeHtml(
+            user.mobile
+          )}"></td>
+          <td>${
+            user.active
+              ? "Active"
+              : `Deactivated ${new Date(
+                  user.deactivatedDate
+                ).toLocaleDateString()}`
+          }${renderLockStatus(user)}</td>
+          <td>
+              <button class="save-user-button secondary">Save</button>
+              ${renderUnlockButton(user)}
+              ${renderSignOutButton(user)}
+              ${
+                user.active
+                  ? `<button class="deactivate-user-button">Deactivate</button>`
+                  : `<button class="reactivate-user-button">Reactivate</button>`
+              }
+          </td>
+      </tr>
+  `;
+}
+
+adminUserFilters.addEventListener("submit", (e) => {
+  e.preventDefault();
+  loadAdminUsers();
+});
+
+adminUserList.addEventListener("click", async (e) => {
+  const row = e.target.closest("tr[data-user-id]");
+  if (!row || e.target.tagName !== "BUTTON") return;
+  const userId = row.dataset.userId;
+
+  try {
+    if (e.target.classList.contains("save-user-button")) {
+      await apiRequest(`/admin/users/${userId}`, "PUT", {
+        fullName: row.querySelector(".user-name-input").value,
+        mobile: row.querySelector(".user-mobile-input").value,
+      });
+    } else if (e.target.classList.contains("deactivate-user-button")) {
+      if (!confirm("Deactivate this user? They will be logged out.")) {
+        return;
+      }
+      await apiRequest(`/admin/users/${userId}/active`, "PUT", {
+        active: false,
+      });
+    } else if (e.target.classList.contains("reactivate-user-button")) {
+      await apiRequest(`/admin/users/${userId}/active`, "PUT", {
+        active: true,
+      });
+    } else if (e.target.classList.contains("unlock-user-button")) {
+      await apiRequest(`/admin/users/${userId}/unlock`, "PUT");
+    } else if (e.target.classList.contains("end-sessions-button")) {
+      if (!confirm("Sign this user out on all their devices?")) {
+        return;
+      }
+      const data = await apiRequest(
+        `/admin/users/${userId}/sessions`,
+        "DELETE"
+      );
+      alert(data.message);
+      return;
+    }
+    loadAdminDashboard();
+  } catch (error) {
+    alert(`Error updating user: ${error.message}`);
+  }
+});
+
+// --- Walk-in Jobs ---
+walkInForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  walkInMessage.textContent = "";
+  const body = {};
+  [
+    "mobile",
+    "fullName",
+    "plate",
+    "make",
+    "model",
+    "year",
+    "fuelType",
+    "odometer",
+    "issueDescription",
+    "category",
+  ].forEach((name) => {
+    const value = walkInForm.elements[name].value.trim();
+    if (value) body[name] = value;
+  });
+
+  try {
+    const { jobCard } = await apiRequest("/jobcards", "POST", body);
+    walkInForm.reset();
+    walkInMessage.textContent = `Job created for ${jobCard.vehicleNumberPlate}.`;
+    refreshAdminJob(jobCard.id, true);
+  } catch (error) {
+    walkInMessage.textContent = `Error: ${error.message}`;
+  }
+});
+
+// --- Admin Role Permissions ---
+async function loadRolePermissions() {
+  try {
+    const { permissions, roles } = await apiRequest(
+      "/admin/settings/permissions",
+      "GET"
+    );
+    const roleNames = Object.keys(roles);
+    adminPermissionList.innerHTML = `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Permission</th>
+                    ${roleNames
+                      .map(
+                        (role) =>
+                          `<th>${role[0].toUpperCase()}${role.slice(1)}</th>`
+                      )
+                      .join("")}
+                </tr>
+            </thead>
+            <tbody>
+                ${Object.entries(permissions)
+                  .map(
+                    ([name, description]) => `
+                    <tr>
+                        <td>${description}<br><small>${name}</small></td>
+                        ${roleNames
+                          .map(
+                            (role) => `
+                            <td><input type="checkbox" data-role="${role}" value="${name}" ${
+                              roles[role].includes(name) ? "checked" : ""
+                            }></td>`
+                          )
+                          .join("")}
+                    </tr>`
+                  )
+                  .join("")}
+            </tbody>
+        </table>
+        <p><small>Admins always hold every permission.</small></p>
+        <button id="save-permissions-button">Save Permissions</button>
+    `;
+  } catch (error) {
+    adminPermissionList.innerHTML = `<p class="error-message">Error: ${error.message}</p>`;
+  }
+}
+
+adminPermissionList.addEventListener("click", async (e) => {
+  if (e.target.id !== "save-permissions-button") return;
+  const roles = {};
+  adminPermissionList
+    .querySelectorAll("input[data-role]")
+    .forEach(({ dataset, value, checked }) => {
+      roles[dataset.role] = roles[dataset.role] || [];
+      if (checked) roles[dataset.role].push(value);
+    });
+
+  try {
+    await apiRequest("/admin/settings/permissions", "PUT", { roles });
+    alert("Permissions saved. Dashboards update when users next log in.");
+  } catch (error) {
+    alert(`Error saving permissions: ${error.message}`);
+  }
+});
+
+// --- Admin Sign-in Activity ---
+async function loadAuthEvents() {
+  const params = new URLSearchParams();
+  ["type", "username"].forEach((name) => {
+    const value = adminAuthEventFilters.elements[name].value.trim();
+    if (value) params.set(name, value);
+  });
+
+  try {
+    const events = await apiRequest(`/admin/auth-events?${params}`, "GET");
+    if (events.length === 0) {
+      adminAuthEventList.innerHTML = "<p>No sign-in activity.</p>";
+      return;
+    }
+    adminAuthEventList.innerHTML = `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Time</th>
+                    <th>Event</th>
+                    <th>Username</th>
+                    <th>IP Address</th>
+                    <th>Details</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${events
+                  .map(
+                    (e) => `
+                    <tr>
+                        <td>${new Date(e.date).toLocaleString()}</td>
+                        <td>${escapeHtml(e.type)}</td>
+                        <td>${escapeHtml(e.username)}</td>
+                        <td>${escapeHtml(e.ip)}</td>
+                        <td>${escapeHtml(e.reason)}</td>
+                    </tr>`
+                  )
+                  .join("")}
+            </tbody>
+        </table>
+    `;
+  } catch (error) {
+    adminAuthEventList.innerHTML = `<p class="error-message">Error: ${error.message}</p>`;
+  }
+}
+
+adminAuthEventFilters.addEventListener("submit", (e) => {
+  e.preventDefault();
+  loadAuthEvents();
+});
+
+// --- Admin Audit Log ---
+function formatAuditValue(value) {
+  const text = JSON.stringify(value);
+  const short = text.length > 80 ? `${text.slice(0, 77)}...` : text;
+  return escapeHtml(short);
+}
+
+/**
+ * Describes one audit entry's change, field by field for updates.
+ * @param {object} entry - An audit log entry.
+ * @returns {string} HTML.
+ */
+function renderAuditChange(entry) {
+  if (entry.change === "create") return "Created";
+  if (entry.change === "delete") return "Deleted";
+  return Object.keys(entry.after)
+    .map(
+      (field) =>
+        `${field}: ${formatAuditValue(
+          entry.before[field]
+        )} &rarr; ${formatAuditValue(entry.after[field])}`
+    )
+    .join("<br>");
+}
+
+async function loadAuditLog() {
+  const params = new URLSearchParams();
+  ["user", "entity", "entityId", "from", "to"].forEach((name) => {
+    const value = adminAuditFilters.elements[name].value.trim();
+    if (value) params.set(name, value);
+  });
+
+  try {
+    const entries = await apiRequest(`/admin/audit-log?${params}`, "GET");
+    if (entries.length === 0) {
+      adminAuditList.innerHTML = "<p>No changes match these filters.</p>";
+      return;
+    }
+    adminAuditList.innerHTML = `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Time</th>
+                    <th>User</th>
+                    <th>Action</th>
+                    <th>Record</th>
+                    <th>Changes</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${entries
+                  .map(
+                    (e) => `
+                    <tr>
+                        <td>${new Date(e.date).toLocaleString()}</td>
+                        <td>${escapeHtml(e.actorUsername || e.actorRole)}</td>
+                        <td>${escapeHtml(e.action)}</td>
+                        <td>${e.entity}<br><small>${escapeHtml(
+                      e.entityId
+                    )}</small></td>
+                        <td>${renderAuditChange(e)}</td>
+                    </tr>`
+                  )
+                  .join("")}
+            </tbody>
+        </table>
+    `;
+  } catch (error) {
+    adminAuditList.innerHTML = `<p class="error-message">Error: ${error.message}</p>`;
+  }
+}
+
+adminAuditFilters.addEventListener("submit", (e) => {
+  e.preventDefault();
+  loadAuditLog();
+});
+
+// --- Admin Calendar & Rescheduling ---
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+function shiftCalendar(days) {
+  const dateInput = adminCalendarControls.elements.date;
+  const date = new Date(`${dateInput.value || todayString()}T00:00`);
+  date.setDate(date.getDate() + days);
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+  dateInput.value = date.toISOString().slice(0, 10);
+  loadAdminCalendar();
+}
+
+async function loadAdminCalendar() {
+  const { date, view } = adminCalendarControls.elements;
+  if (!date.value) date.value = todayString();
+  const days = view.value === "week" ? 7 : 1;
+  adminCalendar.innerHTML = "Loading...";
+
+  try {
+    const calendar = await apiRequest(
+      `/admin/appointments?date=${date.value}&days=${days}`,
+      "GET"
+    );
+    adminCalendar.innerHTML = `
+        <div class="calendar-grid">
+            ${calendar
+              .map(
+                (day) => `
+                <div class="calendar-day">
+                    <h4>${new Date(`${day.date}T00:00`).toDateString()}</h4>
+                    ${
+                      day.slots.length === 0
+                        ? "<p>Closed</p>"
+                        : day.slots.map(renderCalendarSlot).join("")
+                    }
+                </div>`
+              )
+              .join("")}
+        </div>
+    `;
+  } catch (error) {
+    adminCalendar.innerHTML = `<p class="error-message">Error: ${error.message}</p>`;
+  }
+}
+
+function renderCalendarSlot(slot) {
+  const fullClass = slot.booked >= slot.capacity ? "slot-full" : "";
+  return `
+      <div class="calendar-slot ${fullClass}">
+          <strong>${slot.time}</strong> <small>${slot.booked}/${
+    slot.capacity
+  } booked</small>
+          ${slot.jobs
+            .map(
+              (job) => `
+              <div class="calendar-job">
+                  ${escapeHtml(job.vehicleNumberPlate)} - ${escapeHtml(
+                job.customerName
+              )} (${job.status})
+                  ${
+                    job.status !== "Dispatched"
+                      ? `<button class="calendar-reschedule-button secondary" data-job-id="${
+                          job.id
+                        }" data-plate="${escapeHtml(
+                          job.vehicleNumberPlate
+                        )}" data-slot="${slot.slot}">Move</button>`
+                      : ""
+                  }
+              </div>`
+            )
+            .join("")}
+      </div>
+  `;
+}
+
+adminCalendarControls.addEventListener("submit", (e) => {
+  e.preventDefault();
+  loadAdminCalendar();
+});
+adminCalendarControls.elements.view.addEventListener(
+  "change",
+  loadAdminCalendar
+);
+document
+  .getElementById("calendar-prev")
+  .addEventListener("click", () =>
+    shiftCalendar(
+      adminCalendarControls.elements.view.value === "week" ? -7 : -1
+    )
+  );
+document
+  .getElementById("calendar-next")
+  .addEventListener("click", () =>
+    shiftCalendar(adminCalendarControls.elements.view.value === "week" ? 7 : 1)
+  );
+
+adminCalendar.addEventListener("click", (e) => {
+  const button = e.target.closest(".calendar-reschedule-button");
+  if (!button) return;
+  openRescheduleModal({
+    id: button.dataset.jobId,
+    vehicleNumberPlate: button.dataset.plate,
+    appointmentSlot: button.dataset.slot,
+  });
+});
+
+/**
+ * Opens the reschedule modal for a job, starting on its current day.
+ * @param {object} job - Needs id, vehicleNumberPlate and appointmentSlot.
+ */
+function openRescheduleModal(job) {
+  rescheduleForm.dataset.jobId = job.id;
+  rescheduleJobLabel.textContent = job.vehicleNumberPlate;
+  rescheduleError.textContent = "";
+  const day =
+    job.appointmentSlot && job.appointmentSlot.slice(0, 10) >= todayString()
+      ? job.appointmentSlot.slice(0, 10)
+      : todayString();
+  rescheduleDateInput.min = todayString();
+  rescheduleDateInput.value = day;
+  loadSlotOptions(day, rescheduleSlotSelect);
+  rescheduleModal.classList.remove("hidden");
+}
+
+rescheduleDateInput.addEventListener("change", () =>
+  loadSlotOptions(rescheduleDateInput.value, rescheduleSlotSelect)
+);
+
+closeRescheduleModalButton.addEventListener("click", () => {
+  rescheduleModal.classList.add("hidden");
+});
+
+rescheduleForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  rescheduleError.textContent = "";
+  try {
+    await apiRequest(
+      `/admin/jobcards/${rescheduleForm.dataset.jobId}/appointment`,
+      "PUT",
+      { appointmentSlot: rescheduleSlotSelect.value }
+    );
+    rescheduleModal.classList.add("hidden");
+    loadAdminDashboard();
+    if (
+      !document
+        .getElementById("admin-calendar-tab")
+        .classList.contains("hidden")
+    ) {
+      loadAdminCalendar();
+    }
+  } catch (error) {
+    rescheduleError.textContent = error.message;
+  }
+});
+
+// --- Admin Scheduling Settings & Shifts ---
+function renderDayCheckboxes(name, selectedDays) {
+  return WEEKDAYS.map(
+    (label, day) => `
+      <label class="day-checkbox">
+          <input type="checkbox" name="${name}" value="${day}" ${
+      selectedDays.includes(day) ? "checked" : ""
+    }>
+          ${label}
+      </label>`
+  ).join("");
+}
+
+function checkedDays(container, name) {
+  return [...container.querySelectorAll(`input[name="${name}"]:checked`)].map(
+    (input) => Number(input.value)
+  );
+}
+
+async function loadSchedulingSettings() {
+  try {
+    const [settings, mechanics] = await Promise.all([
+      apiRequest("/admin/settings/scheduling", "GET"),
+      apiRequest("/admin/users?role=mechanic&status=active", "GET"),
+    ]);
+    const { elements } = adminSchedulingForm;
+    elements.openTime.value = settings.openTime;
+    elements.closeTime.value = settings.closeTime;
+    elements.slotMinutes.value = settings.slotMinutes;
+    elements.bays.value = settings.bays;
+    document.getElementById("scheduling-working-days").innerHTML =
+      renderDayCheckboxes("workingDays", settings.workingDays);
+
+    adminShiftList.innerHTML = `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Mechanic</th>
+                    <th>Days</th>
+                    <th>Start</th>
+                    <th>End</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${mechanics
+                  .map(
+                    (m) => `
+                    <tr data-user-id="${m.id}">
+                        <td>${escapeHtml(m.fullName)}</td>
+                        <td>${renderDayCheckboxes(
+                          "shiftDays",
+                          m.shift.days
+                        )}</td>
+                        <td><input type="time" class="shift-start-input" value="${
+                          m.shift.start
+                        }"></td>
+                        <td><input type="time" class="shift-end-input" value="${
+                          m.shift.end
+                        }"></td>
+                        <td><button class="save-shift-button secondary">Save</button></td>
+                    </tr>`
+                  )
+                  .join("")}
+            </tbody>
+        </table>
+    `;
+  } catch (error) {
+    adminSchedulingMessage.textContent = `Error: ${error.message}`;
+  }
+}
+
+adminSchedulingForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  adminSchedulingMessage.textContent = "";
+  const { elements } = adminSchedulingForm;
+  try {
+    await apiRequest("/admin/settings/scheduling", "PUT", {
+      openTime: elements.openTime.value,
+      closeTime: elements.closeTime.value,
+      slotMinutes: elements.slotMinutes.value,
+      bays: elements.bays.value,
+      workingDays: checkedDays(adminSchedulingForm, "workingDays"),
+    });
+    adminSchedulingMessage.textContent = "Scheduling settings saved!";
+    loadAdminCalendar();
+  } catch (error) {
+    adminSchedulingMessage.textContent = `Error: ${error.message}`;
+  }
+});
+
+adminShiftList.addEventListener("click", async (e) => {
+  if (!e.target.classList.contains("save-shift-button")) return;
+  const row = e.target.closest("tr[data-user-id]");
+  try {
+    await apiRequest(`/admin/users/${row.dataset.userId}/shift`, "PUT", {
+      days: checkedDays(row, "shiftDays"),
+      start: row.querySelector(".shift-start-input").value,
+      end: row.querySelector(".shift-end-input").value,
+    });
+    loadAdminCalendar();
+  } catch (error) {
+    alert(`Error saving shift: ${error.message}`);
+  }
+});
+
+// --- Admin Purchasing ---
+let adminSuppliers = [];
+
+async function loadPurchasing() {
+  await loadSuppliers();
+  loadSuggestedOrders();
+  loadPurchaseOrders();
+  if (adminPoLines.children.length === 0) {
+    addPoLine();
+  }
+}
+
+function supplierOptions() {
+  return adminSuppliers
+    .filter((s) => s.active)
+    .map((s) => `<option value="${s.id}">${s.name}</option>`)
+    .join("");
+}
+
+async function loadSuppliers() {
+  try {
+    adminSuppliers = await apiRequest(
+      "/inventory/suppliers?includeInactive=true",
+      "GET"
+    );
+    poSupplierSelect.innerHTML = supplierOptions();
+    if (adminSuppliers.length === 0) {
+      adminSupplierList.innerHTML = "<p>No suppliers added yet.</p>";
+      return;
+    }
+    adminSupplierList.innerHTML = `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Supplier</th>
+                    <th>Contact</th>
+                    <th>Lead Time (days)</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${adminSuppliers
+                  .map(
+                    (s) => `
+                    <tr data-supplier-id="${s.id}" class="${
+                      s.active ? "" : "retired-row"
+                    }">
+                        <td>${s.name}</td>
+                        <td>${[s.contactName, s.phone, s.email]
+                          .filter(Boolean)
+                          .join("<br>")}</td>
+                        <td>
+                            <input type="number" class="lead-time-input" min="0" value="${
+                              s.leadTimeDays
+                            }">
+                            <button class="save-supplier-button secondary">Save</button>
+                        </td>
+                        <td>
+                            <button class="toggle-supplier-button secondary">${
+                              s.active ? "Deactivate" : "Reactivate"
+                            }</button>
+                        </td>
+                    </tr>`
+                  )
+                  .join("")}
+            </tbody>
+        </table>
+    `;
+  } catch (error) {
+    adminSupplierList.innerHTML = `<p class="error-message">Error: ${error.message}</p>`;
+  }
+}
+
+adminSupplierList.addEventListener("click", async (e) => {
+  const row = e.target.closest("tr[data-supplier-id]");
+  if (!row || e.target.tagName !== "BUTTON") return;
+  const supplier = adminSuppliers.find((s) => s.id === row.dataset.supplierId);
+
+  try {
+    if (e.target.classList.contains("save-supplier-button")) {
+      await apiRequest(`/inventory/suppliers/${supplier.id}`, "PUT", {
+        leadTimeDays: row.querySelector(".lead-time-input").value,
+      });
+    } else if (e.target.classList.contains("toggle-supplier-button")) {
+      await apiRequest(`/inventory/suppliers/${supplier.id}`, "PUT", {
+        active: !supplier.active,
+      });
+    }
+    loadPurchasing();
+  } catch (error) {
+    alert(`Error updating supplier: ${error.message}`);
+  }
+});
+
+adminSupplierForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  adminSupplierMessage.textContent = "";
+  const body = Object.fromEntries(new FormData(adminSupplierForm));
+
+  try {
+    await apiRequest("/inventory/suppliers", "POST", body);
+    adminSupplierForm.reset();
+    adminSupplierMessage.textContent = "Supplier added successfully!";
+    loadPurchasing();
+  } catch (error) {
+    adminSupplierMessage.textContent = `Error: ${error.message}`;
+  }
+});
+
+async function loadSuggestedOrders() {
+  try {
+    const suggestions = await apiRequest(
+      "/inventory/purchase-orders/suggestions",
+      "GET"
+    );
+    if (suggestions.length === 0) {
+      adminPoSuggestions.innerHTML =
+        "<p>Nothing to reorder: every part is above its reorder level or already on order.</p>";
+      return;
+    }
+    adminPoSuggestions.innerHTML = suggestions
+      .map(
+        (group) => `
+        <div class="job-card suggested-order">
+            <h4>${
+              group.supplierId
+                ? `${group.supplierName} <small>(${group.leadTimeDays} day lead time)</small>`
+                : "Never ordered before"
+            }</h4>
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Part</th>
+                        <th>Available</th>
+                        <th>Reorder Level</th>
+                        <th>On Order</th>
+                        <th>Order Qty</th>
+                        <th>Unit Cost (&#8377;)</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${group.lines
+                      .map(
+                        (line) => `
+                        <tr data-part-id="${line.partId}">
+                            <td>${line.partName}</td>
+                            <td class="low-stock">${
+                              line.inStock - line.reserved
+                            }</td>
+                            <td>${line.reorderLevel}</td>
+                            <td>${line.onOrder}</td>
+                            <td><input type="number" class="suggest-quantity" min="0" value="${
+                              line.quantity
+                            }"></td>
+                            <td><input type="number" class="suggest-unit-cost" min="0" step="0.01" value="${
+                              line.unitCost
+                            }"></td>
+                        </tr>`
+                      )
+                      .join("")}
+                </tbody>
+            </table>
+            <div class="job-actions">
+                <select class="suggest-supplier">
+                    ${supplierOptions()}
+                </select>
+                <button class="create-suggested-po-button">Create Draft Order</button>
+            </div>
+        </div>`
+      )
+      .join("");
+    // Default each group to the supplier it was suggested for
+    adminPoSuggestions
+      .querySelectorAll(".suggest-supplier")
+      .forEach((select, i) => {
+        if (suggestions[i].supplierId) {
+          select.value = suggestions[i].supplierId;
+        }
+      });
+  } catch (error) {
+    adminPoSuggestions.innerHTML = `<p class="error-message">Error: ${error.message}</p>`;
+  }
+}
+
+adminPoSuggestions.addEventListener("click", async (e) => {
+  if (!e.target.classList.contains("create-suggested-po-button")) return;
+  const group = e.target.closest(".suggested-order");
+  const lines = [...group.querySelectorAll("tr[data-part-id]")]
+    .map((row) => ({
+      partId: row.dataset.partId,
+      quantity: parseInt(row.querySelector(".suggest-quantity").value, 10),
+      unitCost: row.querySelector(".suggest-unit-cost").value,
+    }))
+    .filter((line) => line.quantity > 0);
+
+  try {
+    const { message } = await apiRequest("/inventory/purchase-orders", "POST", {
+      supplierId: group.querySelector(".suggest-supplier").value,
+      lines,
+      note: "From suggested reorder",
+    });
+    alert(message);
+    loadPurchasing();
+  } catch (error) {
+    alert(`Error creating order: ${error.message}`);
+  }
+});
+
+async function loadPurchaseOrders() {
+  const params = new URLSearchParams();
+  if (adminPoFilters.elements.status.value) {
+    params.set("status", adminPoFilters.elements.status.value);
+  }
+
+  try {
+    const orders = await apiRequest(
+      `/inventory/purchase-orders?${params}`,
+      "GET"
+    );
+    adminPoList.innerHTML =
+      orders.length === 0
+        ? "<p>No purchase orders found.</p>"
+        : orders.map(renderPurchaseOrder).join("");
+  } catch (error) {
+    adminPoList.innerHTML = `<p class="error-message">Error: ${error.message}</p>`;
+  }
+}
+
+function renderPurchaseOrder(order) {
+  const receivable = ["Ordered", "Partially Received"].includes(order.status);
+  const open = receivable || order.status === "Draft";
+  const dates = [
+    `Drafted ${new Date(
+      order.createdDate
+    ).toLocaleDateString()} by ${escapeHtml(order.createdByName)}`,
+    order.orderedDate &&
+      `ordered ${new Date(order.orderedDate).toLocaleDateString()}`,
+    order.expectedDate && receivable && `expected ${order.expectedDate}`,
+    order.receivedDate &&
+      `received ${new Date(order.receivedDate).toLocaleDateString()}`,
+    order.cancelledDate &&
+      `cancelled ${new Date(order.cancelledDate).toLocaleDateString()}${
+        order.cancelReason ? ` (${escapeHtml(order.cancelReason)})` : ""
+      }`,
+  ].filter(Boolean);
+
+  return `
+      <div class="job-card" data-order-id="${order.id}">
+          <h4>${order.number}: ${order.supplierName}</h4>
+          <p><strong>Status:</strong> <span class="status status-${
+            order.status.split(" ")[0]
+          }">${order.status}</span></p>
+          <p><small>${dates.join(", ")}</small></p>
+          ${order.note ? `<p><strong>Note:</strong> ${order.note}</p>` : ""}
+          <table class="data-table">
+              <thead>
+                  <tr>
+                      <th>Part</th>
+                      <th>Ordered</th>
+                      <th>Received</th>
+                      <th>Unit Cost (&#8377;)</th>
+                      ${receivable ? "<th>Receive Now</th>" : ""}
+                  </tr>
+              </thead>
+              <tbody>
+                  ${order.lines
+                    .map(
+                      (line) => `
+                      <tr data-part-id="${line.partId}">
+                          <td>${line.partName}</td>
+                          <td>${line.quantity}</td>
+                          <td>${line.received}</td>
+                          <td>${formatMoney(line.unitCost)}</td>
+                          ${
+                            receivable
+                              ? `<td><input type="number" class="receive-quantity" min="0" max="${
+                                  line.quantity - line.received
+                                }" value="0"></td>`
+                              : ""
+                          }
+                      </tr>`
+                    )
+                    .join("")}
+              </tbody>
+          </table>
+          <p><strong>Total:</strong> ${formatMoney(order.total)}</p>
+          ${
+            order.receipts.length > 0
+              ? `<div class="status-history"><strong>Deliveries</strong><ul>${order.receipts
+                  .map(
+                    (r) =>
+                      `<li>${new Date(r.date).toLocaleString()}: ${
+                        r.receivedByName
+                      } received ${r.lines
+                        .map(
+                          (l) =>
+                            `${l.quantity} x ${
+                              order.lines.find((ol) => ol.partId === l.partId)
+                                .partName
+                            }`
+                        )
+                        .join(", ")}${r.note ? ` (${r.note})` : ""}</li>`
+                  )
+                  .join("")}</ul></div>`
+              : ""
+          }
+          <div class="job-actions">
+              ${
+                order.status === "Draft"
+                  ? `<button class="place-po-button">Place Order</button>`
+                  : ""
+              }
+              ${
+                receivable
+                  ? `<button class="receive-po-button">Receive Entered</button>
+                     <button class="receive-all-po-button secondary">Receive All Outstanding</button>`
+                  : ""
+              }
+              ${
+                open
+                  ? `<button class="cancel-po-button secondary">Cancel Order</button>`
+                  : ""
+              }
+          </div>
+      </div>
+  `;
+}
+
+adminPoList.addEventListener("click", async (e) => {
+  const card = e.target.closest("[data-order-id]");
+  if (!card || e.target.tagName !== "BUTTON") return;
+  const endpoint = `/inventory/purchase-orders/${card.dataset.orderId}`;
+
+  try {
+    if (e.target.classList.contains("place-po-button")) {
+      await apiRequest(`${endpoint}/place`, "POST");
+    } else if (e.target.classList.contains("receive-po-button")) {
+      const lines = [...card.querySelectorAll("tr[data-part-id]")].map(
+        (row) => ({
+          partId: row.dataset.partId,
+          quantity: row.querySelector(".receive-quantity").value,
+        })
+      );
+      await apiRequest(`${endpoint}/receive`, "POST", { lines });
+    } else if (e.target.classList.contains("receive-all-po-button")) {
+      await apiRequest(`${endpoint}/receive`, "POST", {});
+    } else if (e.target.classList.contains("cancel-po-button")) {
+      const reason = prompt("Reason for cancelling the order (optional):");
+      if (reason === null) return;
+      await apiRequest(`${endpoint}/cancel`, "POST", { reason });
+    }
+    loadPurchasing();
+  } catch (error) {
+    alert(`Error updating order: ${error.message}`);
+  }
+});
+
+adminPoFilters.addEventListener("submit", (e) => {
+  e.preventDefault();
+  loadPurchaseOrders();
+});
+
+function addPoLine() {
+  const line = document.createElement("div");
+  line.className = "estimate-line";
+  line.innerHTML = `
+      <select class="po-part-select">
+          ${adminData.parts
+            .filter((p) => !p.retired)
+            .map((p) => `<option value="${p.id}">${p.partName}</option>`)
+            .join("")}
+      </select>
+      <input type="number" class="po-quantity" min="1" value="1">
+      <input type="number" class="po-unit-cost" min="0" step="0.01" placeholder="Unit cost">
+      <button type="button" class="remove-line-button secondary">&times;</button>
+  `;
+  adminPoLines.appendChild(line);
+}
+
+document.getElementById("add-po-line").addEventListener("click", addPoLine);
+
+adminPoForm.addEventListener("click", (e) => {
+  if (e.target.classList.contains("remove-line-button")) {
+    e.target.closest(".estimate-line").remove();
+  }
+});
+
+adminPoForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  adminPoMessage.textContent = "";
+  const lines = [...adminPoLines.querySelectorAll(".estimate-line")].map(
+    (line) => ({
+      partId: line.querySelector(".po-part-select").value,
+      quantity: line.querySelector(".po-quantity").value,
+      unitCost: line.querySelector(".po-unit-cost").value || 0,
+    })
+  );
+
+  try {
+    const { message } = await apiRequest("/inventory/purchase-orders", "POST", {
+      supplierId: poSupplierSelect.value,
+      lines,
+      note: document.getElementById("po-note").value,
+    });
+    adminPoForm.reset();
+    adminPoLines.innerHTML = "";
+    adminPoMessage.textContent = message;
+    loadPurchasing();
+  } catch (error) {
+    adminPoMessage.textContent = `Error: ${error.message}`;
+  }
+});
+
+// --- Admin Reports ---
+const REPORTS = [
+  "turnaround",
+  "mechanic-workload",
+  "parts-consumption",
+  "pending-backlog",
+];
+
+adminTabButtons.forEach((button) => {
+  button.addEventListener("click", () => {
+    adminTabButtons.forEach((b) => {
+      const isActive = b === button;
+      b.classList.toggle("active", isActive);
+      b.classList.toggle("secondary", !isActive);
+      document
+        .getElementById(b.dataset.tab)
+        .classList.toggle("hidden", !isActive);
+    });
+    if (button.dataset.tab === "admin-reports-tab") {
+      loadReports();
+    } else if (button.dataset.tab === "admin-purchasing-tab") {
+      loadPurchasing();
+    } else if (button.dataset.tab === "admin-calendar-tab") {
+      loadAdminCalendar();
+      if (can("settings:manage") && can("users:manage")) {
+        loadSchedulingSettings();
+      }
+    }
+  });
+});
+
+function reportQuery() {
+  const params = new URLSearchParams();
+  ["from", "to"].forEach((name) => {
+    const value = adminReportFilters.elements[name].value;
+    if (value) params.set(name, value);
+  });
+  return params;
+}
+
+/**
+ * Renders a horizontal bar chart.
+ * @param {Array<object>} bars - { label, value, text? } where `text`
+ *   replaces the value shown next to the bar.
+ * @returns {string} HTML
+ */
+function renderBarChart(bars) {
+  if (bars.length === 0) return "<p>No data for this period.</p>";
+  const max = Math.max(...bars.map((b) => b.value), 1);
+  return `
+      <div class="bar-chart">
+          ${bars
+            .map(
+              (b) => `
+              <div class="bar-row">
+                  <span class="bar-label">${b.label}</span>
+                  <span class="bar-track">
+                      <span class="bar" style="width: ${
+                        (b.value / max) * 100
+                      }%"></span>
+                  </span>
+                  <span class="bar-value">${b.text ?? b.value}</span>
+              </div>`
+            )
+            .join("")}
+      </div>
+  `;
+}
+
+const REPORT_RENDERERS = {
+  turnaround: ({ rows, summary }) => `
+      <p>${summary.jobs} job(s) dispatched. Average ${
+    summary.averageHours ?? "-"
+  } h, median ${summary.medianHours ?? "-"} h.</p>
+      ${renderBarChart(
+        rows.map((r) => ({
+          label: r.vehicle,
+          value: r.hours,
+          text: `${r.hours} h`,
+        }))
+      )}
+  `,
+  "mechanic-workload": ({ rows, columns }) => {
+    const statuses = columns.slice(1, -1);
+    return `
+        ${renderBarChart(
+          rows.map((r) => ({ label: r.mechanic, value: r.total }))
+        )}
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Mechanic</th>
+                    ${statuses.map((s) => `<th>${s}</th>`).join("")}
+                    <th>Total</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows
+                  .map(
+                    (r) => `
+                    <tr>
+                        <td>${r.mechanic}</td>
+                        ${statuses.map((s) => `<td>${r[s]}</td>`).join("")}
+                        <td>${r.total}</td>
+                    </tr>`
+                  )
+                  .join("")}
+            </tbody>
+        </table>
+    `;
+  },
+  "parts-consumption": ({ rows, summary }) => `
+      <p>${summary.quantity} part(s) used, worth ${formatMoney(
+    summary.value
+  )}.</p>
+      ${renderBarChart(
+        rows.map((r) => ({
+          label: r.partName,
+          value: r.quantity,
+          text: `${r.quantity} (${formatMoney(r.value)})`,
+        }))
+      )}
+  `,
+  "pending-backlog": ({ rows, summary }) => `
+      <p>${summary.jobs} job(s) waiting for a mechanic.</p>
+      ${renderBarChart(
+        summary.buckets.map((b) => ({ label: b.label, value: b.jobs }))
+      )}
+      ${
+        rows.length > 0
+          ? `<ul>
+          ${rows
+            .slice(0, 10)
+            .map(
+              (r) =>
+                `<li>${r.vehicle} (${r.customer}): waiting ${r.ageDays} day(s)</li>`
+            )
+            .join("")}
+      </ul>`
+          : ""
+      }
+  `,
+};
+
+async function loadReports() {
+  const query = reportQuery();
+  await Promise.all(
+    REPORTS.map(async (name) => {
+      const container = document.getElementById(`report-${name}`);
+      container.innerHTML = "Loading...";
+      try {
+        const report = await apiRequest(
+          `/admin/reports/${name}?${query}`,
+          "GET"
+        );
+        container.innerHTML = `
+            ${REPORT_RENDERERS[name](report)}
+            <button class="download-csv-button secondary" data-report="${name}">Download CSV</button>
+        `;
+      } catch (error) {
+        container.innerHTML = `<p class="error-message">Error: ${error.message}</p>`;
+      }
+    })
+  );
+}
+
+/**
+ * Downloads a report as CSV. Like invoices, the file is fetched with the
+ * auth header and handed to the browser as a blob URL.
+ * @param {string} name - Report name, e.g. "turnaround".
+ */
+async function downloadReportCsv(name) {
+  const query = reportQuery();
+  query.set("format", "csv");
+  try {
+    const response = await authFetch(
+      `${API_BASE_URL}/admin/reports/${name}?${query}`
+    );
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(
+        errorData.message || `HTTP error! Status: ${response.status}`
+      );
+    }
+    const blob = await response.blob();
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `${name}.csv`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  } catch (error) {
+    alert(`Error downloading report: ${error.message}`);
+  }
+}
+
+adminReportFilters.addEventListener("submit", (e) => {
+  e.preventDefault();
+  loadReports();
+});
+
+document.getElementById("admin-reports-tab").addEventListener("click", (e) => {
+  const button = e.target.closest(".download-csv-button");
+  if (button) downloadReportCsv(button.dataset.report);
+});
+
+adminResetPasswordForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  adminResetPasswordMessage.textContent = "";
+  const userId = resetUserSelect.value;
+  const newPassword = document.getElementById("reset-new-password").value;
+
+  try {
+    await apiRequest(`/admin/users/${userId}/password`, "PUT", {
+      newPassword,
+    });
+    adminResetPasswordForm.reset();
+    adminResetPasswordMessage.textContent = "Password reset successfully!";
+  } catch (error) {
+    adminResetPasswordMessage.textContent = `Error: ${error.message}`;
+  }
+});
+
+// --- LIVE UPDATES (Server-Sent Events) ---
+let eventSource = null;
+let liveNoticeTimer = null;
+
+/**
+ * Swaps one job card in a list for a freshly rendered one.
+ * A null card removes the old one. Jobs not in the list are only added
+ * (at the top) when `addIfMissing` is set, since the list may be a
+ * filtered page that shouldn't contain them.
+ * @param {HTMLElement} container - The job list element.
+ * @param {string} jobId - The job that changed.
+ * @param {HTMLElement|null} newCard - The re-rendered card.
+ * @param {boolean} addIfMissing - Add the card if it isn't listed yet.
+ */
+function replaceJobCard(container, jobId, newCard, addIfMissing) {
+  const oldCard = container.querySelector(`[data-job-id="${jobId}"]`);
+  if (oldCard && newCard) {
+    oldCard.replaceWith(newCard);
+  } else if (oldCard) {
+    oldCard.remove();
+  } else if (newCard && addIfMissing) {
+    if (!container.querySelector(".job-card")) {
+      container.innerHTML = ""; // Drop the "no jobs" placeholder
+    }
+    container.prepend(newCard);
+  } else {
+    return;
+  }
+  if (newCard) {
+    newCard.classList.add("just-updated");
+    setTimeout(() => newCard.classList.remove("just-updated"), 2000);
+  }
+}
+
+/**
+ * Shows a short-lived banner at the top of the page.
+ * @param {string} text - The message to show.
+ */
+function showLiveNotice(text) {
+  liveNotice.textContent = text;
+  liveNotice.classList.remove("hidden");
+  clearTimeout(liveNoticeTimer);
+  liveNoticeTimer = setTimeout(() => liveNotice.classList.add("hidden"), 6000);
+}
+
+function handleJobEvent(type, { jobId, vehicleNumberPlate }) {
+  const role = CURRENT_USER.role;
+  let refresh;
+  if (STAFF_DASHBOARD_ROLES.includes(role)) {
+    refresh = refreshAdminJob(jobId, type === "job.created");
+    if (type === "job.created") {
+      showLiveNotice(`New service request for ${vehicleNumberPlate}.`);
+    }
+  } else if (role === "mechanic") {
+    refresh = refreshMechanicJob(jobId, type === "job.assigned");
+    if (type === "job.assigned" || type === "job.unassigned") {
+      showLiveNotice(
+        `Job for ${vehicleNumberPlate} was assigned or reassigned.`
+      );
+    }
+  } else if (role === "customer") {
+    refresh = refreshCustomerJob(jobId);
+  }
+  refresh.catch((error) => console.error("Live update failed:", error.message));
+}
+
+function handleStockEvent({ parts }) {
+  if (STAFF_DASHBOARD_ROLES.includes(CURRENT_USER.role)) {
+    refreshAdminParts().catch((error) =>
+      console.error("Live update failed:", error.message)
+    );
+  } else if (CURRENT_USER.role === "mechanic") {
+    parts.forEach((changed) => {
+      const part = mechanicParts.find((p) => p.id === changed.id);
+      if (part) Object.assign(part, changed);
+    });
+    renderPartSelect();
+  }
+}
+
+function connectLiveUpdates() {
+  disconnectLiveUpdates();
+  eventSource = new EventSource(
+    `${API_BASE_URL}/events?token=${encodeURIComponent(TOKEN)}`
+  );
+  [
+    "job.created",
+    "job.assigned",
+    "job.unassigned",
+    "job.status-changed",
+    "job.updated",
+  ].forEach((type) => {
+    eventSource.addEventListener(type, (e) =>
+      handleJobEvent(type, JSON.parse(e.data))
+    );
+  });
+  eventSource.addEventListener("stock.changed", (e) =>
+    handleStockEvent(JSON.parse(e.data))
+  );
+  eventSource.addEventListener("error", () => {
+    // The browser retries dropped connections by itself; it gives up
+    // when the server refuses the (by now expired) token.
+    if (eventSource.readyState === EventSource.CLOSED) {
+      disconnectLiveUpdates();
+      setTimeout(reconnectLiveUpdates, 5000);
+    }
+  });
+}
+
+async function reconnectLiveUpdates() {
+  if (!TOKEN || eventSource) return;
+  try {
+    if (await refreshSession()) {
+      connectLiveUpdates();
+    } else {
+      endSession("Your session has expired. Please log in again.");
+    }
+  } catch (error) {
+    setTimeout(reconnectLiveUpdates, 5000); // Server unreachable
+  }
+}
+
+function disconnectLiveUpdates() {
+  if (eventSource) {
+    eventSource.close();
+    eventSource = null;
+  }
+}
+
 // --- INITIAL APP LOAD ---
 function initApp() {
   const storedToken = localStorage.getItem("token");
@@ -452,6 +4080,7 @@ function initApp() {
 
   if (storedToken && storedUser) {
     TOKEN = storedToken;
+    REFRESH_TOKEN = localStorage.getItem("refreshToken");
     CURRENT_USER = JSON.parse(storedUser);
     showDashboard(CURRENT_USER.role);
   } else {
@@ -0,0 +1,332 @@
+/**
+ * Suppliers and purchase orders for restocking parts.
+ *
+ * A purchase order (PO) is drafted against one supplier with a line per
+ * part, then placed with the supplier and received as deliveries arrive.
+ * Deliveries may be partial; each one adds the received quantities to
+ * stock. An order can be cancelled at any point before it is fully
+ * received, which keeps whatever was already delivered.
+ *
+ *   Draft -> Ordered -> Partially Received -> Received
+ *     \________\_____________\______________-> Cancelled
+ *
+ * Parts at or below their reorder level are turned into suggested orders,
+ * grouped by the supplier each part was last ordered from. When a change
+ * takes a part down to its reorder level, its suggestion is drafted
+ * straight away (see addToDraft).
+ */
+const { roundMoney } = require("./invoice");
+const { available } = require("./reservations");
+
+const PO_STATUSES = [
+  "Draft",
+  "Ordered",
+  "Partially Received",
+  "Received",
+  "Cancelled",
+];
+
+// Statuses in which an order still expects deliveries (or may be placed)
+const OPEN_STATUSES = ["Draft", "Ordered", "Partially Received"];
+// Statuses in which deliveries can be received
+const RECEIVABLE_STATUSES = ["Ordered", "Partially Received"];
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_LEAD_TIME_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validates and cleans a supplier's fields. Only fields present in
+ * `input` are checked and returned, so this works for both creation and
+ * partial updates.
+ * @param {object} input - Raw request body.
+ * @returns {{ fields: object, error: string|null }}
+ */
+function validateSupplierFields(input) {
+  const fields = {};
+
+  if (input.name !== undefined) {
+    fields.name = String(input.name).trim();
+    if (!fields.name) {
+      return { fields, error: "Supplier name is required." };
+    }
+  }
+  for (const key of ["contactName", "phone"]) {
+    if (input[key] !== undefined) {
+      fields[key] = String(input[key] || "").trim();
+    }
+  }
+  if (input.email !== undefined) {
+    fields.email = String(input.email || "").trim();
+    if (fields.email && !EMAIL.test(fields.email)) {
+      return { fields, error: "Enter a valid email address." };
+    }
+  }
+  if (input.leadTimeDays !== undefined) {
+    fields.leadTimeDays = parseInt(input.leadTimeDays, 10);
+    if (
+      isNaN(fields.leadTimeDays) ||
+      fields.leadTimeDays < 0 ||
+      fields.leadTimeDays > MAX_LEAD_TIME_DAYS
+    ) {
+      return {
+        fields,
+        error: `Lead time must be between 0 and ${MAX_LEAD_TIME_DAYS} days.`,
+      };
+    }
+  }
+  return { fields, error: null };
+}
+
+/**
+ * Validates the line items of an order: [{ partId, quantity, unitCost }].
+ * Checks shape only; the caller checks that each part exists.
+ * @param {*} lines - Raw input.
+ * @returns {{ lines: Array<object>, error: string|null }}
+ */
+function validateLines(lines) {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return { lines: [], error: "An order needs at least one line." };
+  }
+
+  const cleaned = [];
+  for (const line of lines) {
+    const partId = line && line.partId;
+    const quantity = parseInt(line && line.quantity, 10);
+    const unitCost = roundMoney(parseFloat((line && line.unitCost) ?? 0));
+    if (!partId) {
+      return { lines: [], error: "Every line needs a part." };
+    }
+    if (isNaN(quantity) || quantity <= 0) {
+      return { lines: [], error: "Line quantities must be positive." };
+    }
+    if (isNaN(unitCost) || unitCost < 0) {
+      return { lines: [], error: "Unit costs must be zero or more." };
+    }
+    if (cleaned.some((l) => l.partId === partId)) {
+      return { lines: [], error: "Each part can only appear once per order." };
+    }
+    cleaned.push({ partId, quantity, unitCost });
+  }
+  return { lines: cleaned, error: null };
+}
+
+/**
+ * How many of a line are still to be delivered.
+ * @param {object} line - An order line.
+ * @returns {number}
+ */
+function outstanding(line) {
+  return line.quantity - line.received;
+}
+
+/**
+ * The value of an order at its unit costs.
+ * @param {object} order - A purchase order.
+ * @returns {number}
+ */
+function orderTotal(order) {
+  return roundMoney(
+    order.lines.reduce((sum, line) => sum + line.quantity * line.unitCost, 0)
+  );
+}
+
+/**
+ * The date a placed order is expected, from the supplier's lead time.
+ * @param {object} supplier - The supplier record.
+ * @param {Date} [from] - When the order was placed.
+ * @returns {string} YYYY-MM-DD.
+ */
+function expectedDate(supplier, from = new Date()) {
+  return new Date(from.getTime() + supplier.leadTimeDays * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+}
+
+/**
+ * Works out what a delivery adds to each line of an order.
+ * @param {object} order - A purchase order in a receivable status.
+ * @param {Array<object>|undefined} requested - [{ partId, quantity }], or
+ *   nothing to receive everything still outstanding.
+ * @returns {{ received: Array<object>, error: string|null }} The
+ *   [{ partId, quantity }] to add, leaving out lines that get nothing.
+ */
+function planReceipt(order, requested) {
+  if (requested === undefined) {
+    const received = order.lines
+      .filter((line) => outstanding(line) > 0)
+      .map((line) => ({ partId: line.partId, quantity: outstanding(line) }));
+    return { received, error: null };
+  }
+  if (!Array.isArray(requested)) {
+    return { received: [], error: "Lines must be a list." };
+  }
+
+  const received = [];
+  for (const item of requested) {
+    const line = order.lines.find((l) => l.partId === (item && item.partId));
+    const quantity = parseInt(item && item.quantity, 10);
+    if (!line) {
+      return { received: [], error: "That part is not on this order." };
+    }
+    if (isNaN(quantity) || quantity < 0) {
+      return {
+        received: [],
+        error: "Received quantities must be zero or more.",
+      };
+    }
+    if (quantity > outstanding(line)) {
+      return {
+        received: [],
+        error: `Only ${outstanding(line)} x ${line.partName} are outstanding.`,
+      };
+    }
+    if (quantity > 0) {
+      received.push({ partId: line.partId, quantity });
+    }
+  }
+  if (received.length === 0) {
+    return {
+      received,
+      error: "Enter a quantity received for at least one line.",
+    };
+  }
+  return { received, error: null };
+}
+
+/**
+ * The status of an order after a delivery was added to its lines.
+ * @param {object} order - A purchase order.
+ * @returns {string}
+ */
+function receiptStatus(order) {
+  return order.lines.every((line) => outstanding(line) === 0)
+    ? "Received"
+    : "Partially Received";
+}
+
+/**
+ * The next order number, e.g. "PO-0007". Orders are never deleted, so
+ * counting them is enough.
+ * @param {Array<object>} orders - Every purchase order.
+ * @returns {string}
+ */
+function nextOrderNumber(orders) {
+  return `PO-${String(orders.length + 1).padStart(4, "0")}`;
+}
+
+/**
+ * Suggests orders that bring low-stock parts back up to twice their
+ * reorder level in available (unreserved) stock, counting what open
+ * orders will already deliver. Each
+ * part goes to the active supplier it was last ordered from, at the unit
+ * cost paid then; parts never ordered are grouped with no supplier.
+ * @param {Array<object>} lowParts - Active parts at or below their reorder
+ *   level.
+ * @param {Array<object>} suppliers - Every supplier.
+ * @param {Array<object>} orders - Every purchase order.
+ * @returns {Array<object>} [{ supplierId, supplierName, leadTimeDays,
+ *   lines: [{ partId, partName, quantity, unitCost, inStock, reserved,
+ *   reorderLevel, onOrder }] }], suppliers by name, parts without a
+ *   supplier last.
+ */
+function suggestOrders(lowParts, suppliers, orders) {
+  const onOrder = new Map();
+  orders
+    .filter((o) => OPEN_STATUSES.includes(o.status))
+    .forEach((o) =>
+      o.lines.forEach((line) =>
+        onOrder.set(
+          line.partId,
+          (onOrder.get(line.partId) || 0) + outstanding(line)
+        )
+      )
+    );
+  const activeSuppliers = new Map(
+    suppliers.filter((s) => s.active).map((s) => [s.id, s])
+  );
+
+  const groups = new Map();
+  lowParts.forEach((part) => {
+    const target = Math.max(part.reorderLevel * 2, part.reorderLevel + 1);
+    const pending = onOrder.get(part.id) || 0;
+    const quantity = target - available(part) - pending;
+    if (quantity <= 0) return;
+
+    // Orders are stored oldest first
+    const last = [...orders]
+      .reverse()
+      .filter((o) => o.status !== "Cancelled")
+      .map((o) => ({
+        supplier: activeSuppliers.get(o.supplierId),
+        line: o.lines.find((l) => l.partId === part.id),
+      }))
+      .find(({ supplier, line }) => supplier && line);
+    const supplier = last ? last.supplier : null;
+    const key = supplier ? supplier.id : null;
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        supplierId: key,
+        supplierName: supplier ? supplier.name : null,
+        leadTimeDays: supplier ? supplier.leadTimeDays : null,
+        lines: [],
+      });
+    }
+    groups.get(key).lines.push({
+      partId: part.id,
+      partName: part.partName,
+      quantity,
+      unitCost: last ? last.line.unitCost : 0,
+      inStock: part.quantity,
+      reserved: part.reserved,
+      reorderLevel: part.reorderLevel,
+      onOrder: pending,
+    });
+  });
+
+  return [...groups.values()].sort((a, b) => {
+    if (!a.supplierId) return 1;
+    if (!b.supplierId) return -1;
+    return a.supplierName.localeCompare(b.supplierName);
+  });
+}
+
+/**
+ * Adds a suggested order's lines to a draft order, topping up lines for
+ * parts it already lists.
+ * @param {object} order - A Draft purchase order (mutated in place).
+ * @param {object} suggestion - One entry from suggestOrders().
+ */
+function addToDraft(order, suggestion) {
+  suggestion.lines.forEach((suggested) => {
+    const line = order.lines.find((l) => l.partId === suggested.partId);
+    if (line) {
+      line.quantity += suggested.quantity;
+      return;
+    }
+    order.lines.push({
+      partId: suggested.partId,
+      partName: suggested.partName,
+      quantity: suggested.quantity,
+      unitCost: suggested.unitCost,
+      received: 0,
+    });
+  });
+}
+
+module.exports = {
+  PO_STATUSES,
+  OPEN_STATUSES,
+  RECEIVABLE_STATUSES,
+  validateSupplierFields,
+  validateLines,
+  outstanding,
+  orderTotal,
+  expectedDate,
+  planReceipt,
+  receiptStatus,
+  nextOrderNumber,
+  suggestOrders,
+  addToDraft,
+};
@@ -0,0 +1,234 @@
+/**
+ * Operations reports for the admin dashboard.
+ *
+ * Each report takes the committed data plus a date range and returns
+ * { columns, rows, summary }: `columns` lists the row keys in display
+ * order, so the same result can be sent as JSON or flattened to CSV.
+ */
+const { roundMoney } = require("./invoice");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Age buckets for the Pending backlog, in days
+const BACKLOG_BUCKETS = [
+  { label: "Under 1 day", maxDays: 1 },
+  { label: "1-3 days", maxDays: 3 },
+  { label: "3-7 days", maxDays: 7 },
+  { label: "Over 7 days", maxDays: Infinity },
+];
+
+/**
+ * Parses ?from= and ?to= into a date range. Both are optional; a
+ * date-only `to` (YYYY-MM-DD) includes that whole day.
+ * @param {object} query - The request query.
+ * @returns {{ range: { from: Date|null, to: Date|null }, error: string|null }}
+ */
+function parseDateRange(query) {
+  const range = { from: null, to: null };
+  for (const key of ["from", "to"]) {
+    if (!query[key]) continue;
+    const date = new Date(query[key]);
+    if (isNaN(date)) {
+      return { range, error: `Invalid ${key} date.` };
+    }
+    if (key === "to" && /^\d{4}-\d{2}-\d{2}$/.test(query[key])) {
+      date.setTime(date.getTime() + DAY_MS - 1);
+    }
+    range[key] = date;
+  }
+  if (range.from && range.to && range.from > range.to) {
+    return { range, error: "The from date must be before the to date." };
+  }
+  return { range, error: null };
+}
+
+function inRange(dateString, range) {
+  if (!dateString) return false;
+  const date = new Date(dateString);
+  return (!range.from || date >= range.from) && (!range.to || date <= range.to);
+}
+
+function median(sorted) {
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : roundMoney((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+function userName(tx, id) {
+  return tx.users.findById(id)?.fullName || "N/A";
+}
+
+/**
+ * Time from request to dispatch for jobs dispatched within the range.
+ * @param {object} tx - Read-only repositories.
+ * @param {object} range - From parseDateRange.
+ */
+function turnaround(tx, range) {
+  const rows = tx.jobCards
+    .filter(
+      (j) => j.status === "Dispatched" && inRange(j.dispatchedDate, range)
+    )
+    .map((j) => ({
+      jobId: j.id,
+      vehicle: j.vehicleNumberPlate,
+      mechanic: userName(tx, j.assignedMechanicId),
+      createdDate: j.createdDate,
+      dispatchedDate: j.dispatchedDate,
+      hours: roundMoney(
+        (new Date(j.dispatchedDate) - new Date(j.createdDate)) / HOUR_MS
+      ),
+    }))
+    .sort((a, b) => new Date(a.dispatchedDate) - new Date(b.dispatchedDate));
+
+  const hours = rows.map((r) => r.hours).sort((a, b) => a - b);
+  const total = hours.reduce((sum, h) => sum + h, 0);
+  return {
+    columns: [
+      "jobId",
+      "vehicle",
+      "mechanic",
+      "createdDate",
+      "dispatchedDate",
+      "hours",
+    ],
+    rows,
+    summary: {
+      jobs: rows.length,
+      averageHours: rows.length ? roundMoney(total / rows.length) : null,
+      medianHours: rows.length ? median(hours) : null,
+    },
+  };
+}
+
+/**
+ * Jobs created within the range, counted per mechanic and status.
+ * Unassigned (Pending) jobs are counted on their own row.
+ * @param {object} tx - Read-only repositories.
+ * @param {object} range - From parseDateRange.
+ * @param {Array<string>} statuses - Every job status, in workflow order.
+ */
+function mechanicWorkload(tx, range, statuses) {
+  const byMechanic = new Map();
+  tx.users
+    .filter((u) => u.role === "mechanic")
+    .forEach((m) => byMechanic.set(m.id, { mechanic: m.fullName }));
+  byMechanic.set(null, { mechanic: "Unassigned" });
+  byMechanic.forEach((row) => {
+    statuses.forEach((status) => (row[status] = 0));
+    row.total = 0;
+  });
+
+  tx.jobCards
+    .filter((j) => inRange(j.createdDate, range))
+    .forEach((j) => {
+      const row = byMechanic.get(j.assignedMechanicId || null);
+      if (!row) return;
+      row[j.status] += 1;
+      row.total += 1;
+    });
+
+  const rows = [...byMechanic.values()].filter(
+    (row) => row.total > 0 || row.mechanic !== "Unassigned"
+  );
+  return {
+    columns: ["mechanic", ...statuses, "total"],
+    rows,
+    summary: { jobs: rows.reduce((sum, row) => sum + row.total, 0) },
+  };
+}
+
+/**
+ * Parts used on jobs created within the range, from each job's
+ * partsUsed. Value uses the prices snapshotted on the jobs.
+ * @param {object} tx - Read-only repositories.
+ * @param {object} range - From parseDateRange.
+ */
+function partsConsumption(tx, range) {
+  const byPart = new Map();
+  tx.jobCards
+    .filter((j) => inRange(j.createdDate, range))
+    .forEach((j) => {
+      j.partsUsed.forEach((p) => {
+        const row = byPart.get(p.partId) || {
+          partId: p.partId,
+          partName: p.partName,
+          quantity: 0,
+          jobs: 0,
+          value: 0,
+        };
+        row.quantity += p.quantity;
+        row.jobs += 1;
+        row.value = roundMoney(row.value + p.quantity * (p.unitPrice || 0));
+        byPart.set(p.partId, row);
+      });
+    });
+
+  const rows = [...byPart.values()].sort((a, b) => b.quantity - a.quantity);
+  return {
+    columns: ["partId", "partName", "quantity", "jobs", "value"],
+    rows,
+    summary: {
+      quantity: rows.reduce((sum, r) => sum + r.quantity, 0),
+      value: roundMoney(rows.reduce((sum, r) => sum + r.value, 0)),
+    },
+  };
+}
+
+/**
+ * Jobs still waiting for a mechanic, oldest first, with their age.
+ * The range filters on when the request was created.
+ * @param {object} tx - Read-only repositories.
+ * @param {object} range - From parseDateRange.
+ * @param {Date} [now] - Reference time for ages.
+ */
+function pendingBacklog(tx, range, now = new Date()) {
+  const rows = tx.jobCards
+    .filter((j) => j.status === "Pending" && inRange(j.createdDate, range))
+    .map((j) => ({
+      jobId: j.id,
+      vehicle: j.vehicleNumberPlate,
+      customer: userName(tx, j.customerId),
+      createdDate: j.createdDate,
+      ageDays: roundMoney((now - new Date(j.createdDate)) / DAY_MS),
+    }))
+    .sort((a, b) => b.ageDays - a.ageDays);
+
+  const buckets = BACKLOG_BUCKETS.map(({ label }) => ({ label, jobs: 0 }));
+  rows.forEach((row) => {
+    const index = BACKLOG_BUCKETS.findIndex((b) => row.ageDays < b.maxDays);
+    buckets[index].jobs += 1;
+  });
+
+  return {
+    columns: ["jobId", "vehicle", "customer", "createdDate", "ageDays"],
+    rows,
+    summary: { jobs: rows.length, buckets },
+  };
+}
+
+function csvCell(value) {
+  const text = String(value ?? "");
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flattens a report's rows to CSV with a header line.
+ * @param {object} report - { columns, rows }.
+ * @returns {string}
+ */
+function toCsv({ columns, rows }) {
+  return [columns, ...rows.map((row) => columns.map((c) => row[c]))]
+    .map((line) => line.map(csvCell).join(","))
+    .join("\n");
+}
+
+module.exports = {
+  parseDateRange,
+  turnaround,
+  mechanicWorkload,
+  partsConsumption,
+  pendingBacklog,
+  toCsv,
+};
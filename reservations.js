@@ -0,0 +1,148 @@
+/**
+ * Stock held back for job cards.
+ *
+ * A job can reserve parts before they are fitted, so two mechanics can't
+ * both plan on the last unit. Each job lists what it holds in
+ * `job.reservedParts`, and each part keeps the total held for all jobs in
+ * `part.reserved`. Only this module changes either, always both in the
+ * same transaction.
+ *
+ * Stock that can still be promised is available(part) = quantity -
+ * reserved. Submitting an estimate reserves its parts; logging a part
+ * uses up the job's reservation first; whatever is left is released when
+ * the job is dispatched, unassigned or cancelled, or its estimate is
+ * rejected.
+ */
+
+/**
+ * Stock not reserved by any job.
+ * @param {object} part - A part record.
+ * @returns {number}
+ */
+function available(part) {
+  return part.quantity - part.reserved;
+}
+
+/**
+ * How many of a part a job holds.
+ * @param {object} job - The job card.
+ * @param {string} partId - The part's ID.
+ * @returns {number}
+ */
+function reservedFor(job, partId) {
+  const line = job.reservedParts.find((r) => r.partId === partId);
+  return line ? line.quantity : 0;
+}
+
+/**
+ * Stock a job may use or reserve: what is available plus what the job
+ * already holds.
+ * @param {object} job - The job card.
+ * @param {object} part - A part record.
+ * @returns {number}
+ */
+function availableFor(job, part) {
+  return available(part) + reservedFor(job, part.id);
+}
+
+/**
+ * Sets how many of a part a job holds; 0 releases it. Call inside a
+ * transaction.
+ * @param {object} job - The job card (mutated in place).
+ * @param {object} part - The part record (mutated in place).
+ * @param {number} quantity - The new reserved quantity.
+ * @returns {string|null} Why it can't be reserved, or null if done.
+ */
+function reserve(job, part, quantity) {
+  if (quantity > 0 && part.retired) {
+    return `${part.partName} has been retired.`;
+  }
+  if (quantity > availableFor(job, part)) {
+    return `Not enough stock for ${part.partName}. Only ${availableFor(
+      job,
+      part
+    )} available.`;
+  }
+
+  part.reserved += quantity - reservedFor(job, part.id);
+  job.reservedParts = job.reservedParts.filter((r) => r.partId !== part.id);
+  if (quantity > 0) {
+    job.reservedParts.push({
+      partId: part.id,
+      partName: part.partName,
+      quantity,
+    });
+  }
+  return null;
+}
+
+/**
+ * Uses up a job's reservation as parts are taken from stock. Call inside
+ * the transaction that decreases `part.quantity`, before decreasing it.
+ * @param {object} job - The job card (mutated in place).
+ * @param {object} part - The part record (mutated in place).
+ * @param {number} quantity - How many are being taken.
+ */
+function consume(job, part, quantity) {
+  const held = reservedFor(job, part.id);
+  if (held > 0) {
+    reserve(job, part, Math.max(held - quantity, 0));
+  }
+}
+
+/**
+ * Releases everything a job holds. Call inside a transaction.
+ * @param {object} tx - The transaction's repositories.
+ * @param {object} job - The job card (mutated in place).
+ * @returns {Array<string>} IDs of the parts released.
+ */
+function releaseAll(tx, job) {
+  const partIds = job.reservedParts.map((r) => r.partId);
+  job.reservedParts.forEach((r) => {
+    const part = tx.parts.findById(r.partId);
+    if (part) part.reserved -= r.quantity;
+  });
+  job.reservedParts = [];
+  return partIds;
+}
+
+/**
+ * Replaces what a job holds with the parts of a new estimate. Lines that
+ * can't be covered in full reserve whatever is available.
+ * @param {object} tx - The transaction's repositories.
+ * @param {object} job - The job card (mutated in place).
+ * @param {Array<object>} partLines - The estimate's [{ partId, quantity }].
+ * @returns {{ partIds: Array<string>, shortages: Array<string> }} Parts
+ *   whose reservation changed, and "2 x Brake Pad"-style descriptions of
+ *   what couldn't be reserved.
+ */
+function reserveForEstimate(tx, job, partLines) {
+  const partIds = new Set(releaseAll(tx, job));
+  const shortages = [];
+  const wanted = new Map(); // An estimate may list a part more than once
+  partLines.forEach((line) =>
+    wanted.set(line.partId, (wanted.get(line.partId) || 0) + line.quantity)
+  );
+  wanted.forEach((total, partId) => {
+    const part = tx.parts.findById(partId);
+    const quantity = Math.min(total, available(part));
+    if (quantity < total) {
+      shortages.push(`${total - quantity} x ${part.partName}`);
+    }
+    if (quantity > 0) {
+      reserve(job, part, quantity);
+      partIds.add(part.id);
+    }
+  });
+  return { partIds: [...partIds], shortages };
+}
+
+module.exports = {
+  available,
+  reservedFor,
+  availableFor,
+  reserve,
+  consume,
+  releaseAll,
+  reserveForEstimate,
+};
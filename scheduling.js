@@ -0,0 +1,256 @@
+/**
+ * Drop-off appointment slots and service bay capacity.
+ *
+ * Slots are shop-local times written "YYYY-MM-DDTHH:MM" with no time
+ * zone, so they mean the same wall-clock time wherever the server runs.
+ * Each day is cut into slots of `slotMinutes` between `openTime` and
+ * `closeTime` on the working days. A slot takes as many bookings as
+ * there are bays, but never more than the mechanics whose shift covers
+ * the whole slot.
+ */
+const TIME = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const SLOT = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2})$/;
+
+const DEFAULT_SCHEDULING = {
+  id: "scheduling",
+  openTime: "09:00",
+  closeTime: "18:00",
+  slotMinutes: 60,
+  bays: 3,
+  workingDays: [1, 2, 3, 4, 5, 6], // Monday to Saturday (0 = Sunday)
+};
+
+const DEFAULT_SHIFT = {
+  days: [1, 2, 3, 4, 5, 6],
+  start: "09:00",
+  end: "18:00",
+};
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+function toTime(minutes) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+function dayOfWeek(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * The current shop-local time as a slot string.
+ * @param {Date} [now]
+ * @returns {string}
+ */
+function localNow(now = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}` +
+    `T${pad(now.getHours())}:${pad(now.getMinutes())}`
+  );
+}
+
+/**
+ * Adds days to a YYYY-MM-DD date.
+ * @param {string} date
+ * @param {number} days
+ * @returns {string}
+ */
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function isValidDate(date) {
+  return DATE.test(date) && !isNaN(new Date(`${date}T00:00:00Z`));
+}
+
+/**
+ * Lists the slot start times ("HH:MM") of a date; empty on closed days.
+ * @param {string} date - YYYY-MM-DD.
+ * @param {object} settings - The scheduling settings.
+ * @returns {Array<string>}
+ */
+function slotTimes(date, settings) {
+  if (!settings.workingDays.includes(dayOfWeek(date))) return [];
+  const times = [];
+  const close = toMinutes(settings.closeTime);
+  for (
+    let start = toMinutes(settings.openTime);
+    start + settings.slotMinutes <= close;
+    start += settings.slotMinutes
+  ) {
+    times.push(toTime(start));
+  }
+  return times;
+}
+
+/**
+ * How many bookings a slot can take.
+ * @param {string} slot - "YYYY-MM-DDTHH:MM".
+ * @param {object} settings - The scheduling settings.
+ * @param {Array<object>} mechanics - Active mechanic user records.
+ * @returns {number}
+ */
+function slotCapacity(slot, settings, mechanics) {
+  const [, date, time] = SLOT.exec(slot);
+  const start = toMinutes(time);
+  const end = start + settings.slotMinutes;
+  const day = dayOfWeek(date);
+  const onShift = mechanics.filter((m) => {
+    const shift = m.shift || DEFAULT_SHIFT;
+    return (
+      shift.days.includes(day) &&
+      toMinutes(shift.start) <= start &&
+      end <= toMinutes(shift.end)
+    );
+  }).length;
+  return Math.min(settings.bays, onShift);
+}
+
+/**
+ * Every slot of a date with its capacity and bookings.
+ * @param {string} date - YYYY-MM-DD.
+ * @param {object} settings - The scheduling settings.
+ * @param {Array<object>} mechanics - Active mechanic user records.
+ * @param {Array<object>} jobs - All job cards.
+ * @returns {Array<object>} { slot, time, capacity, booked, available, jobs }
+ */
+function daySlots(date, settings, mechanics, jobs) {
+  return slotTimes(date, settings).map((time) => {
+    const slot = `${date}T${time}`;
+    const capacity = slotCapacity(slot, settings, mechanics);
+    const booked = jobs.filter((j) => j.appointmentSlot === slot);
+    return {
+      slot,
+      time,
+      capacity,
+      booked: booked.length,
+      available: Math.max(capacity - booked.length, 0),
+      jobs: booked,
+    };
+  });
+}
+
+/**
+ * Checks that a slot can be booked: well-formed, in the future, on a
+ * working day and on a slot boundary. Capacity is checked separately.
+ * @param {string} slot - "YYYY-MM-DDTHH:MM".
+ * @param {object} settings - The scheduling settings.
+ * @returns {string|null} Why the slot can't be booked, or null.
+ */
+function slotError(slot, settings) {
+  const match = SLOT.exec(slot || "");
+  if (!match || !isValidDate(match[1])) {
+    return "Appointment slot must look like YYYY-MM-DDTHH:MM.";
+  }
+  if (slot <= localNow()) {
+    return "Appointment slot must be in the future.";
+  }
+  if (!slotTimes(match[1], settings).includes(match[2])) {
+    return "That is not one of the available slots.";
+  }
+  return null;
+}
+
+/**
+ * Validates new scheduling settings. Only fields present are checked.
+ * @param {object} input - Raw request body.
+ * @returns {{ fields: object, error: string|null }}
+ */
+function validateSchedulingSettings(input) {
+  const fields = {};
+  for (const key of ["openTime", "closeTime"]) {
+    if (input[key] !== undefined) {
+      if (!TIME.test(input[key])) {
+        return { fields, error: `${key} must be HH:MM.` };
+      }
+      fields[key] = input[key];
+    }
+  }
+  if (input.slotMinutes !== undefined) {
+    fields.slotMinutes = parseInt(input.slotMinutes, 10);
+    if (
+      isNaN(fields.slotMinutes) ||
+      fields.slotMinutes < 15 ||
+      fields.slotMinutes > 240
+    ) {
+      return {
+        fields,
+        error: "Slot length must be between 15 and 240 minutes.",
+      };
+    }
+  }
+  if (input.bays !== undefined) {
+    fields.bays = parseInt(input.bays, 10);
+    if (isNaN(fields.bays) || fields.bays < 1) {
+      return { fields, error: "There must be at least one bay." };
+    }
+  }
+  if (input.workingDays !== undefined) {
+    const { days, error } = validateDays(input.workingDays);
+    if (error) return { fields, error };
+    fields.workingDays = days;
+  }
+  return { fields, error: null };
+}
+
+/**
+ * Validates a mechanic's shift.
+ * @param {object} input - { days, start, end }.
+ * @returns {{ shift: object, error: string|null }}
+ */
+function validateShift(input) {
+  const { days, error } = validateDays(input.days);
+  if (error) return { shift: null, error };
+  if (!TIME.test(input.start || "") || !TIME.test(input.end || "")) {
+    return { shift: null, error: "Shift start and end must be HH:MM." };
+  }
+  if (toMinutes(input.start) >= toMinutes(input.end)) {
+    return { shift: null, error: "Shift must end after it starts." };
+  }
+  return { shift: { days, start: input.start, end: input.end }, error: null };
+}
+
+function validateDays(days) {
+  if (
+    !Array.isArray(days) ||
+    !days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+  ) {
+    return { days: null, error: "Days must be numbers from 0 (Sun) to 6." };
+  }
+  return { days: [...new Set(days)].sort((a, b) => a - b), error: null };
+}
+
+/**
+ * Checks the opening hours hold at least one slot.
+ * @param {object} settings - Complete scheduling settings.
+ * @returns {string|null}
+ */
+function settingsError(settings) {
+  if (
+    toMinutes(settings.openTime) + settings.slotMinutes >
+    toMinutes(settings.closeTime)
+  ) {
+    return "Opening hours must fit at least one slot.";
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_SCHEDULING,
+  DEFAULT_SHIFT,
+  isValidDate,
+  addDays,
+  daySlots,
+  slotCapacity,
+  slotError,
+  validateSchedulingSettings,
+  validateShift,
+  settingsError,
+};
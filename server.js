@@ -1,198 +1,4382 @@
 const express = require("express");
-const fs = require("fs").promises; // Use promises for async/await
 const path = require("path");
 const cors = require("cors");
 const jwt = require("jsonwebtoken");
-// const bcrypt = require('bcryptjs'); // --- NO LONGER NEEDED ---
+const bcrypt = require("bcryptjs");
 const { randomUUID } = require("crypto");
 require("dotenv").config();
+const db = require("./storage");
+const jobStatus = require("./jobStatus");
+const events = require("./events");
+const notifications = require("./notifications");
+const reports = require("./reports");
+const { parseJobQuery, queryJobs } = require("./jobQuery");
+const scheduling = require("./scheduling");
+const assignment = require("./assignment");
+const attachments = require("./attachments");
+const otp = require("./otp");
+const authGuard = require("./authGuard");
+const sessions = require("./sessions");
+const permissions = require("./permissions");
+const audit = require("./audit");
+const purchasing = require("./purchasing");
+const reservations = require("./reservations");
+const {
+  roundMoney,
+  calculateTotals,
+  calculateInvoice,
+  renderInvoiceHtml,
+} = require("./invoice");
+const {
+  normalizePlate,
+  isValidPlate,
+  formatPlate,
+  validateVehicleFields,
+} = require("./vehicles");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const JWT_SECRET = process.env.JWT_SECRET;
-const DB_PATH = path.join(__dirname, "db.json");
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, "db.json");
+const ATTACHMENTS_DIR =
+  process.env.ATTACHMENTS_DIR || path.join(__dirname, "uploads");
+const BCRYPT_ROUNDS = 10;
+const PASSWORD_MIN_LENGTH = 6;
+const USERNAME_PATTERN = /^[a-z0-9_.]{3,30}$/;
+const DEFAULT_REORDER_LEVEL = 10;
+const DEFAULT_LEAD_TIME_DAYS = 7;
+const GST_RATE = parseFloat(process.env.GST_RATE || "18"); // Percent
 
 // --- MIDDLEWARE SETUP ---
+app.use(audit.middleware); // Lets the audit log see who made each change
 app.use(cors()); // Enable Cross-Origin Resource Sharing
 app.use(express.json()); // Parse incoming JSON payloads
 app.use(express.static(path.join(__dirname, "public"))); // Serve static files from 'public'
 
-// --- DB HELPER FUNCTIONS ---
+// --- ERROR HELPERS ---
 
 /**
- * Reads the entire JSON database file.
- * @returns {Promise<object>} The parsed database object.
+ * An error carrying the HTTP status to respond with.
+ * Throw it from inside a storage transaction to abort the transaction
+ * and send `message` back to the client.
  */
-async function readDB() {
-  try {
-    const data = await fs.readFile(DB_PATH, "utf-8");
-    return JSON.parse(data);
-  } catch (error) {
-    console.error("Error reading database:", error);
-    throw new Error("Could not read from database.");
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
   }
 }
 
 /**
- * Writes an object back to the JSON database file.
- * @param {object} data - The complete database object to write.
- * @returns {Promise<void>}
+ * Sends the JSON error response for anything a route handler caught.
+ * @param {object} res - Express response object.
+ * @param {Error} error - An HttpError or any unexpected error.
  */
-async function writeDB(data) {
-  try {
-    await fs.writeFile(DB_PATH, JSON.stringify(data, null, 2), "utf-8");
-  } catch (error) {
-    console.error("Error writing to database:", error);
-    throw new Error("Could not write to database.");
+function sendError(res, error) {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  res.status(500).json({ message: "Server error", error: error.message });
+}
+
+// --- PASSWORD HELPERS ---
+
+/**
+ * Hashes a plain-text password for storage.
+ * @param {string} password - The plain-text password.
+ * @returns {Promise<string>} The bcrypt hash.
+ */
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+/**
+ * Checks a new password against the password policy.
+ * @param {string} password - The proposed password.
+ * @returns {string|null} An error message, or null if the password is fine.
+ */
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters long.`;
+  }
+  return null;
+}
+
+/**
+ * Checks a new username: 3-30 lowercase letters, digits, dots or
+ * underscores. Usernames are shown in admin views and audit logs.
+ * @param {string} username - The proposed username.
+ * @returns {string|null} An error message, or null if the username is fine.
+ */
+function validateUsername(username) {
+  if (!USERNAME_PATTERN.test(username)) {
+    return "Username must be 3-30 characters: lowercase letters, digits, dots or underscores.";
   }
+  return null;
 }
 
 // --- AUTHENTICATION & RBAC MIDDLEWARE ---
 
+/**
+ * Signs a short-lived access token for a session.
+ * @param {object} user - The user record.
+ * @param {string} sessionId - The session it belongs to.
+ * @returns {{ token: string, expiresIn: number }} expiresIn in seconds.
+ */
+function issueAccessToken(user, sessionId) {
+  const token = jwt.sign(
+    {
+      userId: user.id,
+      username: user.username,
+      role: user.role,
+      fullName: user.fullName,
+      sessionId,
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+  const { iat, exp } = jwt.decode(token);
+  return { token, expiresIn: exp - iat };
+}
+
 /**
  * Middleware to verify the JWT token.
- * Attaches user payload to req.user if valid.
+ * Attaches user payload to req.user if valid. Tokens whose session was
+ * revoked, and tokens of users who have since been deactivated (or
+ * deleted), are refused. Every 401 carries code "invalid_token" so the
+ * client knows to refresh its session.
  */
 const authMiddleware = (req, res, next) => {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith("Bearer ")) {
-    return res
-      .status(401)
-      .json({ message: "Access denied. No token provided." });
+    return res.status(401).json({
+      message: "Access denied. No token provided.",
+      code: "invalid_token",
+    });
   }
 
   const token = authHeader.split(" ")[1];
   try {
     const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded; // Adds { userId, username, role } to the request
+    const { user, session } = db.read((tx) => ({
+      user: tx.users.findById(decoded.userId),
+      session: tx.sessions.findById(decoded.sessionId),
+    }));
+    if (!user || !user.active) {
+      return res
+        .status(401)
+        .json({ message: "Account is deactivated.", code: "invalid_token" });
+    }
+    if (!sessions.isActive(session) || session.userId !== user.id) {
+      return res.status(401).json({
+        message: "Your session has ended. Please log in again.",
+        code: "invalid_token",
+      });
+    }
+    req.user = decoded; // Adds { userId, username, role, sessionId }
     next();
   } catch (ex) {
-    res.status(400).json({ message: "Invalid token." });
+    res.status(401).json({ message: "Invalid token.", code: "invalid_token" });
+  }
+};
+
+/**
+ * Middleware generator to check for specific roles.
+ * Use after authMiddleware.
+ * @param {Array<string>} roles - Array of roles that are allowed (e.g., ['admin'])
+ */
+const checkRole = (roles) => {
+  return (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({
+        message: "Forbidden. You do not have the required permissions.",
+      });
+    }
+    next();
+  };
+};
+
+/**
+ * The permissions a role currently holds (see permissions.js).
+ * @param {object} tx - Repositories from a read or transaction.
+ * @param {string} role
+ * @returns {Array<string>}
+ */
+function rolePermissions(tx, role) {
+  return permissions.permissionsFor(tx.settings.findById("permissions"), role);
+}
+
+/**
+ * Whether a user's role holds a permission.
+ * @param {object} user - The token payload (req.user).
+ * @param {string} permission - e.g. "jobs:assign".
+ * @returns {boolean}
+ */
+function hasPermission(user, permission) {
+  return db.read((tx) => rolePermissions(tx, user.role)).includes(permission);
+}
+
+/**
+ * Middleware generator to check for a permission.
+ * Use after authMiddleware.
+ * @param {string} permission - The permission required (e.g. 'users:manage')
+ */
+const checkPermission = (permission) => {
+  return (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({
+        message: "Forbidden. You do not have the required permissions.",
+      });
+    }
+    next();
+  };
+};
+
+/**
+ * Whether a user may see a job card: customers see their own, mechanics
+ * the jobs assigned to them, and anyone holding jobs:view every job.
+ * @param {object} user - The token payload (req.user).
+ * @param {object} job - The job card.
+ * @returns {boolean}
+ */
+function canViewJob(user, job) {
+  if (user.role === "customer") return job.customerId === user.userId;
+  if (user.role === "mechanic" && job.assignedMechanicId === user.userId) {
+    return true;
+  }
+  return hasPermission(user, "jobs:view");
+}
+
+/**
+ * Throws unless the user may work on a job under the rules of canViewJob:
+ * 404 if it doesn't exist or belongs to another customer, 403 if it isn't
+ * assigned to the mechanic.
+ * @param {object} user - The token payload (req.user).
+ * @param {object|null} job - The job card.
+ */
+function assertJobAccess(user, job) {
+  if (!job || (user.role === "customer" && job.customerId !== user.userId)) {
+    throw new HttpError(404, "Job card not found.");
+  }
+  if (!canViewJob(user, job)) {
+    throw new HttpError(
+      403,
+      user.role === "mechanic"
+        ? "You are not assigned to this job."
+        : "You do not have access to this job."
+    );
+  }
+}
+
+/**
+ * Indexes users by ID so job lists can join names without a lookup per job.
+ * @param {object} tx - Repositories from a read or transaction.
+ * @returns {Map<string, object>}
+ */
+function indexUsers(tx) {
+  return new Map(tx.users.all().map((u) => [u.id, u]));
+}
+
+/**
+ * Adds what a dashboard shows alongside a job card: customer and mechanic
+ * names, plus the customer's mobile and the allowed next statuses for the
+ * mechanic working on it.
+ * @param {object} job - The job card.
+ * @param {object} user - The token payload (req.user).
+ * @param {Map<string, object>} usersById - From indexUsers().
+ * @returns {object}
+ */
+function presentJob(job, user, usersById) {
+  const customer = usersById.get(job.customerId);
+  const mechanic = usersById.get(job.assignedMechanicId);
+  const view = {
+    ...job,
+    attachments: job.attachments.map(attachments.presentAttachment),
+    customerName: customer ? customer.fullName : "N/A",
+    mechanicName: mechanic ? mechanic.fullName : "N/A",
+  };
+  if (user.role === "mechanic") {
+    view.customerMobile = customer ? customer.mobile : "N/A";
+    view.nextStatuses = jobStatus.nextStatuses(job.status, "mechanic");
+  }
+  return view;
+}
+
+// --- APPOINTMENT HELPERS ---
+
+/**
+ * The scheduling settings (opening hours, slot length, bays).
+ * @param {object} tx - Repositories from a read or transaction.
+ * @returns {object}
+ */
+function schedulingSettings(tx) {
+  return tx.settings.findById("scheduling") || scheduling.DEFAULT_SCHEDULING;
+}
+
+/**
+ * Jobs holding their appointment slot; cancelled jobs give theirs up.
+ * @param {object} tx - Repositories from a read or transaction.
+ * @returns {Array<object>}
+ */
+function bookedJobs(tx) {
+  return tx.jobCards.filter((j) => j.status !== "Cancelled");
+}
+
+/**
+ * Checks a slot can take one more booking. Call inside the transaction
+ * that books it, so two requests can't both take the last place.
+ * @param {object} tx - The transaction's repositories.
+ * @param {string} slot - "YYYY-MM-DDTHH:MM".
+ * @param {string} [jobId] - A job being moved, which doesn't count
+ *   against its own new slot.
+ */
+function assertSlotAvailable(tx, slot, jobId = null) {
+  const settings = schedulingSettings(tx);
+  const slotError = scheduling.slotError(slot, settings);
+  if (slotError) {
+    throw new HttpError(400, slotError);
+  }
+
+  const mechanics = tx.users.filter((u) => u.role === "mechanic" && u.active);
+  const capacity = scheduling.slotCapacity(slot, settings, mechanics);
+  const booked = bookedJobs(tx).filter(
+    (j) => j.appointmentSlot === slot && j.id !== jobId
+  ).length;
+  if (booked >= capacity) {
+    throw new HttpError(409, "That slot is fully booked. Please pick another.");
+  }
+}
+
+// --- AUTO-ASSIGN HELPERS ---
+
+/**
+ * The auto-assign setting: { id, enabled }.
+ * @param {object} tx - Repositories from a read or transaction.
+ * @returns {object}
+ */
+function autoAssignSettings(tx) {
+  return (
+    tx.settings.findById("autoAssign") || { id: "autoAssign", enabled: false }
+  );
+}
+
+/**
+ * Creates a Pending job card, queues the customer's confirmation and
+ * auto-assigns it if that is enabled. Call inside a transaction.
+ * @param {object} tx - The transaction's repositories.
+ * @param {object} fields - { customerId, vehicle, appointmentSlot,
+ *   issueDescription, category }.
+ * @param {object} actor - The token payload of whoever raised it.
+ * @returns {{ job: object, mechanic: object|null }}
+ */
+function openJobCard(tx, fields, actor) {
+  const { customerId, vehicle, appointmentSlot, issueDescription } = fields;
+  const job = tx.jobCards.insert({
+    id: randomUUID(),
+    customerId,
+    vehicleId: vehicle.id,
+    vehicleNumberPlate: formatPlate(vehicle.plate),
+    odometerAtService: vehicle.odometer,
+    appointmentSlot,
+    issueDescription,
+    category: fields.category || assignment.detectCategory(issueDescription),
+    status: "Pending", // Initial status, needs a mechanic assigned
+    assignedMechanicId: null,
+    autoAssigned: false,
+    partsUsed: [],
+    partAdjustments: [],
+    reservedParts: [],
+    labourItems: [],
+    estimates: [],
+    notes: [],
+    attachments: [],
+    statusHistory: [jobStatus.historyEntry(null, "Pending", actor)],
+    createdDate: new Date().toISOString(),
+  });
+  notifications.queue(tx, "request-received", job);
+  return { job, mechanic: autoAssign(tx, job) };
+}
+
+/**
+ * Checks an optional service category from a request body.
+ * @param {*} category - Raw input.
+ * @returns {string|null} An error message, or null if valid.
+ */
+function categoryError(category) {
+  if (category && !assignment.CATEGORIES.includes(category)) {
+    return `Category must be one of: ${assignment.CATEGORIES.join(", ")}.`;
+  }
+  return null;
+}
+
+/**
+ * Assigns a new Pending job to the best-suited mechanic if auto-assign is
+ * enabled. Call inside the transaction that creates the job.
+ * @param {object} tx - The transaction's repositories.
+ * @param {object} job - The new job card (mutated in place).
+ * @returns {object|null} The chosen mechanic, or null if the job stays
+ *   Pending.
+ */
+function autoAssign(tx, job) {
+  if (!autoAssignSettings(tx).enabled) return null;
+  const mechanics = tx.users.filter((u) => u.role === "mechanic" && u.active);
+  const mechanic = assignment.pickMechanic(job, mechanics, tx.jobCards.all());
+  if (!mechanic) return null;
+
+  jobStatus.applyStatusChange(job, "Assigned", assignment.SYSTEM_ACTOR);
+  job.assignedMechanicId = mechanic.id;
+  job.autoAssigned = true;
+  notifications.queue(tx, "mechanic-assigned", job);
+  return mechanic;
+}
+
+// --- LIVE EVENT HELPERS ---
+
+/**
+ * Tells the job's customer, its mechanic and everyone holding jobs:view
+ * that a job changed. Call after the transaction has committed.
+ * @param {string} type - e.g. "job.created", "job.status-changed".
+ * @param {string} jobId - The job card ID.
+ * @param {Array<string>} [extraUserIds] - Others to notify (e.g. a mechanic
+ *   the job was just taken away from).
+ */
+function publishJobEvent(type, jobId, extraUserIds = []) {
+  const { job, roles } = db.read((tx) => ({
+    job: tx.jobCards.findById(jobId),
+    roles: permissions.rolesWith(
+      tx.settings.findById("permissions"),
+      "jobs:view"
+    ),
+  }));
+  if (!job) return;
+  events.publish(
+    type,
+    {
+      jobId: job.id,
+      status: job.status,
+      vehicleNumberPlate: job.vehicleNumberPlate,
+    },
+    {
+      roles,
+      userIds: [job.customerId, job.assignedMechanicId, ...extraUserIds],
+    }
+  );
+}
+
+/**
+ * Tells everyone holding inventory:view the current stock of the given
+ * parts.
+ * @param {Array<string>} partIds - Parts whose quantity changed.
+ */
+function publishStockEvent(partIds) {
+  const { parts, roles } = db.read((tx) => ({
+    parts: partIds.map((id) => tx.parts.findById(id)).filter(Boolean),
+    roles: permissions.rolesWith(
+      tx.settings.findById("permissions"),
+      "inventory:view"
+    ),
+  }));
+  events.publish(
+    "stock.changed",
+    {
+      parts: parts.map((p) => ({
+        id: p.id,
+        partName: p.partName,
+        quantity: p.quantity,
+        reserved: p.reserved,
+        available: reservations.available(p),
+        retired: p.retired,
+      })),
+    },
+    { roles }
+  );
+}
+
+// --- API ROUTES & CONTROLLERS ---
+
+// --- 1. Auth Routes (Public) ---
+
+/**
+ * Answers a refused login with a Retry-After header.
+ * @param {object} res - Express response object.
+ * @param {number} status - 429 (IP throttled) or 423 (account locked).
+ * @param {number} waitMs - How long until the next attempt is allowed.
+ * @param {string} reason - First sentence of the message.
+ */
+function refuseLogin(res, status, waitMs, reason) {
+  const minutes = Math.ceil(waitMs / 60000);
+  res.set("Retry-After", String(Math.ceil(waitMs / 1000)));
+  res.status(status).json({
+    message: `${reason} Try again in ${minutes} minute${
+      minutes === 1 ? "" : "s"
+    }.`,
+  });
+}
+
+/**
+ * POST /api/auth/login
+ * Logs in any user (admin, mechanic, customer) and returns a JWT.
+ * Repeated failures lock the account for a while and block the caller's
+ * IP address (see authGuard.js). Every attempt is logged.
+ */
+app.post("/api/auth/login", async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    if (!username || !password) {
+      return res
+        .status(400)
+        .json({ message: "Username and password are required." });
+    }
+    const ip = req.ip;
+
+    const ipWait = authGuard.ipRetryAfter(ip);
+    if (ipWait > 0) {
+      await db.transaction((tx) =>
+        authGuard.logEvent(tx, "login.throttled", { username, ip })
+      );
+      return refuseLogin(
+        res,
+        429,
+        ipWait,
+        "Too many failed logins from your network."
+      );
+    }
+
+    const user = db.read((tx) =>
+      tx.users.findOne((u) => u.username === username)
+    );
+
+    const lockWait = user ? authGuard.lockRemaining(user) : 0;
+    if (lockWait > 0) {
+      await db.transaction((tx) =>
+        authGuard.logEvent(tx, "login.locked", {
+          username,
+          userId: user.id,
+          ip,
+        })
+      );
+      return refuseLogin(
+        res,
+        423,
+        lockWait,
+        "This account is locked after too many failed logins."
+      );
+    }
+
+    // Walk-in customers have no password until an admin sets one
+    const isMatch =
+      user && user.password
+        ? await bcrypt.compare(password, user.password)
+        : false;
+
+    if (!isMatch) {
+      authGuard.recordIpFailure(ip);
+      await db.transaction((tx) => {
+        const record = user && tx.users.findById(user.id);
+        authGuard.logEvent(tx, "login.failure", {
+          username,
+          userId: record?.id,
+          ip,
+          reason: record ? "Wrong password" : "Unknown username",
+        });
+        if (record && authGuard.recordFailure(record)) {
+          authGuard.logEvent(tx, "account.locked", {
+            username,
+            userId: record.id,
+            ip,
+            reason: `${authGuard.MAX_FAILURES} failed logins in a row`,
+          });
+        }
+      });
+      return res.status(401).json({ message: "Invalid credentials." });
+    }
+    if (!user.active) {
+      await db.transaction((tx) =>
+        authGuard.logEvent(tx, "login.failure", {
+          username,
+          userId: user.id,
+          ip,
+          reason: "Account deactivated",
+        })
+      );
+      return res.status(403).json({ message: "This account is deactivated." });
+    }
+
+    const { session, refreshToken } = await db.transaction((tx) => {
+      authGuard.clearFailures(tx.users.findById(user.id));
+      authGuard.logEvent(tx, "login.success", {
+        username,
+        userId: user.id,
+        ip,
+      });
+      return sessions.create(tx, user.id, {
+        ip,
+        userAgent: req.get("User-Agent"),
+      });
+    });
+
+    const { token, expiresIn } = issueAccessToken(user, session.id);
+    res.json({
+      message: "Login successful!",
+      token: token,
+      refreshToken,
+      expiresIn,
+      user: {
+        id: user.id,
+        username: user.username,
+        role: user.role,
+        fullName: user.fullName,
+        permissions: db.read((tx) => rolePermissions(tx, user.role)),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Swaps a refresh token for a new access token and a new refresh token:
+ * { refreshToken }. Each refresh token can only be used once.
+ */
+app.post("/api/auth/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required." });
+    }
+
+    // A reused token revokes its session, which must be saved, so
+    // failures are returned rather than thrown.
+    const result = await db.transaction((tx) => {
+      const rotated = sessions.rotate(tx, refreshToken);
+      if (rotated.error) return rotated;
+      const user = tx.users.findById(rotated.session.userId);
+      if (!user || !user.active) {
+        sessions.revoke(rotated.session, "Account deactivated");
+        return { error: "Account is deactivated." };
+      }
+      return { ...rotated, user };
+    });
+
+    if (result.error) {
+      return res.status(401).json({ message: result.error });
+    }
+    const { token, expiresIn } = issueAccessToken(
+      result.user,
+      result.session.id
+    );
+    res.json({ token, refreshToken: result.refreshToken, expiresIn });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Ends the session of a refresh token: { refreshToken }. Its access
+ * tokens stop working at once. Logging out twice is not an error.
+ */
+app.post("/api/auth/logout", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required." });
+    }
+
+    const sessionId = await db.transaction((tx) => {
+      const { session } = sessions.findByToken(tx, refreshToken);
+      if (!sessions.isActive(session)) return null;
+      sessions.revoke(session, "Logged out");
+      return session.id;
+    });
+
+    if (sessionId) {
+      events.disconnectSessions([sessionId]);
+    }
+    res.json({ message: "Logged out." });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * PUT /api/auth/password (Any logged-in user)
+ * User changes their own password. Requires the current password.
+ * Logs out the user's other sessions.
+ */
+app.put("/api/auth/password", authMiddleware, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return res
+        .status(400)
+        .json({ message: "Current and new password are required." });
+    }
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+
+    const user = db.read((tx) => tx.users.findById(req.user.userId));
+    if (!user) {
+      return res.status(404).json({ message: "User not found." });
+    }
+    if (!user.password) {
+      return res.status(400).json({
+        message:
+          "This account has no password yet. Sign up with your mobile number to set one.",
+      });
+    }
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      return res
+        .status(401)
+        .json({ message: "Current password is incorrect." });
+    }
+
+    const passwordHash = await hashPassword(newPassword);
+    const revokedIds = await db.transaction((tx) => {
+      tx.users.update(req.user.userId, { password: passwordHash });
+      return sessions.revokeAllForUser(
+        tx,
+        req.user.userId,
+        "Password changed",
+        req.user.sessionId
+      );
+    });
+    events.disconnectSessions(revokedIds);
+
+    res.json({ message: "Password changed successfully." });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * Drops signups that were never verified. Call inside a transaction.
+ * @param {object} tx - The transaction's repositories.
+ */
+function purgeExpiredSignups(tx) {
+  const cutoff = Date.now() - otp.SIGNUP_TTL_MS;
+  tx.signups
+    .filter((s) => new Date(s.createdDate).getTime() < cutoff)
+    .forEach((s) => tx.signups.remove(s.id));
+}
+
+/**
+ * The customer with a mobile number, if any. Walk-in bookings find the
+ * customer by mobile, so no two customers may share one.
+ * @param {object} tx - Repositories from a read or transaction.
+ * @param {string} mobile - The normalized mobile number.
+ * @param {string} [exceptId] - A user to ignore, e.g. the one being edited.
+ * @returns {object|undefined}
+ */
+function customerWithMobile(tx, mobile, exceptId) {
+  return tx.users.findOne(
+    (u) => u.role === "customer" && u.mobile === mobile && u.id !== exceptId
+  );
+}
+
+/**
+ * Why a signup can't use this username or mobile, if it can't.
+ * @param {object} tx - Repositories from a read or transaction.
+ * @param {string} username - The requested username.
+ * @param {string} mobile - The normalized mobile number.
+ * @returns {string|null}
+ */
+function signupConflict(tx, username, mobile) {
+  if (tx.users.findOne((u) => u.username === username)) {
+    return "Username already exists.";
+  }
+  if (customerWithMobile(tx, mobile) && !claimableWalkIn(tx, mobile)) {
+    return "An account with this mobile number already exists.";
+  }
+  return null;
+}
+
+/**
+ * The walk-in customer a signup can claim: an active customer with the
+ * signup's mobile number who has never had a password.
+ * @param {object} tx - Repositories from a read or transaction.
+ * @param {string} mobile - The normalized mobile number.
+ * @returns {object|undefined}
+ */
+function claimableWalkIn(tx, mobile) {
+  const customer = customerWithMobile(tx, mobile);
+  return customer && !customer.password && customer.active
+    ? customer
+    : undefined;
+}
+
+/**
+ * POST /api/auth/signup (Public)
+ * Starts a customer signup: { username, password, fullName, mobile }.
+ * Texts a one-time code to the mobile number; the account is only created
+ * once the code is confirmed with POST /api/auth/signup/verify. Starting
+ * again with the same mobile number replaces the earlier attempt.
+ */
+app.post("/api/auth/signup", async (req, res) => {
+  try {
+    const username = String(req.body.username || "").trim();
+    const fullName = String(req.body.fullName || "").trim();
+    const mobile = otp.normalizeMobile(req.body.mobile);
+    const { password } = req.body;
+    if (!username || !password || !fullName || !mobile) {
+      return res.status(400).json({ message: "Missing required fields." });
+    }
+    if (!otp.isValidMobile(mobile)) {
+      return res
+        .status(400)
+        .json({ message: "Please enter a valid 10-digit mobile number." });
+    }
+    const usernameError = validateUsername(username);
+    if (usernameError) {
+      return res.status(400).json({ message: usernameError });
+    }
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+
+    const passwordHash = await hashPassword(password);
+    let code = null;
+    const signup = await db.transaction((tx) => {
+      purgeExpiredSignups(tx);
+      const conflict = signupConflict(tx, username, mobile);
+      if (conflict) {
+        throw new HttpError(409, conflict);
+      }
+      if (
+        tx.signups.findOne(
+          (s) => s.username === username && s.mobile !== mobile
+        )
+      ) {
+        throw new HttpError(409, "Username already exists.");
+      }
+      tx.signups
+        .filter((s) => s.mobile === mobile)
+        .forEach((s) => tx.signups.remove(s.id));
+
+      const signup = {
+        id: randomUUID(),
+        username,
+        password: passwordHash,
+        fullName,
+        mobile,
+        createdDate: new Date().toISOString(),
+      };
+      code = otp.issueCode(signup);
+      return tx.signups.insert(signup);
+    });
+
+    try {
+      await otp.sendCode(mobile, code);
+    } catch (error) {
+      await db.transaction((tx) => tx.signups.remove(signup.id));
+      throw new HttpError(
+        502,
+        "We couldn't send the verification code. Please try again."
+      );
+    }
+
+    res.status(202).json({
+      message: `We sent a verification code to ${mobile}.`,
+      signupId: signup.id,
+      expiresInMinutes: otp.CODE_TTL_MS / 60000,
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/auth/signup/verify (Public)
+ * Confirms a signup's code: { signupId, code }. Creates the customer
+ * account on success, or completes the account staff opened for a
+ * walk-in customer with that mobile number. A wrong code uses up one of
+ * the code's attempts.
+ */
+app.post("/api/auth/signup/verify", async (req, res) => {
+  try {
+    const { signupId, code } = req.body;
+    if (!signupId || !code) {
+      return res
+        .status(400)
+        .json({ message: "Signup ID and code are required." });
+    }
+
+    // A wrong guess must still be saved, so failures are returned rather
+    // than thrown (throwing would roll the attempt count back).
+    const result = await db.transaction((tx) => {
+      const signup = tx.signups.findById(signupId);
+      if (!signup) {
+        throw new HttpError(
+          404,
+          "This signup has expired or was already completed. Please sign up again."
+        );
+      }
+      if (signup.attempts >= otp.MAX_ATTEMPTS) {
+        return {
+          status: 429,
+          message: "Too many incorrect codes. Please request a new code.",
+        };
+      }
+      if (new Date(signup.codeExpiresDate) < new Date()) {
+        return {
+          status: 400,
+          message: "This code has expired. Please request a new code.",
+        };
+      }
+      if (!otp.codeMatches(code, signup.codeHash)) {
+        signup.attempts += 1;
+        const left = otp.MAX_ATTEMPTS - signup.attempts;
+        return {
+          status: 400,
+          message:
+            left > 0
+              ? `Incorrect code. ${left} attempt(s) left.`
+              : "Incorrect code. Please request a new code.",
+        };
+      }
+
+      const conflict = signupConflict(tx, signup.username, signup.mobile);
+      if (conflict) {
+        tx.signups.remove(signup.id);
+        return { status: 409, message: conflict };
+      }
+      tx.signups.remove(signup.id);
+
+      // A walk-in customer claims the account staff opened for them, so
+      // their jobs and vehicles stay with them.
+      const walkIn = claimableWalkIn(tx, signup.mobile);
+      if (walkIn) {
+        Object.assign(walkIn, {
+          username: signup.username,
+          password: signup.password,
+          fullName: signup.fullName,
+          mobileVerified: true,
+        });
+        return {
+          status: 201,
+          message: "Your account is ready. You can now log in.",
+          user: walkIn,
+        };
+      }
+
+      const user = tx.users.insert({
+        id: randomUUID(),
+        username: signup.username,
+        password: signup.password,
+        fullName: signup.fullName,
+        mobile: signup.mobile,
+        mobileVerified: true,
+        role: "customer",
+        active: true,
+        deactivatedDate: null,
+        failedLoginCount: 0,
+        lockedUntil: null,
+        notificationsOptOut: false,
+      });
+      return {
+        status: 201,
+        message: "Account created. You can now log in.",
+        user,
+      };
+    });
+
+    if (!result.user) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    res.status(201).json({ message: result.message, userId: result.user.id });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/auth/signup/resend (Public)
+ * Sends a new code for a signup: { signupId }. The previous code stops
+ * working and the attempt count starts over.
+ */
+app.post("/api/auth/signup/resend", async (req, res) => {
+  try {
+    let code = null;
+    const signup = await db.transaction((tx) => {
+      const signup = tx.signups.findById(req.body.signupId);
+      if (!signup) {
+        throw new HttpError(
+          404,
+          "This signup has expired or was already completed. Please sign up again."
+        );
+      }
+      const wait =
+        new Date(signup.lastSentDate).getTime() +
+        otp.RESEND_COOLDOWN_MS -
+        Date.now();
+      if (wait > 0) {
+        throw new HttpError(
+          429,
+          `Please wait ${Math.ceil(
+            wait / 1000
+          )} seconds before requesting another code.`
+        );
+      }
+      if (signup.sends >= otp.MAX_SENDS) {
+        throw new HttpError(
+          429,
+          "Too many codes requested. Please sign up again later."
+        );
+      }
+      code = otp.issueCode(signup);
+      return signup;
+    });
+
+    try {
+      await otp.sendCode(signup.mobile, code);
+    } catch (error) {
+      throw new HttpError(
+        502,
+        "We couldn't send the verification code. Please try again."
+      );
+    }
+
+    res.json({
+      message: `We sent a new code to ${signup.mobile}.`,
+      expiresInMinutes: otp.CODE_TTL_MS / 60000,
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// --- 2. Admin Routes ---
+
+/**
+ * POST /api/auth/register (users:manage)
+ * Registers a new receptionist, mechanic or customer.
+ */
+app.post(
+  "/api/auth/register",
+  authMiddleware,
+  checkPermission("users:manage"),
+  async (req, res) => {
+    try {
+      const { username, password, fullName, role } = req.body;
+      const mobile = otp.normalizeMobile(req.body.mobile);
+      if (!username || !password || !fullName || !role || !mobile) {
+        return res.status(400).json({ message: "Missing required fields." });
+      }
+      if (!otp.isValidMobile(mobile)) {
+        return res
+          .status(400)
+          .json({ message: "Please enter a valid 10-digit mobile number." });
+      }
+      if (role === "admin") {
+        return res.status(403).json({ message: "Cannot register new admins." });
+      }
+      if (!permissions.ROLES.includes(role)) {
+        return res.status(400).json({
+          message: `Role must be one of: ${permissions.ROLES.filter(
+            (r) => r !== "admin"
+          ).join(", ")}.`,
+        });
+      }
+      const usernameError = validateUsername(username);
+      if (usernameError) {
+        return res.status(400).json({ message: usernameError });
+      }
+      const passwordError = validatePassword(password);
+      if (passwordError) {
+        return res.status(400).json({ message: passwordError });
+      }
+
+      const passwordHash = await hashPassword(password);
+      const newUser = await db.transaction((tx) => {
+        const userExists = tx.users.findOne((u) => u.username === username);
+        if (userExists) {
+          throw new HttpError(409, "Username already exists.");
+        }
+        if (role === "customer" && customerWithMobile(tx, mobile)) {
+          throw new HttpError(
+            409,
+            "An account with this mobile number already exists."
+          );
+        }
+
+        const user = {
+          id: randomUUID(),
+          username,
+          password: passwordHash,
+          fullName,
+          mobile,
+          role, // 'receptionist', 'mechanic' or 'customer'
+          active: true,
+          deactivatedDate: null,
+          failedLoginCount: 0,
+          lockedUntil: null,
+        };
+        if (role === "customer") {
+          user.notificationsOptOut = false;
+        }
+        if (role === "mechanic") {
+          user.shift = { ...scheduling.DEFAULT_SHIFT };
+          user.skills = [];
+        }
+        return tx.users.insert(user);
+      });
+
+      res
+        .status(201)
+        .json({ message: "User registered successfully.", userId: newUser.id });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/users/:id/password (users:manage)
+ * Admin force-resets a mechanic's or customer's password. The user is
+ * logged out everywhere.
+ */
+app.put(
+  "/api/admin/users/:id/password",
+  authMiddleware,
+  checkPermission("users:manage"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { newPassword } = req.body;
+      const passwordError = validatePassword(newPassword);
+      if (passwordError) {
+        return res.status(400).json({ message: passwordError });
+      }
+
+      const passwordHash = await hashPassword(newPassword);
+      await db.transaction((tx) => {
+        const user = tx.users.findById(id);
+        if (!user) {
+          throw new HttpError(404, "User not found.");
+        }
+        if (user.role === "admin") {
+          throw new HttpError(403, "Cannot reset another admin's password.");
+        }
+        user.password = passwordHash;
+        sessions.revokeAllForUser(tx, id, "Password reset by admin");
+      });
+      events.disconnectUser(id);
+
+      res.json({ message: "Password reset successfully." });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * GET /api/admin/dashboard-data (jobs:view)
+ * Gets the mechanics, customers, and parts for the admin dashboard.
+ * Parts are only included with inventory:view. Job cards are listed page
+ * by page through GET /api/jobcards.
+ */
+app.get(
+  "/api/admin/dashboard-data",
+  authMiddleware,
+  checkPermission("jobs:view"),
+  async (req, res) => {
+    try {
+      const data = db.read((tx) => {
+        const mechanics = tx.users
+          .filter((u) => u.role === "mechanic" && u.active)
+          .map((m) => ({ id: m.id, fullName: m.fullName }));
+        const customers = tx.users
+          .filter((u) => u.role === "customer" && u.active)
+          .map((c) => ({ id: c.id, fullName: c.fullName }));
+        const parts = rolePermissions(tx, req.user.role).includes(
+          "inventory:view"
+        )
+          ? tx.parts.all().map(presentPart)
+          : [];
+
+        return { mechanics, customers, parts };
+      });
+
+      res.json(data);
+    } catch (error) {
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/jobcards/:id/assign (jobs:assign)
+ * Admin assigns a mechanic to a job card.
+ */
+app.put(
+  "/api/admin/jobcards/:id/assign",
+  authMiddleware,
+  checkPermission("jobs:assign"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { mechanicId } = req.body;
+      let previousMechanicId = null;
+
+      const updatedJob = await db.transaction((tx) => {
+        const job = tx.jobCards.findById(id);
+        if (!job) {
+          throw new HttpError(404, "Job card not found.");
+        }
+
+        const mechanic = tx.users.findOne(
+          (u) => u.id === mechanicId && u.role === "mechanic" && u.active
+        );
+        if (!mechanic) {
+          throw new HttpError(404, "Mechanic not found.");
+        }
+
+        // Pending jobs move to Assigned; Assigned and In Progress jobs can
+        // be handed to another mechanic without changing their status.
+        const isReassign = ["Assigned", "In Progress"].includes(job.status);
+        if (
+          !isReassign &&
+          !jobStatus.canTransition(job.status, "Assigned", "desk")
+        ) {
+          throw new HttpError(
+            400,
+            `Cannot assign a job that is ${job.status}.`
+          );
+        }
+        if (!isReassign) {
+          jobStatus.applyStatusChange(job, "Assigned", req.user);
+        }
+        previousMechanicId = job.assignedMechanicId;
+        job.assignedMechanicId = mechanicId;
+        job.autoAssigned = false; // A manual choice overrides auto-assign
+        if (previousMechanicId !== mechanicId) {
+          notifications.queue(tx, "mechanic-assigned", job);
+        }
+
+        // Return the updated job with mechanic name
+        return {
+          ...job,
+          customerName: tx.users.findById(job.customerId)?.fullName || "N/A",
+          mechanicName: mechanic.fullName,
+        };
+      });
+      publishJobEvent("job.assigned", id, [previousMechanicId]);
+      notifications.deliverPending();
+      res.json({
+        message: "Mechanic assigned successfully.",
+        jobCard: updatedJob,
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/jobcards/:id/adjust-part (jobs:adjust-parts)
+ * Admin corrects a logged part on any job, including dispatched ones.
+ * Handled by adjustLoggedPart (see Mechanic Routes).
+ */
+app.put(
+  "/api/admin/jobcards/:id/adjust-part",
+  authMiddleware,
+  checkPermission("jobs:adjust-parts"),
+  adjustLoggedPart
+);
+
+/**
+ * PUT /api/admin/jobcards/:id/reservations (jobs:assign)
+ * Desk staff reserve parts for any job, or release them.
+ * Handled by setJobReservation (see Mechanic Routes).
+ */
+app.put(
+  "/api/admin/jobcards/:id/reservations",
+  authMiddleware,
+  checkPermission("jobs:assign"),
+  setJobReservation
+);
+
+/**
+ * PUT /api/admin/jobcards/:id/unassign (jobs:assign)
+ * Takes an Assigned job away from its mechanic and returns it to Pending,
+ * releasing any parts it holds. Jobs already in progress have to be
+ * reassigned instead.
+ */
+app.put(
+  "/api/admin/jobcards/:id/unassign",
+  authMiddleware,
+  checkPermission("jobs:assign"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      let previousMechanicId = null;
+
+      const result = await db.transaction((tx) => {
+        const job = tx.jobCards.findById(id);
+        if (!job) {
+          throw new HttpError(404, "Job card not found.");
+        }
+        if (!jobStatus.canTransition(job.status, "Pending", "desk")) {
+          throw new HttpError(
+            400,
+            `Cannot unassign a job that is ${job.status}.`
+          );
+        }
+
+        jobStatus.applyStatusChange(job, "Pending", req.user);
+        previousMechanicId = job.assignedMechanicId;
+        job.assignedMechanicId = null;
+        // Nobody is working on it, so nothing should be held for it
+        const releasedPartIds = reservations.releaseAll(tx, job);
+        return { job, releasedPartIds };
+      });
+
+      publishJobEvent("job.unassigned", id, [previousMechanicId]);
+      if (result.releasedPartIds.length > 0) {
+        publishStockEvent(result.releasedPartIds);
+      }
+      res.json({ message: "Mechanic unassigned.", jobCard: result.job });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/jobcards/:id/cancel (jobs:assign)
+ * Cancels a Pending or Assigned job, e.g. when the customer no longer
+ * needs the service. The job leaves its mechanic and its appointment
+ * slot, and any parts it holds are released.
+ */
+app.put(
+  "/api/admin/jobcards/:id/cancel",
+  authMiddleware,
+  checkPermission("jobs:assign"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      let previousMechanicId = null;
+
+      const result = await db.transaction((tx) => {
+        const job = tx.jobCards.findById(id);
+        if (!job) {
+          throw new HttpError(404, "Job card not found.");
+        }
+        if (!jobStatus.canTransition(job.status, "Cancelled", "desk")) {
+          throw new HttpError(
+            400,
+            `Cannot cancel a job that is ${job.status}.`
+          );
+        }
+
+        jobStatus.applyStatusChange(job, "Cancelled", req.user);
+        previousMechanicId = job.assignedMechanicId;
+        job.assignedMechanicId = null;
+        const releasedPartIds = reservations.releaseAll(tx, job);
+        return { job, releasedPartIds };
+      });
+
+      publishJobEvent("job.status-changed", id, [previousMechanicId]);
+      if (result.releasedPartIds.length > 0) {
+        publishStockEvent(result.releasedPartIds);
+      }
+      res.json({ message: "Job cancelled.", jobCard: result.job });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * Strips the password hash from a user record before it leaves the server.
+ * @param {object} user - A user record.
+ * @returns {object}
+ */
+function presentUser(user) {
+  const { password, ...rest } = user;
+  return rest;
+}
+
+/**
+ * GET /api/admin/users (users:manage)
+ * Lists users. Optional filters: ?role=, ?status=active|inactive and
+ * ?search= (matches name, username or mobile).
+ */
+app.get(
+  "/api/admin/users",
+  authMiddleware,
+  checkPermission("users:manage"),
+  async (req, res) => {
+    try {
+      const { role, status } = req.query;
+      const search = (req.query.search || "").trim().toLowerCase();
+
+      const users = db.read((tx) =>
+        tx.users.filter(
+          (u) =>
+            (!role || u.role === role) &&
+            (!status || u.active === (status === "active")) &&
+            (!search ||
+              [u.fullName, u.username, u.mobile].some((value) =>
+                String(value || "")
+                  .toLowerCase()
+                  .includes(search)
+              ))
+        )
+      );
+
+      res.json(users.map(presentUser));
+    } catch (error) {
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/users/:id (users:manage)
+ * Admin edits a mechanic's or customer's name and mobile number. Mobile
+ * numbers are normalized and checked like at signup.
+ */
+app.put(
+  "/api/admin/users/:id",
+  authMiddleware,
+  checkPermission("users:manage"),
+  async (req, res) => {
+    try {
+      const changes = {};
+      for (const key of ["fullName", "mobile"]) {
+        if (req.body[key] !== undefined) {
+          changes[key] = String(req.body[key]).trim();
+          if (!changes[key]) {
+            return res.status(400).json({ message: `${key} cannot be empty.` });
+          }
+        }
+      }
+      if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ message: "Nothing to update." });
+      }
+      if (changes.mobile !== undefined) {
+        changes.mobile = otp.normalizeMobile(changes.mobile);
+        if (!otp.isValidMobile(changes.mobile)) {
+          return res
+            .status(400)
+            .json({ message: "Please enter a valid 10-digit mobile number." });
+        }
+      }
+
+      const user = await db.transaction((tx) => {
+        const user = tx.users.findById(req.params.id);
+        if (!user) {
+          throw new HttpError(404, "User not found.");
+        }
+        if (user.role === "admin") {
+          throw new HttpError(403, "Cannot edit another admin.");
+        }
+        if (
+          changes.mobile &&
+          user.role === "customer" &&
+          customerWithMobile(tx, changes.mobile, user.id)
+        ) {
+          throw new HttpError(
+            409,
+            "An account with this mobile number already exists."
+          );
+        }
+        return Object.assign(user, changes);
+      });
+
+      res.json({ message: "User updated.", user: presentUser(user) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/users/:id/active (users:manage)
+ * Deactivates ({ active: false }) or reactivates a mechanic or customer.
+ * Deactivated users cannot log in and their existing tokens stop working.
+ * A mechanic with open jobs must have them reassigned first.
+ */
+app.put(
+  "/api/admin/users/:id/active",
+  authMiddleware,
+  checkPermission("users:manage"),
+  async (req, res) => {
+    try {
+      const { active } = req.body;
+      if (typeof active !== "boolean") {
+        return res
+          .status(400)
+          .json({ message: "active must be true or false." });
+      }
+
+      const user = await db.transaction((tx) => {
+        const user = tx.users.findById(req.params.id);
+        if (!user) {
+          throw new HttpError(404, "User not found.");
+        }
+        if (user.role === "admin") {
+          throw new HttpError(403, "Cannot deactivate an admin.");
+        }
+        if (!active && user.role === "mechanic") {
+          const openJobs = tx.jobCards.filter(
+            (j) => j.assignedMechanicId === user.id && j.status !== "Dispatched"
+          );
+          if (openJobs.length > 0) {
+            throw new HttpError(
+              409,
+              `Reassign or unassign this mechanic's ${openJobs.length} open job(s) first.`
+            );
+          }
+        }
+
+        user.active = active;
+        user.deactivatedDate = active ? null : new Date().toISOString();
+        if (!active) {
+          sessions.revokeAllForUser(tx, user.id, "Account deactivated");
+        }
+        return user;
+      });
+
+      if (!active) {
+        events.disconnectUser(user.id);
+      }
+      res.json({
+        message: active ? "User reactivated." : "User deactivated.",
+        user: presentUser(user),
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/users/:id/unlock (users:manage)
+ * Lifts a lockout caused by failed logins and resets the failure count.
+ */
+app.put(
+  "/api/admin/users/:id/unlock",
+  authMiddleware,
+  checkPermission("users:manage"),
+  async (req, res) => {
+    try {
+      await db.transaction((tx) => {
+        const user = tx.users.findById(req.params.id);
+        if (!user) {
+          throw new HttpError(404, "User not found.");
+        }
+        authGuard.clearFailures(user);
+        authGuard.logEvent(tx, "account.unlocked", {
+          username: user.username,
+          userId: user.id,
+          ip: req.ip,
+          reason: `Unlocked by ${req.user.username}`,
+        });
+      });
+
+      res.json({ message: "Account unlocked." });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/admin/users/:id/sessions (users:manage)
+ * Logs a user out everywhere, e.g. after a lost phone or a leaked
+ * password. Their access and refresh tokens stop working at once.
+ */
+app.delete(
+  "/api/admin/users/:id/sessions",
+  authMiddleware,
+  checkPermission("users:manage"),
+  async (req, res) => {
+    try {
+      const revokedIds = await db.transaction((tx) => {
+        if (!tx.users.findById(req.params.id)) {
+          throw new HttpError(404, "User not found.");
+        }
+        return sessions.revokeAllForUser(
+          tx,
+          req.params.id,
+          `Revoked by ${req.user.username}`
+        );
+      });
+
+      events.disconnectUser(req.params.id);
+      const count = revokedIds.length;
+      res.json({ message: `Ended ${count} session(s).`, count });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * GET /api/admin/auth-events (users:manage)
+ * The login log, newest first. Optional filters: ?type= (see
+ * authGuard.EVENT_TYPES), ?username=, ?from= and ?to=, and ?limit=
+ * (default 100, at most 500).
+ */
+app.get(
+  "/api/admin/auth-events",
+  authMiddleware,
+  checkPermission("users:manage"),
+  async (req, res) => {
+    try {
+      const { type, username } = req.query;
+      const limit = parseInt(req.query.limit || "100", 10);
+      if (type && !authGuard.EVENT_TYPES.includes(type)) {
+        return res
+          .status(400)
+          .json({ message: `Unknown event type: ${type}.` });
+      }
+      if (isNaN(limit) || limit < 1 || limit > 500) {
+        return res
+          .status(400)
+          .json({ message: "Limit must be between 1 and 500." });
+      }
+      const { range, error } = reports.parseDateRange(req.query);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const events = db.read((tx) =>
+        tx.authEvents.filter((e) => {
+          const date = new Date(e.date);
+          return (
+            (!type || e.type === type) &&
+            (!username || e.username === username) &&
+            (!range.from || date >= range.from) &&
+            (!range.to || date <= range.to)
+          );
+        })
+      );
+
+      res.json(events.reverse().slice(0, limit));
+    } catch (error) {
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/notifications (settings:manage)
+ * Lists the notification outbox, newest first. Optional ?status=
+ * (Pending, Sent or Failed) narrows the list.
+ */
+app.get(
+  "/api/admin/notifications",
+  authMiddleware,
+  checkPermission("settings:manage"),
+  async (req, res) => {
+    try {
+      const { status } = req.query;
+      const entries = db.read((tx) =>
+        tx.notifications
+          .filter((n) => !status || n.status === status)
+          .map((n) => ({
+            ...n,
+            customerName: tx.users.findById(n.userId)?.fullName || "N/A",
+          }))
+      );
+      entries.sort((a, b) => new Date(b.createdDate) - new Date(a.createdDate));
+      res.json(entries.slice(0, 100));
+    } catch (error) {
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/notifications/:id/retry (settings:manage)
+ * Puts a Failed message back in the outbox for another round of attempts.
+ */
+app.post(
+  "/api/admin/notifications/:id/retry",
+  authMiddleware,
+  checkPermission("settings:manage"),
+  async (req, res) => {
+    try {
+      const entry = await db.transaction((tx) => {
+        const entry = tx.notifications.findById(req.params.id);
+        if (!entry) {
+          throw new HttpError(404, "Notification not found.");
+        }
+        if (entry.status !== "Failed") {
+          throw new HttpError(400, "Only failed notifications can be retried.");
+        }
+        entry.status = "Pending";
+        entry.attempts = 0;
+        entry.nextAttemptDate = new Date().toISOString();
+        return entry;
+      });
+
+      notifications.deliverPending();
+      res.json({
+        message: "Notification queued for retry.",
+        notification: entry,
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+// --- 3. Mechanic Routes ---
+
+/**
+ * GET /api/mechanic/jobs (Mechanic-only)
+ * Mechanic views all job cards assigned to them.
+ */
+app.get(
+  "/api/mechanic/jobs",
+  authMiddleware,
+  checkRole(["mechanic"]),
+  async (req, res) => {
+    try {
+      const myJobs = db.read((tx) => {
+        const usersById = indexUsers(tx);
+        return tx.jobCards
+          .filter((j) => j.assignedMechanicId === req.user.userId)
+          .map((job) => presentJob(job, req.user, usersById));
+      });
+      res.json(myJobs);
+    } catch (error) {
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+/**
+ * PUT /api/mechanic/jobs/:id/log-part (Mechanic-only)
+ * Mechanic logs a part used for a job. This decreases stock, using up
+ * the job's reservation of the part first.
+ */
+app.put(
+  "/api/mechanic/jobs/:id/log-part",
+  authMiddleware,
+  checkRole(["mechanic"]),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { partId, quantityUsed } = req.body;
+      const qty = parseInt(quantityUsed, 10);
+
+      if (!partId || !qty || qty <= 0) {
+        return res.status(400).json({
+          message: "Valid Part ID and positive quantity are required.",
+        });
+      }
+
+      // Stock check and decrement happen in one transaction, so two
+      // mechanics logging the same part can't both spend the last unit.
+      const job = await db.transaction((tx) => {
+        const job = tx.jobCards.findById(id);
+
+        if (!job) {
+          throw new HttpError(404, "Job card not found.");
+        }
+        // Security check: Is this job assigned to me?
+        if (job.assignedMechanicId !== req.user.userId) {
+          throw new HttpError(403, "You are not assigned to this job.");
+        }
+        if (job.status === "Dispatched") {
+          throw new HttpError(
+            403,
+            "This job has been dispatched. Only an admin can adjust its parts."
+          );
+        }
+
+        const part = tx.parts.findById(partId);
+        if (!part) {
+          throw new HttpError(404, "Part not found in inventory.");
+        }
+        if (part.retired) {
+          throw new HttpError(400, `${part.partName} has been retired.`);
+        }
+        if (reservations.availableFor(job, part) < qty) {
+          throw new HttpError(
+            400,
+            `Not enough stock for ${
+              part.partName
+            }. Only ${reservations.availableFor(job, part)} available.`
+          );
+        }
+
+        // Decrease stock
+        reservations.consume(job, part, qty);
+        part.quantity -= qty;
+
+        // Log part usage in job card. The unit price is snapshotted the
+        // first time a part is logged on the job and kept for later logs.
+        const existingPartLog = job.partsUsed.find((p) => p.partId === partId);
+        if (existingPartLog) {
+          existingPartLog.quantity += qty;
+        } else {
+          job.partsUsed.push({
+            partId,
+            partName: part.partName,
+            quantity: qty,
+            unitPrice: part.unitPrice,
+          });
+        }
+
+        return job;
+      });
+
+      publishJobEvent("job.updated", id);
+      publishStockEvent([partId]);
+      res.json({ message: "Part logged successfully.", jobCard: job });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * Shared controller for correcting a part already logged on a job card.
+ * Sets the logged quantity to `newQuantity` (0 removes the line) and
+ * moves the difference back into or out of stock. Every change is kept
+ * in `job.partAdjustments`. Mechanics may only adjust their own jobs and
+ * only until the job is Dispatched; holders of jobs:adjust-parts may
+ * adjust any job.
+ */
+async function adjustLoggedPart(req, res) {
+  try {
+    const { id } = req.params;
+    const { partId } = req.body;
+    const newQuantity = parseInt(req.body.newQuantity, 10);
+    const reason = (req.body.reason || "").trim();
+    const canAdjustAnyJob = hasPermission(req.user, "jobs:adjust-parts");
+
+    if (!partId || isNaN(newQuantity) || newQuantity < 0) {
+      return res.status(400).json({
+        message: "Valid Part ID and a quantity of zero or more are required.",
+      });
+    }
+    if (!reason) {
+      return res
+        .status(400)
+        .json({ message: "A reason for the adjustment is required." });
+    }
+
+    const job = await db.transaction((tx) => {
+      const job = tx.jobCards.findById(id);
+
+      if (!job) {
+        throw new HttpError(404, "Job card not found.");
+      }
+      if (!canAdjustAnyJob && job.assignedMechanicId !== req.user.userId) {
+        throw new HttpError(403, "You are not assigned to this job.");
+      }
+      if (!canAdjustAnyJob && job.status === "Dispatched") {
+        throw new HttpError(
+          403,
+          "This job has been dispatched. Only an admin can adjust its parts."
+        );
+      }
+
+      const partLog = job.partsUsed.find((p) => p.partId === partId);
+      if (!partLog) {
+        throw new HttpError(404, "This part has not been logged on the job.");
+      }
+      const part = tx.parts.findById(partId);
+      if (!part) {
+        throw new HttpError(404, "Part not found in inventory.");
+      }
+
+      const previousQuantity = partLog.quantity;
+      const stockChange = previousQuantity - newQuantity; // + returns stock
+      if (stockChange === 0) {
+        throw new HttpError(400, "The logged quantity is unchanged.");
+      }
+      if (stockChange < 0 && part.retired) {
+        throw new HttpError(400, `${part.partName} has been retired.`);
+      }
+      if (reservations.availableFor(job, part) + stockChange < 0) {
+        throw new HttpError(
+          400,
+          `Not enough stock for ${
+            part.partName
+          }. Only ${reservations.availableFor(job, part)} available.`
+        );
+      }
+
+      if (stockChange < 0) {
+        reservations.consume(job, part, -stockChange);
+      }
+      part.quantity += stockChange;
+      if (newQuantity === 0) {
+        job.partsUsed = job.partsUsed.filter((p) => p.partId !== partId);
+      } else {
+        partLog.quantity = newQuantity;
+      }
+
+      job.partAdjustments.push({
+        id: randomUUID(),
+        partId,
+        partName: part.partName,
+        previousQuantity,
+        newQuantity,
+        stockChange,
+        reason,
+        adjustedBy: req.user.userId,
+        adjustedByName: req.user.fullName,
+        adjustedByRole: req.user.role,
+        date: new Date().toISOString(),
+      });
+
+      return job;
+    });
+
+    publishJobEvent("job.updated", id);
+    publishStockEvent([partId]);
+    res.json({ message: "Logged part adjusted.", jobCard: job });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * PUT /api/mechanic/jobs/:id/adjust-part (Mechanic-only)
+ * Mechanic corrects or returns a part logged on their job.
+ */
+app.put(
+  "/api/mechanic/jobs/:id/adjust-part",
+  authMiddleware,
+  checkRole(["mechanic"]),
+  adjustLoggedPart
+);
+
+/**
+ * Shared controller for reserving a part for a job card: { partId,
+ * quantity } sets how many the job holds, 0 releases them. Mechanics may
+ * only reserve for their own jobs; holders of jobs:assign for any job.
+ * Dispatched and cancelled jobs hold nothing.
+ */
+async function setJobReservation(req, res) {
+  try {
+    const { id } = req.params;
+    const { partId } = req.body;
+    const quantity = parseInt(req.body.quantity, 10);
+
+    if (!partId || isNaN(quantity) || quantity < 0) {
+      return res.status(400).json({
+        message: "Valid Part ID and a quantity of zero or more are required.",
+      });
+    }
+
+    const job = await db.transaction((tx) => {
+      const job = tx.jobCards.findById(id);
+
+      if (!job) {
+        throw new HttpError(404, "Job card not found.");
+      }
+      if (
+        !hasPermission(req.user, "jobs:assign") &&
+        job.assignedMechanicId !== req.user.userId
+      ) {
+        throw new HttpError(403, "You are not assigned to this job.");
+      }
+      if (jobStatus.CLOSED_STATUSES.includes(job.status)) {
+        throw new HttpError(
+          400,
+          `This job has already been ${job.status.toLowerCase()}.`
+        );
+      }
+
+      const part = tx.parts.findById(partId);
+      if (!part) {
+        throw new HttpError(404, "Part not found in inventory.");
+      }
+      const error = reservations.reserve(job, part, quantity);
+      if (error) {
+        throw new HttpError(400, error);
+      }
+      return job;
+    });
+
+    publishJobEvent("job.updated", id);
+    publishStockEvent([partId]);
+    res.json({
+      message: quantity > 0 ? "Part reserved." : "Reservation released.",
+      jobCard: job,
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * PUT /api/mechanic/jobs/:id/reservations (Mechanic-only)
+ * Mechanic reserves parts for their job, or releases them.
+ * Handled by setJobReservation.
+ */
+app.put(
+  "/api/mechanic/jobs/:id/reservations",
+  authMiddleware,
+  checkRole(["mechanic"]),
+  setJobReservation
+);
+
+/**
+ * POST /api/mechanic/jobs/:id/labour (Mechanic-only)
+ * Mechanic adds a labour charge to their job.
+ */
+app.post(
+  "/api/mechanic/jobs/:id/labour",
+  authMiddleware,
+  checkRole(["mechanic"]),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const description = (req.body.description || "").trim();
+      const amount = roundMoney(parseFloat(req.body.amount));
+
+      if (!description || isNaN(amount) || amount <= 0) {
+        return res.status(400).json({
+          message: "A description and a positive amount are required.",
+        });
+      }
+
+      const job = await db.transaction((tx) => {
+        const job = tx.jobCards.findById(id);
+
+        if (!job) {
+          throw new HttpError(404, "Job card not found.");
+        }
+        if (job.assignedMechanicId !== req.user.userId) {
+          throw new HttpError(403, "You are not assigned to this job.");
+        }
+        if (job.status === "Dispatched") {
+          throw new HttpError(400, "This job has already been dispatched.");
+        }
+
+        job.labourItems.push({
+          id: randomUUID(),
+          description,
+          amount,
+          addedBy: req.user.userId,
+          date: new Date().toISOString(),
+        });
+        return job;
+      });
+
+      publishJobEvent("job.updated", id);
+      res.status(201).json({ message: "Labour charge added.", jobCard: job });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/mechanic/jobs/:id/labour/:itemId (Mechanic-only)
+ * Mechanic removes a labour charge from their job.
+ */
+app.delete(
+  "/api/mechanic/jobs/:id/labour/:itemId",
+  authMiddleware,
+  checkRole(["mechanic"]),
+  async (req, res) => {
+    try {
+      const { id, itemId } = req.params;
+
+      const job = await db.transaction((tx) => {
+        const job = tx.jobCards.findById(id);
+
+        if (!job) {
+          throw new HttpError(404, "Job card not found.");
+        }
+        if (job.assignedMechanicId !== req.user.userId) {
+          throw new HttpError(403, "You are not assigned to this job.");
+        }
+        if (job.status === "Dispatched") {
+          throw new HttpError(400, "This job has already been dispatched.");
+        }
+        if (!job.labourItems.some((l) => l.id === itemId)) {
+          throw new HttpError(404, "Labour charge not found.");
+        }
+
+        job.labourItems = job.labourItems.filter((l) => l.id !== itemId);
+        return job;
+      });
+
+      publishJobEvent("job.updated", id);
+      res.json({ message: "Labour charge removed.", jobCard: job });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * POST /api/mechanic/jobs/:id/estimate (Mechanic-only)
+ * Mechanic submits an estimate of parts and labour for customer approval.
+ * Only possible while the job is Assigned. A new estimate withdraws any
+ * estimate still awaiting a decision; earlier ones are kept for the record.
+ * The estimate's parts replace whatever the job had reserved, as far as
+ * stock allows.
+ */
+app.post(
+  "/api/mechanic/jobs/:id/estimate",
+  authMiddleware,
+  checkRole(["mechanic"]),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const parts = Array.isArray(req.body.parts) ? req.body.parts : [];
+      const labour = Array.isArray(req.body.labour) ? req.body.labour : [];
+
+      if (parts.length === 0 && labour.length === 0) {
+        return res.status(400).json({
+          message: "An estimate needs at least one part or labour line.",
+        });
+      }
+      const labourLines = labour.map((l) => ({
+        description: String(l.description || "").trim(),
+        amount: roundMoney(parseFloat(l.amount)),
+      }));
+      if (labourLines.some((l) => !l.description || !(l.amount > 0))) {
+        return res.status(400).json({
+          message:
+            "Each labour line needs a description and a positive amount.",
+        });
+      }
+
+      const result = await db.transaction((tx) => {
+        const job = tx.jobCards.findById(id);
+
+        if (!job) {
+          throw new HttpError(404, "Job card not found.");
+        }
+        if (job.assignedMechanicId !== req.user.userId) {
+          throw new HttpError(403, "You are not assigned to this job.");
+        }
+        if (job.status !== "Assigned") {
+          throw new HttpError(
+            400,
+            "Estimates can only be submitted before work begins."
+          );
+        }
+
+        // Price the parts from current inventory prices
+        const partLines = parts.map((line) => {
+          const part = tx.parts.findById(line.partId);
+          const quantity = parseInt(line.quantity, 10);
+          if (!part || part.retired) {
+            throw new HttpError(404, "Part not found in inventory.");
+          }
+          if (!quantity || quantity <= 0) {
+            throw new HttpError(
+              400,
+              `A positive quantity is required for ${part.partName}.`
+            );
+          }
+          return {
+            partId: part.id,
+            partName: part.partName,
+            quantity,
+            unitPrice: part.unitPrice,
+          };
+        });
+
+        job.estimates.forEach((e) => {
+          if (e.status === "Pending Approval") e.status = "Withdrawn";
+        });
+        const totals = calculateTotals(partLines, labourLines, GST_RATE);
+        job.estimates.push({
+          id: randomUUID(),
+          parts: partLines,
+          labour: labourLines,
+          subtotal: totals.subtotal,
+          gstRate: totals.gstRate,
+          gst: totals.gst,
+          total: totals.total,
+          status: "Pending Approval",
+          submittedBy: req.user.userId,
+          submittedDate: new Date().toISOString(),
+        });
+        return {
+          job,
+          ...reservations.reserveForEstimate(tx, job, partLines),
+        };
+      });
+
+      publishJobEvent("job.updated", id);
+      publishStockEvent(result.partIds);
+      res.status(201).json({
+        message:
+          result.shortages.length > 0
+            ? `Estimate submitted. Not enough stock to reserve ${result.shortages.join(
+                ", "
+              )}.`
+            : "Estimate submitted.",
+        shortages: result.shortages,
+        jobCard: result.job,
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * PUT /api/mechanic/jobs/:id/status (Mechanic-only)
+ * Mechanic updates the status of their job (e.g., "In Progress", "Ready for Dispatch").
+ * Only the moves allowed by jobStatus.js are accepted.
+ */
+app.put(
+  "/api/mechanic/jobs/:id/status",
+  authMiddleware,
+  checkRole(["mechanic"]),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { status } = req.body;
+
+      if (!status || !jobStatus.JOB_STATUSES.includes(status)) {
+        return res.status(400).json({ message: "Invalid or missing status." });
+      }
+
+      const result = await db.transaction((tx) => {
+        const job = tx.jobCards.findById(id);
+
+        if (!job) {
+          throw new HttpError(404, "Job card not found.");
+        }
+        if (job.assignedMechanicId !== req.user.userId) {
+          throw new HttpError(403, "You are not assigned to this job.");
+        }
+        if (!jobStatus.canTransition(job.status, status, "mechanic")) {
+          throw new HttpError(
+            400,
+            `Cannot move a job from ${job.status} to ${status}.`
+          );
+        }
+        const blocker = jobStatus.transitionBlocker(job, status);
+        if (blocker) {
+          throw new HttpError(400, blocker);
+        }
+
+        jobStatus.applyStatusChange(job, status, req.user);
+        notifications.queueForStatus(tx, job);
+        // Parts still held when the car leaves weren't needed after all
+        const releasedPartIds =
+          status === "Dispatched" ? reservations.releaseAll(tx, job) : [];
+        return { job, releasedPartIds };
+      });
+
+      publishJobEvent("job.status-changed", id);
+      if (result.releasedPartIds.length > 0) {
+        publishStockEvent(result.releasedPartIds);
+      }
+      notifications.deliverPending();
+      res.json({ message: "Status updated.", jobCard: result.job });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+// --- 4. Customer Routes ---
+
+/**
+ * POST /api/customer/request-service (Customer-only)
+ * Customer picks one of their vehicles, a drop-off slot and describes the
+ * issue to create a new job card. An optional odometer reading updates
+ * the vehicle. The optional category (see GET /api/skills) is otherwise
+ * guessed from the issue; with auto-assign on, the job is assigned to a
+ * mechanic straight away.
+ */
+app.post(
+  "/api/customer/request-service",
+  authMiddleware,
+  checkRole(["customer"]),
+  async (req, res) => {
+    try {
+      const { vehicleId, issueDescription, appointmentSlot } = req.body;
+      if (!vehicleId || !issueDescription || !appointmentSlot) {
+        return res.status(400).json({
+          message: "Vehicle, drop-off slot and issue description are required.",
+        });
+      }
+      const { fields, error: fieldError } = validateVehicleFields({
+        odometer: req.body.odometer || undefined,
+      });
+      if (fieldError) {
+        return res.status(400).json({ message: fieldError });
+      }
+      const { category } = req.body;
+      const invalidCategory = categoryError(category);
+      if (invalidCategory) {
+        return res.status(400).json({ message: invalidCategory });
+      }
+
+      const { job: newJobCard, mechanic } = await db.transaction((tx) => {
+        const vehicle = tx.vehicles.findById(vehicleId);
+        if (!vehicle || vehicle.customerId !== req.user.userId) {
+          throw new HttpError(404, "Vehicle not found.");
+        }
+        if (fields.odometer > vehicle.odometer) {
+          vehicle.odometer = fields.odometer;
+        }
+        assertSlotAvailable(tx, appointmentSlot);
+
+        return openJobCard(
+          tx,
+          {
+            customerId: req.user.userId, // From the logged-in user's token
+            vehicle,
+            appointmentSlot,
+            issueDescription,
+            category,
+          },
+          req.user
+        );
+      });
+
+      publishJobEvent("job.created", newJobCard.id);
+      if (mechanic) {
+        publishJobEvent("job.assigned", newJobCard.id);
+      }
+      notifications.deliverPending();
+      res.status(201).json({
+        message: "Service request submitted successfully.",
+        jobCard: newJobCard,
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * PUT /api/customer/jobs/:id/estimate (Customer-only)
+ * Customer approves or rejects the estimate awaiting their decision.
+ * Body: { decision: "approve" | "reject", comment? }
+ * Rejecting releases the parts reserved for the job.
+ */
+app.put(
+  "/api/customer/jobs/:id/estimate",
+  authMiddleware,
+  checkRole(["customer"]),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { decision } = req.body;
+      const comment = (req.body.comment || "").trim();
+
+      if (!["approve", "reject"].includes(decision)) {
+        return res
+          .status(400)
+          .json({ message: 'Decision must be "approve" or "reject".' });
+      }
+
+      const { estimate, releasedPartIds } = await db.transaction((tx) => {
+        const job = tx.jobCards.findById(id);
+
+        if (!job || job.customerId !== req.user.userId) {
+          throw new HttpError(404, "Job card not found.");
+        }
+        if (job.status === "Cancelled") {
+          throw new HttpError(400, "This job has been cancelled.");
+        }
+        const estimate = job.estimates.find(
+          (e) => e.status === "Pending Approval"
+        );
+        if (!estimate) {
+          throw new HttpError(400, "There is no estimate awaiting approval.");
+        }
+
+        estimate.status = decision === "approve" ? "Approved" : "Rejected";
+        estimate.decidedDate = new Date().toISOString();
+        estimate.customerComment = comment;
+        return {
+          estimate,
+          releasedPartIds:
+            decision === "reject" ? reservations.releaseAll(tx, job) : [],
+        };
+      });
+
+      publishJobEvent("job.updated", id);
+      if (releasedPartIds.length > 0) {
+        publishStockEvent(releasedPartIds);
+      }
+      res.json({
+        message: `Estimate ${estimate.status.toLowerCase()}.`,
+        estimate,
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * A job card as its customer sees it. Who changed the status, internal
+ * notes, part corrections and reservations stay with the staff.
+ * @param {object} job - The job card.
+ * @param {object} user - The customer's token payload.
+ * @returns {object}
+ */
+function presentCustomerJob(job, user) {
+  return {
+    jobId: job.id,
+    vehicleId: job.vehicleId,
+    vehicle: job.vehicleNumberPlate,
+    issue: job.issueDescription,
+    status: job.status,
+    created: job.createdDate,
+    appointmentSlot: job.appointmentSlot,
+    statusHistory: job.statusHistory.map((h) => ({
+      fromStatus: h.fromStatus,
+      toStatus: h.toStatus,
+      date: h.date,
+    })),
+    estimates: job.estimates.map(({ submittedBy, ...e }) => e),
+    notes: presentNotes(job, user),
+    attachments: job.attachments.map(attachments.presentAttachment),
+  };
+}
+
+/**
+ * GET /api/customer/status (Customer-only)
+ * Customer views the status of all their job cards.
+ */
+app.get(
+  "/api/customer/status",
+  authMiddleware,
+  checkRole(["customer"]),
+  async (req, res) => {
+    try {
+      // Find all jobs belonging to the logged-in customer
+      const myJobs = db.read((tx) =>
+        tx.jobCards.filter((j) => j.customerId === req.user.userId)
+      );
+
+      if (myJobs.length === 0) {
+        return res.json([]); // Return empty array
+      }
+
+      // Return only the data a customer needs to see
+      res.json(myJobs.map((job) => presentCustomerJob(job, req.user)));
+    } catch (error) {
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/customer/jobs/:id (Customer-only)
+ * Customer views one of their job cards in full: everything in
+ * /api/customer/status plus the assigned mechanic's name, the parts
+ * fitted, the labour charged and when the car was dispatched.
+ */
+app.get(
+  "/api/customer/jobs/:id",
+  authMiddleware,
+  checkRole(["customer"]),
+  async (req, res) => {
+    try {
+      const detail = db.read((tx) => {
+        const job = tx.jobCards.findById(req.params.id);
+        if (!job || job.customerId !== req.user.userId) return null;
+        return {
+          ...presentCustomerJob(job, req.user),
+          mechanicName:
+            tx.users.findById(job.assignedMechanicId)?.fullName || null,
+          partsUsed: job.partsUsed.map((p) => ({
+            partName: p.partName,
+            quantity: p.quantity,
+            unitPrice: p.unitPrice,
+          })),
+          labour: job.labourItems.map((l) => ({
+            description: l.description,
+            amount: l.amount,
+          })),
+          dispatchedDate: job.dispatchedDate || null,
+        };
+      });
+
+      if (!detail) {
+        return res.status(404).json({ message: "Job card not found." });
+      }
+      res.json(detail);
+    } catch (error) {
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/customer/notification-preferences (Customer-only)
+ * Whether the customer receives SMS/email updates about their jobs.
+ */
+app.get(
+  "/api/customer/notification-preferences",
+  authMiddleware,
+  checkRole(["customer"]),
+  async (req, res) => {
+    try {
+      const user = db.read((tx) => tx.users.findById(req.user.userId));
+      if (!user) {
+        return res.status(404).json({ message: "User not found." });
+      }
+      res.json({ optOut: Boolean(user.notificationsOptOut) });
+    } catch (error) {
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+/**
+ * PUT /api/customer/notification-preferences (Customer-only)
+ * Customer opts out of (or back into) job notifications.
+ */
+app.put(
+  "/api/customer/notification-preferences",
+  authMiddleware,
+  checkRole(["customer"]),
+  async (req, res) => {
+    try {
+      const { optOut } = req.body;
+      if (typeof optOut !== "boolean") {
+        return res
+          .status(400)
+          .json({ message: "optOut must be true or false." });
+      }
+
+      await db.transaction((tx) => {
+        const user = tx.users.update(req.user.userId, {
+          notificationsOptOut: optOut,
+        });
+        if (!user) {
+          throw new HttpError(404, "User not found.");
+        }
+      });
+
+      res.json({
+        message: optOut
+          ? "You will no longer receive notifications."
+          : "Notifications turned on.",
+        optOut,
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+// --- 5. Inventory Routes ---
+
+/**
+ * Whether a part's available (unreserved) stock has fallen to or below
+ * its reorder threshold.
+ * @param {object} part - A part record.
+ * @returns {boolean}
+ */
+function isLowStock(part) {
+  return reservations.available(part) <= part.reorderLevel;
+}
+
+/**
+ * A part as sent to clients: with its available stock and low-stock flag.
+ * @param {object} part - A part record.
+ * @returns {object}
+ */
+function presentPart(part) {
+  return {
+    ...part,
+    available: reservations.available(part),
+    lowStock: isLowStock(part),
+  };
+}
+
+/**
+ * GET /api/inventory/parts (inventory:view)
+ * Gets a list of all active parts from inventory. With inventory:manage,
+ * ?includeRetired=true lists retired parts as well.
+ */
+app.get(
+  "/api/inventory/parts",
+  authMiddleware,
+  checkPermission("inventory:view"),
+  async (req, res) => {
+    try {
+      const includeRetired =
+        req.query.includeRetired === "true" &&
+        hasPermission(req.user, "inventory:manage");
+      const parts = db.read((tx) =>
+        tx.parts.filter((p) => includeRetired || !p.retired)
+      );
+      res.json(parts.map(presentPart));
+    } catch (error) {
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/inventory/parts/low-stock (inventory:restock)
+ * Gets active parts whose available stock is at or below their reorder
+ * level, lowest first.
+ */
+app.get(
+  "/api/inventory/parts/low-stock",
+  authMiddleware,
+  checkPermission("inventory:restock"),
+  async (req, res) => {
+    try {
+      const parts = db.read((tx) =>
+        tx.parts.filter((p) => !p.retired && isLowStock(p)).map(presentPart)
+      );
+      parts.sort((a, b) => a.available - b.available);
+      res.json(parts);
+    } catch (error) {
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/inventory/parts (inventory:manage)
+ * Admin adds a new part to inventory.
+ */
+app.post(
+  "/api/inventory/parts",
+  authMiddleware,
+  checkPermission("inventory:manage"),
+  async (req, res) => {
+    try {
+      const partName = (req.body.partName || "").trim();
+      const quantity = parseInt(req.body.quantity ?? 0, 10);
+      const reorderLevel = parseInt(
+        req.body.reorderLevel ?? DEFAULT_REORDER_LEVEL,
+        10
+      );
+      const unitPrice = roundMoney(parseFloat(req.body.unitPrice ?? 0));
+
+      if (!partName) {
+        return res.status(400).json({ message: "Part name is required." });
+      }
+      if (isNaN(quantity) || quantity < 0) {
+        return res
+          .status(400)
+          .json({ message: "Quantity must be zero or more." });
+      }
+      if (isNaN(reorderLevel) || reorderLevel < 0) {
+        return res
+          .status(400)
+          .json({ message: "Reorder level must be zero or more." });
+      }
+      if (isNaN(unitPrice) || unitPrice < 0) {
+        return res
+          .status(400)
+          .json({ message: "Unit price must be zero or more." });
+      }
+
+      const part = await db.transaction((tx) => {
+        const nameTaken = tx.parts.findOne(
+          (p) =>
+            !p.retired && p.partName.toLowerCase() === partName.toLowerCase()
+        );
+        if (nameTaken) {
+          throw new HttpError(409, `A part named ${partName} already exists.`);
+        }
+
+        const part = tx.parts.insert({
+          id: randomUUID(),
+          partName,
+          quantity,
+          reserved: 0,
+          reorderLevel,
+          unitPrice,
+          retired: false,
+        });
+        // Opening stock counts as the first restock entry
+        if (quantity > 0) {
+          tx.restocks.insert({
+            id: randomUUID(),
+            partId: part.id,
+            quantity,
+            addedBy: req.user.userId,
+            addedByName: req.user.fullName,
+            note: "Opening stock",
+            date: new Date().toISOString(),
+          });
+        }
+        return part;
+      });
+
+      publishStockEvent([part.id]);
+      res.status(201).json({ message: "Part added.", part });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * PUT /api/inventory/parts/:id (inventory:manage)
+ * Admin edits a part's name, reorder level or unit price.
+ * Price changes only affect parts logged from now on.
+ * Stock levels only change through restocks and logged usage.
+ */
+app.put(
+  "/api/inventory/parts/:id",
+  authMiddleware,
+  checkPermission("inventory:manage"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const changes = {};
+
+      if (req.body.partName !== undefined) {
+        changes.partName = String(req.body.partName).trim();
+        if (!changes.partName) {
+          return res.status(400).json({ message: "Part name is required." });
+        }
+      }
+      if (req.body.reorderLevel !== undefined) {
+        changes.reorderLevel = parseInt(req.body.reorderLevel, 10);
+        if (isNaN(changes.reorderLevel) || changes.reorderLevel < 0) {
+          return res
+            .status(400)
+            .json({ message: "Reorder level must be zero or more." });
+        }
+      }
+      if (req.body.unitPrice !== undefined) {
+        changes.unitPrice = roundMoney(parseFloat(req.body.unitPrice));
+        if (isNaN(changes.unitPrice) || changes.unitPrice < 0) {
+          return res
+            .status(400)
+            .json({ message: "Unit price must be zero or more." });
+        }
+      }
+
+      const part = await db.transaction((tx) => {
+        const part = tx.parts.findById(id);
+        if (!part) {
+          throw new HttpError(404, "Part not found in inventory.");
+        }
+        if (changes.partName) {
+          const nameTaken = tx.parts.findOne(
+            (p) =>
+              p.id !== id &&
+              !p.retired &&
+              p.partName.toLowerCase() === changes.partName.toLowerCase()
+          );
+          if (nameTaken) {
+            throw new HttpError(
+              409,
+              `A part named ${changes.partName} already exists.`
+            );
+          }
+        }
+        return tx.parts.update(id, changes);
+      });
+
+      publishStockEvent([id]);
+      res.json({ message: "Part updated.", part });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * POST /api/inventory/parts/:id/restock (inventory:restock)
+ * Admin adds stock to a part. Each restock is recorded with who added
+ * how many and when.
+ */
+app.post(
+  "/api/inventory/parts/:id/restock",
+  authMiddleware,
+  checkPermission("inventory:restock"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const qty = parseInt(req.body.quantity, 10);
+      const note = (req.body.note || "").trim();
+
+      if (!qty || qty <= 0) {
+        return res
+          .status(400)
+          .json({ message: "A positive restock quantity is required." });
+      }
+
+      const result = await db.transaction((tx) => {
+        const part = tx.parts.findById(id);
+        if (!part) {
+          throw new HttpError(404, "Part not found in inventory.");
+        }
+        if (part.retired) {
+          throw new HttpError(400, `${part.partName} has been retired.`);
+        }
+
+        part.quantity += qty;
+        const restock = tx.restocks.insert({
+          id: randomUUID(),
+          partId: part.id,
+          quantity: qty,
+          addedBy: req.user.userId,
+          addedByName: req.user.fullName,
+          note,
+          date: new Date().toISOString(),
+        });
+        return { part, restock };
+      });
+
+      publishStockEvent([id]);
+      res.json({ message: "Part restocked.", ...result });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * GET /api/inventory/restocks (inventory:restock)
+ * Gets restock entries, newest first. Filter to one part with ?partId=.
+ */
+app.get(
+  "/api/inventory/restocks",
+  authMiddleware,
+  checkPermission("inventory:restock"),
+  async (req, res) => {
+    try {
+      const { partId } = req.query;
+      const restocks = db.read((tx) =>
+        tx.restocks
+          .filter((r) => !partId || r.partId === partId)
+          .map((r) => ({
+            ...r,
+            partName: tx.parts.findById(r.partId)?.partName || "N/A",
+          }))
+      );
+      restocks.sort((a, b) => b.date.localeCompare(a.date));
+      res.json(restocks);
+    } catch (error) {
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+/**
+ * DELETE /api/inventory/parts/:id (inventory:manage)
+ * Admin retires a part. The record is kept so job cards that used it
+ * still resolve, but it can no longer be logged or restocked.
+ */
+app.delete(
+  "/api/inventory/parts/:id",
+  authMiddleware,
+  checkPermission("inventory:manage"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const part = await db.transaction((tx) => {
+        const part = tx.parts.findById(id);
+        if (!part) {
+          throw new HttpError(404, "Part not found in inventory.");
+        }
+        part.retired = true;
+        part.retiredDate = new Date().toISOString();
+        return part;
+      });
+
+      publishStockEvent([id]);
+      res.json({ message: "Part retired.", part });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+// --- 6. Job Card Routes ---
+
+/**
+ * GET /api/jobcards (Staff)
+ * Lists the job cards the caller may see, one page at a time: every job
+ * with jobs:view, otherwise a mechanic's assigned jobs. See jobQuery.js
+ * for the filter, search, sort and paging parameters.
+ */
+app.get(
+  "/api/jobcards",
+  authMiddleware,
+  checkRole(permissions.STAFF_ROLES),
+  async (req, res) => {
+    try {
+      const { options, error } = parseJobQuery(
+        req.query,
+        jobStatus.JOB_STATUSES
+      );
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const result = db.read((tx) => {
+        const visible = tx.jobCards.filter((j) => canViewJob(req.user, j));
+        const page = queryJobs(visible, options, jobStatus.JOB_STATUSES);
+        const usersById = indexUsers(tx);
+        return {
+          ...page,
+          jobs: page.jobs.map((job) => presentJob(job, req.user, usersById)),
+        };
+      });
+
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/jobcards/:id (Staff)
+ * One job card, in the same shape as the list above.
+ */
+app.get(
+  "/api/jobcards/:id",
+  authMiddleware,
+  checkRole(permissions.STAFF_ROLES),
+  async (req, res) => {
+    try {
+      const job = db.read((tx) => {
+        const job = tx.jobCards.findById(req.params.id);
+        if (!job || !canViewJob(req.user, job)) return null;
+        return presentJob(job, req.user, indexUsers(tx));
+      });
+      if (!job) {
+        return res.status(404).json({ message: "Job card not found." });
+      }
+      res.json(job);
+    } catch (error) {
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/jobcards (jobs:create)
+ * Opens a job card for a walk-in customer, who is found by mobile number:
+ * { mobile, fullName?, plate, make?, model?, year?, fuelType?, odometer?,
+ *   issueDescription, category? }.
+ * A customer seen for the first time gets an account without a password
+ * (an admin can set one later), which needs fullName. A vehicle not yet
+ * registered needs make, model, year and fuel type. Walk-ins have no
+ * drop-off slot; with auto-assign on, the job is assigned straight away.
+ */
+app.post(
+  "/api/jobcards",
+  authMiddleware,
+  checkPermission("jobs:create"),
+  async (req, res) => {
+    try {
+      const mobile = otp.normalizeMobile(req.body.mobile);
+      const fullName = String(req.body.fullName || "").trim();
+      const plate = normalizePlate(req.body.plate);
+      const issueDescription = String(req.body.issueDescription || "").trim();
+      const { category } = req.body;
+      if (!mobile || !plate || !issueDescription) {
+        return res.status(400).json({
+          message: "Mobile number, plate and issue description are required.",
+        });
+      }
+      if (!otp.isValidMobile(mobile)) {
+        return res
+          .status(400)
+          .json({ message: "Enter a valid 10-digit mobile number." });
+      }
+      if (!isValidPlate(plate)) {
+        return res.status(400).json({
+          message: `${req.body.plate} is not a valid Indian registration number.`,
+        });
+      }
+      const invalidCategory = categoryError(category);
+      if (invalidCategory) {
+        return res.status(400).json({ message: invalidCategory });
+      }
+
+      const result = await db.transaction((tx) => {
+        let customer = customerWithMobile(tx, mobile);
+        if (customer && !customer.active) {
+          throw new HttpError(409, "This customer's account is deactivated.");
+        }
+        if (!customer) {
+          if (!fullName) {
+            throw new HttpError(
+              400,
+              "No customer has this mobile number. Enter their full name."
+            );
+          }
+          const username = `walkin_${mobile}`;
+          if (tx.users.findOne((u) => u.username === username)) {
+            throw new HttpError(409, `Username ${username} already exists.`);
+          }
+          customer = tx.users.insert({
+            id: randomUUID(),
+            username,
+            password: null,
+            fullName,
+            mobile,
+            mobileVerified: false,
+            role: "customer",
+            active: true,
+            deactivatedDate: null,
+            failedLoginCount: 0,
+            lockedUntil: null,
+            notificationsOptOut: false,
+          });
+        }
+
+        let vehicle = tx.vehicles.findOne((v) => v.plate === plate);
+        if (vehicle && vehicle.customerId !== customer.id) {
+          throw new HttpError(
+            409,
+            `${formatPlate(plate)} is registered to another customer.`
+          );
+        }
+        if (vehicle) {
+          const { fields, error } = validateVehicleFields({
+            odometer: req.body.odometer || undefined,
+          });
+          if (error) {
+            throw new HttpError(400, error);
+          }
+          if (fields.odometer > vehicle.odometer) {
+            vehicle.odometer = fields.odometer;
+          }
+        } else {
+          const { make, model, year, fuelType } = req.body;
+          if (!make || !model || !year || !fuelType) {
+            throw new HttpError(
+              400,
+              "New vehicles need a make, model, year and fuel type."
+            );
+          }
+          const { fields, error } = validateVehicleFields({
+            make,
+            model,
+            year,
+            fuelType,
+            odometer: req.body.odometer ?? 0,
+          });
+          if (error) {
+            throw new HttpError(400, error);
+          }
+          vehicle = tx.vehicles.insert({
+            id: randomUUID(),
+            customerId: customer.id,
+            plate,
+            ...fields,
+            createdDate: new Date().toISOString(),
+          });
+        }
+
+        return openJobCard(
+          tx,
+          {
+            customerId: customer.id,
+            vehicle,
+            appointmentSlot: null,
+            issueDescription,
+            category,
+          },
+          req.user
+        );
+      });
+
+      publishJobEvent("job.created", result.job.id);
+      if (result.mechanic) {
+        publishJobEvent("job.assigned", result.job.id);
+      }
+      notifications.deliverPending();
+      res.status(201).json({
+        message: "Walk-in job created.",
+        jobCard: result.job,
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+// --- 7. Billing Routes ---
+
+/**
+ * GET /api/jobcards/:id/invoice (jobs:view, assigned Mechanic, owning Customer)
+ * Returns a printable HTML invoice once the job is Ready for Dispatch.
+ */
+app.get("/api/jobcards/:id/invoice", authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const data = db.read((tx) => {
+      const job = tx.jobCards.findById(id);
+      if (!job) return null;
+      return {
+        job,
+        customer: tx.users.findById(job.customerId),
+        mechanic: tx.users.findById(job.assignedMechanicId),
+      };
+    });
+
+    if (!data) {
+      return res.status(404).json({ message: "Job card not found." });
+    }
+    if (!canViewJob(req.user, data.job)) {
+      return res
+        .status(403)
+        .json({ message: "You do not have access to this job." });
+    }
+    if (!["Ready for Dispatch", "Dispatched"].includes(data.job.status)) {
+      return res.status(400).json({
+        message: "The invoice is available once the job is Ready for Dispatch.",
+      });
+    }
+
+    const invoice = calculateInvoice(data.job, GST_RATE);
+    res
+      .type("html")
+      .send(renderInvoiceHtml(invoice, data.job, data.customer, data.mechanic));
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// --- 8. Report Routes ---
+
+/**
+ * Shared controller for the admin reports. Parses ?from=/?to=, builds the
+ * report and sends it as JSON, or as a CSV download with ?format=csv.
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
+ * @param {string} name - Report name, used for the CSV file name.
+ * @param {function(object, object): object} build - Receives the read
+ *   repositories and the date range and returns the report.
+ */
+function sendReport(req, res, name, build) {
+  try {
+    const { range, error } = reports.parseDateRange(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const report = db.read((tx) => build(tx, range));
+
+    if (req.query.format === "csv") {
+      const date = new Date().toISOString().slice(0, 10);
+      res.attachment(`${name}-${date}.csv`);
+      return res.type("text/csv").send(reports.toCsv(report));
+    }
+    res.json({
+      report: name,
+      from: range.from,
+      to: range.to,
+      ...report,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+}
+
+/**
+ * GET /api/admin/reports/turnaround (reports:view)
+ * Request-to-dispatch time for jobs dispatched in the date range.
+ */
+app.get(
+  "/api/admin/reports/turnaround",
+  authMiddleware,
+  checkPermission("reports:view"),
+  async (req, res) => {
+    sendReport(req, res, "turnaround", reports.turnaround);
+  }
+);
+
+/**
+ * GET /api/admin/reports/mechanic-workload (reports:view)
+ * Jobs created in the date range, per mechanic and status.
+ */
+app.get(
+  "/api/admin/reports/mechanic-workload",
+  authMiddleware,
+  checkPermission("reports:view"),
+  async (req, res) => {
+    sendReport(req, res, "mechanic-workload", (tx, range) =>
+      reports.mechanicWorkload(tx, range, jobStatus.JOB_STATUSES)
+    );
+  }
+);
+
+/**
+ * GET /api/admin/reports/parts-consumption (reports:view)
+ * Parts used on jobs created in the date range.
+ */
+app.get(
+  "/api/admin/reports/parts-consumption",
+  authMiddleware,
+  checkPermission("reports:view"),
+  async (req, res) => {
+    sendReport(req, res, "parts-consumption", reports.partsConsumption);
+  }
+);
+
+/**
+ * GET /api/admin/reports/pending-backlog (reports:view)
+ * Pending jobs by age, for requests created in the date range.
+ */
+app.get(
+  "/api/admin/reports/pending-backlog",
+  authMiddleware,
+  checkPermission("reports:view"),
+  async (req, res) => {
+    sendReport(req, res, "pending-backlog", (tx, range) =>
+      reports.pendingBacklog(tx, range)
+    );
+  }
+);
+
+// --- 9. Vehicle Routes ---
+
+/**
+ * Adds the display-formatted plate to a vehicle record.
+ * @param {object} vehicle - A vehicle record.
+ */
+function presentVehicle(vehicle) {
+  return { ...vehicle, displayPlate: formatPlate(vehicle.plate) };
+}
+
+/**
+ * GET /api/customer/vehicles (Customer-only)
+ * Customer lists their registered vehicles.
+ */
+app.get(
+  "/api/customer/vehicles",
+  authMiddleware,
+  checkRole(["customer"]),
+  async (req, res) => {
+    try {
+      const vehicles = db.read((tx) =>
+        tx.vehicles.filter((v) => v.customerId === req.user.userId)
+      );
+      res.json(vehicles.map(presentVehicle));
+    } catch (error) {
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/customer/vehicles (Customer-only)
+ * Customer registers a vehicle. Plates are normalized and must be a
+ * valid Indian registration number not already registered.
+ */
+app.post(
+  "/api/customer/vehicles",
+  authMiddleware,
+  checkRole(["customer"]),
+  async (req, res) => {
+    try {
+      const plate = normalizePlate(req.body.plate);
+      const { make, model, year, fuelType } = req.body;
+      if (!plate || !make || !model || !year || !fuelType) {
+        return res.status(400).json({
+          message: "Plate, make, model, year and fuel type are required.",
+        });
+      }
+      if (!isValidPlate(plate)) {
+        return res.status(400).json({
+          message: `${req.body.plate} is not a valid Indian registration number.`,
+        });
+      }
+      const { fields, error: fieldError } = validateVehicleFields({
+        make,
+        model,
+        year,
+        fuelType,
+        odometer: req.body.odometer ?? 0,
+      });
+      if (fieldError) {
+        return res.status(400).json({ message: fieldError });
+      }
+
+      const vehicle = await db.transaction((tx) => {
+        if (tx.vehicles.findOne((v) => v.plate === plate)) {
+          throw new HttpError(
+            409,
+            `${formatPlate(plate)} is already registered.`
+          );
+        }
+        return tx.vehicles.insert({
+          id: randomUUID(),
+          customerId: req.user.userId,
+          plate,
+          ...fields,
+          createdDate: new Date().toISOString(),
+        });
+      });
+
+      res.status(201).json({
+        message: "Vehicle registered.",
+        vehicle: presentVehicle(vehicle),
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * PUT /api/customer/vehicles/:id (Customer-only)
+ * Customer updates a vehicle's details or odometer reading.
+ * The plate itself can't be changed; register a new vehicle instead.
+ */
+app.put(
+  "/api/customer/vehicles/:id",
+  authMiddleware,
+  checkRole(["customer"]),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { make, model, year, fuelType, odometer } = req.body;
+      const { fields, error: fieldError } = validateVehicleFields({
+        make,
+        model,
+        year,
+        fuelType,
+        odometer,
+      });
+      if (fieldError) {
+        return res.status(400).json({ message: fieldError });
+      }
+
+      const vehicle = await db.transaction((tx) => {
+        const vehicle = tx.vehicles.findById(id);
+        if (!vehicle || vehicle.customerId !== req.user.userId) {
+          throw new HttpError(404, "Vehicle not found.");
+        }
+        if (
+          fields.odometer !== undefined &&
+          fields.odometer < vehicle.odometer
+        ) {
+          throw new HttpError(400, "Odometer reading cannot go down.");
+        }
+        return tx.vehicles.update(id, fields);
+      });
+
+      res.json({
+        message: "Vehicle updated.",
+        vehicle: presentVehicle(vehicle),
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * GET /api/admin/vehicles (jobs:view)
+ * Admin lists all vehicles with their owners. Filter with ?plate=
+ * (any spacing or dashes; partial plates match).
+ */
+app.get(
+  "/api/admin/vehicles",
+  authMiddleware,
+  checkPermission("jobs:view"),
+  async (req, res) => {
+    try {
+      const plate = normalizePlate(req.query.plate);
+      const vehicles = db.read((tx) =>
+        tx.vehicles
+          .filter((v) => !plate || v.plate.includes(plate))
+          .map((v) => ({
+            ...presentVehicle(v),
+            ownerName: tx.users.findById(v.customerId)?.fullName || "N/A",
+          }))
+      );
+      res.json(vehicles);
+    } catch (error) {
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/vehicles/:id/history (jobs:view, Mechanic, owning Customer)
+ * Gets a vehicle and every job card raised for it, newest first.
+ * Mechanics can see the history of any vehicle they have a job on.
+ */
+app.get("/api/vehicles/:id/history", authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = db.read((tx) => {
+      const vehicle = tx.vehicles.findById(id);
+      if (!vehicle) return null;
+      const jobs = tx.jobCards.filter((j) => j.vehicleId === id);
+      const history = jobs
+        .map((job) => ({
+          jobId: job.id,
+          issue: job.issueDescription,
+          status: job.status,
+          odometer: job.odometerAtService ?? null,
+          mechanicName:
+            tx.users.findById(job.assignedMechanicId)?.fullName || "N/A",
+          partsUsed: job.partsUsed.map((p) => ({
+            partName: p.partName,
+            quantity: p.quantity,
+          })),
+          created: job.createdDate,
+          dispatched: job.dispatchedDate || null,
+        }))
+        .sort((a, b) => b.created.localeCompare(a.created));
+      const mechanicIds = jobs.map((j) => j.assignedMechanicId);
+      return { vehicle, history, mechanicIds };
+    });
+
+    if (!result) {
+      return res.status(404).json({ message: "Vehicle not found." });
+    }
+    const { vehicle, history, mechanicIds } = result;
+    const { role, userId } = req.user;
+    const allowed =
+      role === "customer"
+        ? vehicle.customerId === userId
+        : (role === "mechanic" && mechanicIds.includes(userId)) ||
+          hasPermission(req.user, "jobs:view");
+    if (!allowed) {
+      return res
+        .status(403)
+        .json({ message: "You do not have access to this vehicle." });
+    }
+
+    res.json({ vehicle: presentVehicle(vehicle), history });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// --- 10. Appointment Routes ---
+
+/**
+ * GET /api/appointments/slots?date=YYYY-MM-DD (Any logged-in user)
+ * The drop-off slots of a day and how many places are left in each.
+ */
+app.get("/api/appointments/slots", authMiddleware, async (req, res) => {
+  try {
+    const { date } = req.query;
+    if (!scheduling.isValidDate(date)) {
+      return res.status(400).json({ message: "Date must be YYYY-MM-DD." });
+    }
+
+    const slots = db.read((tx) => {
+      const settings = schedulingSettings(tx);
+      const mechanics = tx.users.filter(
+        (u) => u.role === "mechanic" && u.active
+      );
+      return scheduling
+        .daySlots(date, settings, mechanics, bookedJobs(tx))
+        .map(({ jobs, ...slot }) => ({
+          ...slot,
+          bookable:
+            slot.available > 0 && !scheduling.slotError(slot.slot, settings),
+        }));
+    });
+
+    res.json(slots);
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/appointments?date=YYYY-MM-DD&days=7 (jobs:view)
+ * Calendar of booked jobs per slot, for `days` days (1-14) from `date`.
+ */
+app.get(
+  "/api/admin/appointments",
+  authMiddleware,
+  checkPermission("jobs:view"),
+  async (req, res) => {
+    try {
+      const { date } = req.query;
+      const days = parseInt(req.query.days || "1", 10);
+      if (!scheduling.isValidDate(date)) {
+        return res.status(400).json({ message: "Date must be YYYY-MM-DD." });
+      }
+      if (isNaN(days) || days < 1 || days > 14) {
+        return res
+          .status(400)
+          .json({ message: "Days must be between 1 and 14." });
+      }
+
+      const calendar = db.read((tx) => {
+        const settings = schedulingSettings(tx);
+        const mechanics = tx.users.filter(
+          (u) => u.role === "mechanic" && u.active
+        );
+        const usersById = indexUsers(tx);
+        const jobs = bookedJobs(tx);
+
+        return Array.from({ length: days }, (_, i) => {
+          const day = scheduling.addDays(date, i);
+          const slots = scheduling
+            .daySlots(day, settings, mechanics, jobs)
+            .map((slot) => ({
+              ...slot,
+              jobs: slot.jobs.map((job) => ({
+                id: job.id,
+                vehicleNumberPlate: job.vehicleNumberPlate,
+                status: job.status,
+                customerName: usersById.get(job.customerId)?.fullName || "N/A",
+                mechanicName:
+                  usersById.get(job.assignedMechanicId)?.fullName || "N/A",
+              })),
+            }));
+          return { date: day, slots };
+        });
+      });
+
+      res.json(calendar);
+    } catch (error) {
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/jobcards/:id/appointment (jobs:assign)
+ * Admin moves a job's drop-off to another slot with room left.
+ */
+app.put(
+  "/api/admin/jobcards/:id/appointment",
+  authMiddleware,
+  checkPermission("jobs:assign"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { appointmentSlot } = req.body;
+      if (!appointmentSlot) {
+        return res.status(400).json({ message: "A new slot is required." });
+      }
+
+      const job = await db.transaction((tx) => {
+        const job = tx.jobCards.findById(id);
+        if (!job) {
+          throw new HttpError(404, "Job card not found.");
+        }
+        if (jobStatus.CLOSED_STATUSES.includes(job.status)) {
+          throw new HttpError(
+            400,
+            `This job has already been ${job.status.toLowerCase()}.`
+          );
+        }
+        if (job.appointmentSlot === appointmentSlot) {
+          return job;
+        }
+        assertSlotAvailable(tx, appointmentSlot, job.id);
+
+        job.appointmentSlot = appointmentSlot;
+        notifications.queue(tx, "appointment-rescheduled", job);
+        return job;
+      });
+
+      publishJobEvent("job.updated", id);
+      notifications.deliverPending();
+      res.json({ message: "Appointment rescheduled.", jobCard: job });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * GET /api/admin/settings/scheduling (settings:manage)
+ * Opening hours, slot length, working days and number of bays.
+ */
+app.get(
+  "/api/admin/settings/scheduling",
+  authMiddleware,
+  checkPermission("settings:manage"),
+  async (req, res) => {
+    try {
+      res.json(db.read((tx) => schedulingSettings(tx)));
+    } catch (error) {
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/settings/scheduling (settings:manage)
+ * Updates the scheduling settings. Existing bookings are kept even if
+ * their slot no longer exists.
+ */
+app.put(
+  "/api/admin/settings/scheduling",
+  authMiddleware,
+  checkPermission("settings:manage"),
+  async (req, res) => {
+    try {
+      const { fields, error } = scheduling.validateSchedulingSettings(req.body);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const settings = await db.transaction((tx) => {
+        const updated = { ...schedulingSettings(tx), ...fields };
+        const settingsError = scheduling.settingsError(updated);
+        if (settingsError) {
+          throw new HttpError(400, settingsError);
+        }
+        return (
+          tx.settings.update("scheduling", fields) ||
+          tx.settings.insert(updated)
+        );
+      });
+
+      res.json({ message: "Scheduling settings saved.", settings });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/users/:id/shift (users:manage)
+ * Sets the days and hours a mechanic works: { days: [0-6], start, end }.
+ */
+app.put(
+  "/api/admin/users/:id/shift",
+  authMiddleware,
+  checkPermission("users:manage"),
+  async (req, res) => {
+    try {
+      const { shift, error } = scheduling.validateShift(req.body);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      await db.transaction((tx) => {
+        const mechanic = tx.users.findOne(
+          (u) => u.id === req.params.id && u.role === "mechanic"
+        );
+        if (!mechanic) {
+          throw new HttpError(404, "Mechanic not found.");
+        }
+        mechanic.shift = shift;
+      });
+
+      res.json({ message: "Shift updated.", shift });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+// --- 11. Auto-Assignment Routes ---
+
+/**
+ * GET /api/skills (Any logged-in user)
+ * The service categories used for job categories and mechanic skills.
+ */
+app.get("/api/skills", authMiddleware, async (req, res) => {
+  res.json(assignment.CATEGORIES);
+});
+
+/**
+ * GET /api/admin/settings/auto-assign (settings:manage)
+ * Whether new requests are assigned to a mechanic automatically.
+ */
+app.get(
+  "/api/admin/settings/auto-assign",
+  authMiddleware,
+  checkPermission("settings:manage"),
+  async (req, res) => {
+    try {
+      res.json(db.read((tx) => autoAssignSettings(tx)));
+    } catch (error) {
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/settings/auto-assign (settings:manage)
+ * Turns auto-assignment on or off: { enabled }. Only affects requests
+ * made from now on.
+ */
+app.put(
+  "/api/admin/settings/auto-assign",
+  authMiddleware,
+  checkPermission("settings:manage"),
+  async (req, res) => {
+    try {
+      const { enabled } = req.body;
+      if (typeof enabled !== "boolean") {
+        return res
+          .status(400)
+          .json({ message: "enabled must be true or false." });
+      }
+
+      const settings = await db.transaction(
+        (tx) =>
+          tx.settings.update("autoAssign", { enabled }) ||
+          tx.settings.insert({ id: "autoAssign", enabled })
+      );
+
+      res.json({
+        message: `Auto-assignment ${enabled ? "enabled" : "disabled"}.`,
+        settings,
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/users/:id/skills (users:manage)
+ * Sets the service categories a mechanic is skilled in: { skills: [] }.
+ */
+app.put(
+  "/api/admin/users/:id/skills",
+  authMiddleware,
+  checkPermission("users:manage"),
+  async (req, res) => {
+    try {
+      const { skills } = req.body;
+      const error = assignment.skillsError(skills);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const unique = [...new Set(skills)];
+      await db.transaction((tx) => {
+        const mechanic = tx.users.findOne(
+          (u) => u.id === req.params.id && u.role === "mechanic"
+        );
+        if (!mechanic) {
+          throw new HttpError(404, "Mechanic not found.");
+        }
+        mechanic.skills = unique;
+      });
+
+      res.json({ message: "Skills updated.", skills: unique });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+// --- 12. Job Note Routes ---
+
+const NOTE_MAX_LENGTH = 2000;
+
+/**
+ * The notes of a job the user may see, oldest first. Customers only get
+ * customer-visible notes, without author IDs.
+ * @param {object} job - The job card.
+ * @param {object} user - The token payload (req.user).
+ * @returns {Array<object>}
+ */
+function presentNotes(job, user) {
+  if (user.role !== "customer") return job.notes;
+  return job.notes
+    .filter((n) => n.visibility === "customer")
+    .map(({ authorId, ...note }) => note);
+}
+
+/**
+ * Shared controller listing a job's notes. Holders of jobs:view may read
+ * any job's notes, mechanics those of jobs assigned to them and customers
+ * those of their own jobs.
+ */
+async function listJobNotes(req, res) {
+  try {
+    const notes = db.read((tx) => {
+      const job = tx.jobCards.findById(req.params.id);
+      assertJobAccess(req.user, job);
+      return presentNotes(job, req.user);
+    });
+    res.json(notes);
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Shared controller adding a note to a job: { text, visibility }.
+ * Staff choose "internal" (the default) or "customer"; customers' notes
+ * are always customer-visible. The customer is notified when staff post a
+ * note they can see.
+ */
+async function addJobNote(req, res) {
+  try {
+    const { id } = req.params;
+    const text = String(req.body.text || "").trim();
+    const isCustomer = req.user.role === "customer";
+    const visibility = isCustomer
+      ? "customer"
+      : req.body.visibility || "internal";
+
+    if (!text) {
+      return res.status(400).json({ message: "Note text is required." });
+    }
+    if (text.length > NOTE_MAX_LENGTH) {
+      return res.status(400).json({
+        message: `Notes can be at most ${NOTE_MAX_LENGTH} characters.`,
+      });
+    }
+    if (!["internal", "customer"].includes(visibility)) {
+      return res
+        .status(400)
+        .json({ message: 'Visibility must be "internal" or "customer".' });
+    }
+
+    const note = await db.transaction((tx) => {
+      const job = tx.jobCards.findById(id);
+      assertJobAccess(req.user, job);
+
+      const note = {
+        id: randomUUID(),
+        text,
+        visibility,
+        authorId: req.user.userId,
+        authorName: req.user.fullName,
+        authorRole: req.user.role,
+        createdDate: new Date().toISOString(),
+      };
+      job.notes.push(note);
+      if (!isCustomer && visibility === "customer") {
+        notifications.queue(tx, "note-added", job);
+      }
+      return note;
+    });
+
+    publishJobEvent("job.updated", id);
+    notifications.deliverPending();
+    res.status(201).json({ message: "Note added.", note });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * GET /api/admin/jobcards/:id/notes (jobs:view)
+ * POST /api/admin/jobcards/:id/notes (jobs:view)
+ * Every note on any job; staff may post internal or customer-visible notes.
+ */
+app.get(
+  "/api/admin/jobcards/:id/notes",
+  authMiddleware,
+  checkPermission("jobs:view"),
+  listJobNotes
+);
+app.post(
+  "/api/admin/jobcards/:id/notes",
+  authMiddleware,
+  checkPermission("jobs:view"),
+  addJobNote
+);
+
+/**
+ * GET /api/mechanic/jobs/:id/notes (Mechanic-only)
+ * POST /api/mechanic/jobs/:id/notes (Mechanic-only)
+ * Notes on a job assigned to the mechanic, e.g. findings or a question
+ * for the customer.
+ */
+app.get(
+  "/api/mechanic/jobs/:id/notes",
+  authMiddleware,
+  checkRole(["mechanic"]),
+  listJobNotes
+);
+app.post(
+  "/api/mechanic/jobs/:id/notes",
+  authMiddleware,
+  checkRole(["mechanic"]),
+  addJobNote
+);
+
+/**
+ * GET /api/customer/jobs/:id/notes (Customer-only)
+ * POST /api/customer/jobs/:id/notes (Customer-only)
+ * The customer-visible notes on one of the customer's jobs; customers
+ * can reply.
+ */
+app.get(
+  "/api/customer/jobs/:id/notes",
+  authMiddleware,
+  checkRole(["customer"]),
+  listJobNotes
+);
+app.post(
+  "/api/customer/jobs/:id/notes",
+  authMiddleware,
+  checkRole(["customer"]),
+  addJobNote
+);
+
+// --- 13. Attachment Routes ---
+
+const parseUpload = express.raw({
+  type: attachments.CONTENT_TYPES,
+  limit: attachments.MAX_BYTES,
+});
+
+/**
+ * Reads an upload's raw body, answering 413 rather than the default HTML
+ * error page when the file is too large.
+ */
+function receiveUpload(req, res, next) {
+  parseUpload(req, res, (error) => {
+    if (error && error.type === "entity.too.large") {
+      return res.status(413).json({
+        message: `Files can be at most ${
+          attachments.MAX_BYTES / (1024 * 1024)
+        } MB.`,
+      });
+    }
+    next(error);
+  });
+}
+
+/**
+ * POST /api/jobcards/:id/attachments?fileName= (Assigned Mechanic, owning Customer)
+ * Attaches a photo or document to a job. The body is the raw file, sent
+ * with its Content-Type (JPEG, PNG, WebP or PDF).
+ */
+app.post(
+  "/api/jobcards/:id/attachments",
+  authMiddleware,
+  checkRole(["mechanic", "customer"]),
+  receiveUpload,
+  async (req, res) => {
+    let storedName = null;
+    try {
+      const { id } = req.params;
+      const contentType = (req.get("Content-Type") || "").split(";")[0].trim();
+      const fileName = attachments.cleanFileName(req.query.fileName);
+      const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+      const uploadError = attachments.uploadError(data, contentType);
+      if (uploadError) {
+        return res.status(400).json({ message: uploadError });
+      }
+      // Check access before anything is written to disk
+      db.read((tx) => assertJobAccess(req.user, tx.jobCards.findById(id)));
+
+      storedName = await attachments.save(data, contentType);
+      const attachment = await db.transaction((tx) => {
+        const job = tx.jobCards.findById(id);
+        assertJobAccess(req.user, job);
+        if (job.attachments.length >= attachments.MAX_PER_JOB) {
+          throw new HttpError(
+            400,
+            `A job can have at most ${attachments.MAX_PER_JOB} attachments.`
+          );
+        }
+
+        const attachment = {
+          id: randomUUID(),
+          fileName,
+          contentType,
+          size: data.length,
+          storedName,
+          uploadedBy: req.user.userId,
+          uploadedByName: req.user.fullName,
+          uploadedByRole: req.user.role,
+          uploadedDate: new Date().toISOString(),
+        };
+        job.attachments.push(attachment);
+        return attachment;
+      });
+
+      publishJobEvent("job.updated", id);
+      res.status(201).json({
+        message: "File attached.",
+        attachment: attachments.presentAttachment(attachment),
+      });
+    } catch (error) {
+      if (storedName) {
+        attachments.remove(storedName).catch(() => {});
+      }
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * GET /api/jobcards/:id/attachments/:attachmentId (jobs:view, assigned Mechanic, owning Customer)
+ * Sends the attached file.
+ */
+app.get(
+  "/api/jobcards/:id/attachments/:attachmentId",
+  authMiddleware,
+  async (req, res) => {
+    try {
+      const attachment = db.read((tx) => {
+        const job = tx.jobCards.findById(req.params.id);
+        assertJobAccess(req.user, job);
+        return job.attachments.find((a) => a.id === req.params.attachmentId);
+      });
+      if (!attachment) {
+        return res.status(404).json({ message: "Attachment not found." });
+      }
+
+      res.set("X-Content-Type-Options", "nosniff");
+      res.type(attachment.contentType);
+      res.sendFile(attachments.filePath(attachment.storedName), (error) => {
+        if (error && !res.headersSent) {
+          res.status(404).json({ message: "Attachment file is missing." });
+        }
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/jobcards/:id/attachments/:attachmentId (jobs:remove-attachments, uploader)
+ * Removes an attachment. Without jobs:remove-attachments, users may only
+ * remove files they uploaded themselves.
+ */
+app.delete(
+  "/api/jobcards/:id/attachments/:attachmentId",
+  authMiddleware,
+  async (req, res) => {
+    try {
+      const { id, attachmentId } = req.params;
+      const canRemoveAny = hasPermission(req.user, "jobs:remove-attachments");
+
+      const removed = await db.transaction((tx) => {
+        const job = tx.jobCards.findById(id);
+        assertJobAccess(req.user, job);
+        const attachment = job.attachments.find((a) => a.id === attachmentId);
+        if (!attachment) {
+          throw new HttpError(404, "Attachment not found.");
+        }
+        if (!canRemoveAny && attachment.uploadedBy !== req.user.userId) {
+          throw new HttpError(
+            403,
+            "You can only remove files you uploaded yourself."
+          );
+        }
+
+        job.attachments = job.attachments.filter((a) => a.id !== attachmentId);
+        return attachment;
+      });
+
+      await attachments.remove(removed.storedName);
+      publishJobEvent("job.updated", id);
+      res.json({ message: "Attachment removed." });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+// --- 14. Live Update Routes ---
+
+/**
+ * GET /api/events (Any logged-in user)
+ * Opens a Server-Sent Events stream of job and stock changes scoped to the
+ * user. EventSource can't send headers, so the JWT may be passed as
+ * ?token= instead of in the Authorization header.
+ */
+app.get(
+  "/api/events",
+  (req, res, next) => {
+    if (!req.headers.authorization && req.query.token) {
+      req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    next();
+  },
+  authMiddleware,
+  (req, res) => {
+    events.subscribe(req, res);
+  }
+);
+
+// --- 15. Permission Routes ---
+
+/**
+ * GET /api/admin/settings/permissions (settings:manage)
+ * Every permission with its description, and the permissions each
+ * configurable role holds. Admins always hold them all.
+ */
+app.get(
+  "/api/admin/settings/permissions",
+  authMiddleware,
+  checkPermission("settings:manage"),
+  async (req, res) => {
+    try {
+      const roles = db.read((tx) =>
+        Object.fromEntries(
+          permissions.CONFIGURABLE_ROLES.map((role) => [
+            role,
+            rolePermissions(tx, role),
+          ])
+        )
+      );
+      res.json({ permissions: permissions.PERMISSIONS, roles });
+    } catch (error) {
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/settings/permissions (settings:manage)
+ * Changes what roles may do: { roles: { receptionist: [...], ... } }.
+ * Roles left out keep their permissions. Takes effect on the next request.
+ */
+app.put(
+  "/api/admin/settings/permissions",
+  authMiddleware,
+  checkPermission("settings:manage"),
+  async (req, res) => {
+    try {
+      const { roles } = req.body;
+      const error = permissions.rolePermissionsError(roles);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const settings = await db.transaction((tx) => {
+        const updated = Object.fromEntries(
+          permissions.CONFIGURABLE_ROLES.map((role) => [
+            role,
+            roles[role] ? [...new Set(roles[role])] : rolePermissions(tx, role),
+          ])
+        );
+        return (
+          tx.settings.update("permissions", { roles: updated }) ||
+          tx.settings.insert({ id: "permissions", roles: updated })
+        );
+      });
+
+      res.json({ message: "Permissions saved.", roles: settings.roles });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+// --- 16. Audit Log Routes ---
+
+/**
+ * GET /api/admin/audit-log (audit:view)
+ * Every recorded change, newest first. Optional filters: ?user= (username
+ * or user ID of whoever made the change), ?entity= (see audit.ENTITIES),
+ * ?entityId=, ?from= and ?to=, and ?limit= (default 100, at most 500).
+ */
+app.get(
+  "/api/admin/audit-log",
+  authMiddleware,
+  checkPermission("audit:view"),
+  async (req, res) => {
+    try {
+      const { user, entity, entityId } = req.query;
+      const limit = parseInt(req.query.limit || "100", 10);
+      if (entity && !audit.ENTITIES.includes(entity)) {
+        return res.status(400).json({
+          message: `Entity must be one of: ${audit.ENTITIES.join(", ")}.`,
+        });
+      }
+      if (isNaN(limit) || limit < 1 || limit > 500) {
+        return res
+          .status(400)
+          .json({ message: "Limit must be between 1 and 500." });
+      }
+      const { range, error } = reports.parseDateRange(req.query);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const entries = await audit.query((e) => {
+        const date = new Date(e.date);
+        return (
+          (!user || e.actorUsername === user || e.actorId === user) &&
+          (!entity || e.entity === entity) &&
+          (!entityId || e.entityId === entityId) &&
+          (!range.from || date >= range.from) &&
+          (!range.to || date <= range.to)
+        );
+      }, limit);
+
+      res.json(entries);
+    } catch (error) {
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
   }
-};
+);
+
+// --- 17. Purchasing Routes ---
 
 /**
- * Middleware generator to check for specific roles.
- * Use after authMiddleware.
- * @param {Array<string>} roles - Array of roles that are allowed (e.g., ['admin'])
+ * A purchase order as sent to clients: with its supplier's name and total.
+ * @param {object} tx - Repositories from a read or transaction.
+ * @param {object} order - The purchase order record.
+ * @returns {object}
  */
-const checkRole = (roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res
-        .status(403)
-        .json({
-          message: "Forbidden. You do not have the required permissions.",
-        });
-    }
-    next();
+function describeOrder(tx, order) {
+  return {
+    ...order,
+    supplierName: tx.suppliers.findById(order.supplierId)?.name || "N/A",
+    total: purchasing.orderTotal(order),
   };
-};
+}
 
-// --- API ROUTES & CONTROLLERS ---
+/**
+ * Drafts purchase orders for parts a transaction has just taken to or
+ * below their reorder level. Registered to run before every commit, so
+ * any change to stock, reservations or reorder levels is covered. Each
+ * supplier's suggestion goes on the automatic draft still open for that
+ * supplier, or starts a new one. Parts never ordered before have no
+ * supplier and stay in the suggestions list for staff to order.
+ * @param {object} before - The last committed database.
+ * @param {object} after - The transaction's draft.
+ * @param {object} touched - Collection name -> Set of record IDs.
+ * @param {object} tx - The transaction's repositories.
+ */
+function draftReorders(before, after, touched, tx) {
+  if (touched.parts.size === 0) return;
+  const wasLow = new Set(
+    before.parts
+      .filter((p) => touched.parts.has(p.id) && isLowStock(p))
+      .map((p) => p.id)
+  );
+  const crossed = after.parts.filter(
+    (p) =>
+      touched.parts.has(p.id) &&
+      !p.retired &&
+      isLowStock(p) &&
+      !wasLow.has(p.id)
+  );
+  if (crossed.length === 0) return;
 
-// --- 1. Auth Routes (Public) ---
+  purchasing
+    .suggestOrders(crossed, after.suppliers, after.purchaseOrders)
+    .filter((suggestion) => suggestion.supplierId)
+    .forEach((suggestion) => {
+      const open = tx.purchaseOrders.findOne(
+        (o) =>
+          o.autoDrafted &&
+          o.status === "Draft" &&
+          o.supplierId === suggestion.supplierId
+      );
+      if (open) {
+        purchasing.addToDraft(open, suggestion);
+        return;
+      }
+      const order = tx.purchaseOrders.insert({
+        id: randomUUID(),
+        number: purchasing.nextOrderNumber(after.purchaseOrders),
+        supplierId: suggestion.supplierId,
+        status: "Draft",
+        lines: [],
+        note: "Drafted automatically when stock fell to the reorder level.",
+        receipts: [],
+        autoDrafted: true,
+        createdBy: null,
+        createdByName: "Automatic reorder",
+        createdDate: new Date().toISOString(),
+        orderedDate: null,
+        expectedDate: null,
+        receivedDate: null,
+        cancelledDate: null,
+      });
+      purchasing.addToDraft(order, suggestion);
+    });
+}
 
 /**
- * POST /api/auth/login
- * Logs in any user (admin, mechanic, customer) and returns a JWT.
+ * Finds an active supplier for a new or edited order.
+ * @param {object} tx - The transaction's repositories.
+ * @param {string} supplierId - The supplier's ID.
+ * @returns {object} The supplier record.
  */
-app.post("/api/auth/login", async (req, res) => {
-  try {
-    const { username, password } = req.body;
-    if (!username || !password) {
-      return res
-        .status(400)
-        .json({ message: "Username and password are required." });
-    }
-
-    const db = await readDB();
-    const user = db.users.find((u) => u.username === username);
+function findOrderSupplier(tx, supplierId) {
+  const supplier = tx.suppliers.findById(supplierId);
+  if (!supplier) {
+    throw new HttpError(404, "Supplier not found.");
+  }
+  if (!supplier.active) {
+    throw new HttpError(400, `${supplier.name} is no longer active.`);
+  }
+  return supplier;
+}
 
-    if (!user) {
-      return res.status(401).json({ message: "Invalid credentials." });
+/**
+ * Turns validated lines into order lines, checking each part can still
+ * be ordered.
+ * @param {object} tx - The transaction's repositories.
+ * @param {Array<object>} lines - From purchasing.validateLines().
+ * @returns {Array<object>}
+ */
+function buildOrderLines(tx, lines) {
+  return lines.map((line) => {
+    const part = tx.parts.findById(line.partId);
+    if (!part) {
+      throw new HttpError(404, "Part not found in inventory.");
     }
-
-    // --- MODIFIED LOGIN ---
-    // Simple string comparison. NOT SECURE!
-    const isMatch = user.password === password;
-    // --- END MODIFICATION ---
-
-    if (!isMatch) {
-      return res.status(401).json({ message: "Invalid credentials." });
+    if (part.retired) {
+      throw new HttpError(400, `${part.partName} has been retired.`);
     }
+    return { ...line, partName: part.partName, received: 0 };
+  });
+}
 
-    // Create token
-    const token = jwt.sign(
-      {
-        userId: user.id,
-        username: user.username,
-        role: user.role,
-        fullName: user.fullName,
-      },
-      JWT_SECRET,
-      { expiresIn: "8h" }
+/**
+ * Finds a purchase order, checking it is in one of the given statuses.
+ * @param {object} tx - The transaction's repositories.
+ * @param {string} id - The order's ID.
+ * @param {Array<string>} statuses - Statuses the action is allowed in.
+ * @param {string} action - What is being attempted, for the error.
+ * @returns {object} The order record.
+ */
+function findOrderFor(tx, id, statuses, action) {
+  const order = tx.purchaseOrders.findById(id);
+  if (!order) {
+    throw new HttpError(404, "Purchase order not found.");
+  }
+  if (!statuses.includes(order.status)) {
+    throw new HttpError(
+      400,
+      `Cannot ${action} ${order.number}: it is ${order.status}.`
     );
-
-    res.json({
-      message: "Login successful!",
-      token: token,
-      user: {
-        id: user.id,
-        username: user.username,
-        role: user.role,
-        fullName: user.fullName,
-      },
-    });
-  } catch (error) {
-    res.status(500).json({ message: "Server error", error: error.message });
   }
-});
-
-// --- 2. Admin Routes ---
+  return order;
+}
 
 /**
- * POST /api/auth/register (Admin-only)
- * Admin registers a new user (mechanic or customer).
+ * GET /api/inventory/suppliers (inventory:purchase)
+ * Gets active suppliers by name. ?includeInactive=true lists the
+ * deactivated ones as well.
  */
-app.post(
-  "/api/auth/register",
+app.get(
+  "/api/inventory/suppliers",
   authMiddleware,
-  checkRole(["admin"]),
+  checkPermission("inventory:purchase"),
   async (req, res) => {
     try {
-      const { username, password, fullName, mobile, role } = req.body;
-      if (!username || !password || !fullName || !role || !mobile) {
-        return res.status(400).json({ message: "Missing required fields." });
-      }
-      if (role === "admin") {
-        return res.status(403).json({ message: "Cannot register new admins." });
-      }
-
-      const db = await readDB();
-      const userExists = db.users.find((u) => u.username === username);
-      if (userExists) {
-        return res.status(409).json({ message: "Username already exists." });
-      }
-
-      // --- MODIFIED REGISTRATION ---
-      // No hashing. Storing plain text password. NOT SECURE!
-      const newUser = {
-        id: randomUUID(),
-        username,
-        password: password, // <-- Storing plain text
-        fullName,
-        mobile,
-        role, // 'mechanic' or 'customer'
-      };
-      // --- END MODIFICATION ---
-
-      db.users.push(newUser);
-      await writeDB(db);
-
-      res
-        .status(201)
-        .json({ message: "User registered successfully.", userId: newUser.id });
+      const includeInactive = req.query.includeInactive === "true";
+      const suppliers = db.read((tx) =>
+        tx.suppliers.filter((s) => includeInactive || s.active)
+      );
+      suppliers.sort((a, b) => a.name.localeCompare(b.name));
+      res.json(suppliers);
     } catch (error) {
       res.status(500).json({ message: "Server error", error: error.message });
     }
@@ -200,101 +4384,134 @@ app.post(
 );
 
 /**
- * GET /api/admin/dashboard-data (Admin-only)
- * Gets all jobs, mechanics, and parts for the admin dashboard.
+ * POST /api/inventory/suppliers (inventory:purchase)
+ * Adds a supplier: { name, contactName, phone, email, leadTimeDays }.
+ * Lead time is in days and defaults to DEFAULT_LEAD_TIME_DAYS.
  */
-app.get(
-  "/api/admin/dashboard-data",
+app.post(
+  "/api/inventory/suppliers",
   authMiddleware,
-  checkRole(["admin"]),
+  checkPermission("inventory:purchase"),
   async (req, res) => {
     try {
-      const db = await readDB();
-
-      const mechanics = db.users
-        .filter((u) => u.role === "mechanic")
-        .map((m) => ({ id: m.id, fullName: m.fullName }));
-      const parts = db.parts;
+      const { fields, error } = purchasing.validateSupplierFields({
+        contactName: "",
+        phone: "",
+        email: "",
+        leadTimeDays: DEFAULT_LEAD_TIME_DAYS,
+        ...req.body,
+        name: req.body.name ?? "",
+      });
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
 
-      // Add mechanic and customer names to job cards for display
-      const jobCards = db.jobCards.map((job) => {
-        const customer = db.users.find((u) => u.id === job.customerId);
-        const mechanic = db.users.find((u) => u.id === job.assignedMechanicId);
-        return {
-          ...job,
-          customerName: customer ? customer.fullName : "N/A",
-          mechanicName: mechanic ? mechanic.fullName : "N/A",
-        };
+      const supplier = await db.transaction((tx) => {
+        const nameTaken = tx.suppliers.findOne(
+          (s) => s.name.toLowerCase() === fields.name.toLowerCase()
+        );
+        if (nameTaken) {
+          throw new HttpError(
+            409,
+            `A supplier named ${fields.name} already exists.`
+          );
+        }
+        return tx.suppliers.insert({
+          id: randomUUID(),
+          ...fields,
+          active: true,
+          createdDate: new Date().toISOString(),
+        });
       });
 
-      res.json({ jobCards, mechanics, parts });
+      res.status(201).json({ message: "Supplier added.", supplier });
     } catch (error) {
-      res.status(500).json({ message: "Server error", error: error.message });
+      sendError(res, error);
     }
   }
 );
 
 /**
- * PUT /api/admin/jobcards/:id/assign (Admin-only)
- * Admin assigns a mechanic to a job card.
+ * PUT /api/inventory/suppliers/:id (inventory:purchase)
+ * Edits a supplier's details, or deactivates ({ active: false }) or
+ * reactivates it. Inactive suppliers keep their orders but get no new
+ * ones.
  */
 app.put(
-  "/api/admin/jobcards/:id/assign",
+  "/api/inventory/suppliers/:id",
   authMiddleware,
-  checkRole(["admin"]),
+  checkPermission("inventory:purchase"),
   async (req, res) => {
     try {
       const { id } = req.params;
-      const { mechanicId } = req.body;
-
-      const db = await readDB();
-      const job = db.jobCards.find((j) => j.id === id);
-      if (!job) {
-        return res.status(404).json({ message: "Job card not found." });
+      const { fields, error } = purchasing.validateSupplierFields(req.body);
+      if (error) {
+        return res.status(400).json({ message: error });
       }
-
-      const mechanic = db.users.find(
-        (u) => u.id === mechanicId && u.role === "mechanic"
-      );
-      if (!mechanic) {
-        return res.status(404).json({ message: "Mechanic not found." });
+      if (req.body.active !== undefined) {
+        if (typeof req.body.active !== "boolean") {
+          return res
+            .status(400)
+            .json({ message: "Active must be true or false." });
+        }
+        fields.active = req.body.active;
       }
 
-      job.assignedMechanicId = mechanicId;
-      job.status = "Assigned";
-      await writeDB(db);
-
-      // Return the updated job with mechanic name
-      const updatedJob = {
-        ...job,
-        customerName:
-          db.users.find((u) => u.id === job.customerId)?.fullName || "N/A",
-        mechanicName: mechanic.fullName,
-      };
-      res.json({
-        message: "Mechanic assigned successfully.",
-        jobCard: updatedJob,
+      const supplier = await db.transaction((tx) => {
+        if (!tx.suppliers.findById(id)) {
+          throw new HttpError(404, "Supplier not found.");
+        }
+        if (fields.name) {
+          const nameTaken = tx.suppliers.findOne(
+            (s) =>
+              s.id !== id && s.name.toLowerCase() === fields.name.toLowerCase()
+          );
+          if (nameTaken) {
+            throw new HttpError(
+              409,
+              `A supplier named ${fields.name} already exists.`
+            );
+          }
+        }
+        return tx.suppliers.update(id, fields);
       });
+
+      res.json({ message: "Supplier updated.", supplier });
     } catch (error) {
-      res.status(500).json({ message: "Server error", error: error.message });
+      sendError(res, error);
     }
   }
 );
 
-// --- 3. Mechanic Routes ---
-
 /**
- * GET /api/inventory/parts (Mechanic/Admin)
- * Gets a list of all available parts from inventory.
+ * GET /api/inventory/purchase-orders (inventory:purchase)
+ * Gets purchase orders, newest first. Filter with ?status= and
+ * ?supplierId=.
  */
 app.get(
-  "/api/inventory/parts",
+  "/api/inventory/purchase-orders",
   authMiddleware,
-  checkRole(["mechanic", "admin"]),
+  checkPermission("inventory:purchase"),
   async (req, res) => {
     try {
-      const db = await readDB();
-      res.json(db.parts);
+      const { status, supplierId } = req.query;
+      if (status && !purchasing.PO_STATUSES.includes(status)) {
+        return res.status(400).json({
+          message: `Status must be one of: ${purchasing.PO_STATUSES.join(
+            ", "
+          )}.`,
+        });
+      }
+      const orders = db.read((tx) =>
+        tx.purchaseOrders
+          .filter(
+            (o) =>
+              (!status || o.status === status) &&
+              (!supplierId || o.supplierId === supplierId)
+          )
+          .map((o) => describeOrder(tx, o))
+      );
+      res.json(orders.reverse());
     } catch (error) {
       res.status(500).json({ message: "Server error", error: error.message });
     }
@@ -302,28 +4519,25 @@ app.get(
 );
 
 /**
- * GET /api/mechanic/jobs (Mechanic-only)
- * Mechanic views all job cards assigned to them.
+ * GET /api/inventory/purchase-orders/suggestions (inventory:purchase)
+ * Suggested orders for parts at or below their reorder level, one per
+ * supplier (see purchasing.suggestOrders). Post one back to
+ * /api/inventory/purchase-orders to turn it into a draft.
  */
 app.get(
-  "/api/mechanic/jobs",
+  "/api/inventory/purchase-orders/suggestions",
   authMiddleware,
-  checkRole(["mechanic"]),
+  checkPermission("inventory:purchase"),
   async (req, res) => {
     try {
-      const db = await readDB();
-      const myJobs = db.jobCards
-        .filter((j) => j.assignedMechanicId === req.user.userId)
-        .map((job) => {
-          // Add customer info to the job
-          const customer = db.users.find((u) => u.id === job.customerId);
-          return {
-            ...job,
-            customerName: customer ? customer.fullName : "N/A",
-            customerMobile: customer ? customer.mobile : "N/A",
-          };
-        });
-      res.json(myJobs);
+      const suggestions = db.read((tx) =>
+        purchasing.suggestOrders(
+          tx.parts.filter((p) => !p.retired && isLowStock(p)),
+          tx.suppliers.all(),
+          tx.purchaseOrders.all()
+        )
+      );
+      res.json(suggestions);
     } catch (error) {
       res.status(500).json({ message: "Server error", error: error.message });
     }
@@ -331,197 +4545,250 @@ app.get(
 );
 
 /**
- * PUT /api/mechanic/jobs/:id/log-part (Mechanic-only)
- * Mechanic logs a part used for a job. This decreases stock.
+ * GET /api/inventory/purchase-orders/:id (inventory:purchase)
+ * Gets one purchase order with its deliveries.
  */
-app.put(
-  "/api/mechanic/jobs/:id/log-part",
+app.get(
+  "/api/inventory/purchase-orders/:id",
   authMiddleware,
-  checkRole(["mechanic"]),
+  checkPermission("inventory:purchase"),
   async (req, res) => {
     try {
-      const { id } = req.params;
-      const { partId, quantityUsed } = req.body;
-      const qty = parseInt(quantityUsed, 10);
-
-      if (!partId || !qty || qty <= 0) {
-        return res
-          .status(400)
-          .json({
-            message: "Valid Part ID and positive quantity are required.",
-          });
-      }
-
-      const db = await readDB();
-      const job = db.jobCards.find((j) => j.id === id);
-
-      if (!job) {
-        return res.status(404).json({ message: "Job card not found." });
-      }
-      // Security check: Is this job assigned to me?
-      if (job.assignedMechanicId !== req.user.userId) {
-        return res
-          .status(403)
-          .json({ message: "You are not assigned to this job." });
+      const order = db.read((tx) => {
+        const order = tx.purchaseOrders.findById(req.params.id);
+        return order && describeOrder(tx, order);
+      });
+      if (!order) {
+        return res.status(404).json({ message: "Purchase order not found." });
       }
+      res.json(order);
+    } catch (error) {
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
 
-      const part = db.parts.find((p) => p.id === partId);
-      if (!part) {
-        return res
-          .status(404)
-          .json({ message: "Part not found in inventory." });
-      }
-      if (part.quantity < qty) {
-        return res
-          .status(400)
-          .json({
-            message: `Not enough stock for ${part.partName}. Only ${part.quantity} left.`,
-          });
+/**
+ * POST /api/inventory/purchase-orders (inventory:purchase)
+ * Drafts a purchase order: { supplierId, lines: [{ partId, quantity,
+ * unitCost }], note }. Nothing is sent to the supplier until it is placed.
+ */
+app.post(
+  "/api/inventory/purchase-orders",
+  authMiddleware,
+  checkPermission("inventory:purchase"),
+  async (req, res) => {
+    try {
+      const { lines, error } = purchasing.validateLines(req.body.lines);
+      if (error) {
+        return res.status(400).json({ message: error });
       }
 
-      // Decrease stock
-      part.quantity -= qty;
-
-      // Log part usage in job card
-      const existingPartLog = job.partsUsed.find((p) => p.partId === partId);
-      if (existingPartLog) {
-        existingPartLog.quantity += qty;
-      } else {
-        job.partsUsed.push({ partId, partName: part.partName, quantity: qty });
-      }
+      const order = await db.transaction((tx) => {
+        findOrderSupplier(tx, req.body.supplierId);
+        const order = tx.purchaseOrders.insert({
+          id: randomUUID(),
+          number: purchasing.nextOrderNumber(tx.purchaseOrders.all()),
+          supplierId: req.body.supplierId,
+          status: "Draft",
+          lines: buildOrderLines(tx, lines),
+          note: (req.body.note || "").trim(),
+          receipts: [],
+          createdBy: req.user.userId,
+          createdByName: req.user.fullName,
+          createdDate: new Date().toISOString(),
+          orderedDate: null,
+          expectedDate: null,
+          receivedDate: null,
+          cancelledDate: null,
+        });
+        return describeOrder(tx, order);
+      });
 
-      await writeDB(db);
-      res.json({ message: "Part logged successfully.", jobCard: job });
+      res.status(201).json({ message: `${order.number} drafted.`, order });
     } catch (error) {
-      res.status(500).json({ message: "Server error", error: error.message });
+      sendError(res, error);
     }
   }
 );
 
 /**
- * PUT /api/mechanic/jobs/:id/status (Mechanic-only)
- * Mechanic updates the status of their job (e.g., "In Progress", "Ready for Dispatch").
+ * PUT /api/inventory/purchase-orders/:id (inventory:purchase)
+ * Edits a draft order's supplier, lines or note. Lines replace the
+ * existing ones.
  */
 app.put(
-  "/api/mechanic/jobs/:id/status",
+  "/api/inventory/purchase-orders/:id",
   authMiddleware,
-  checkRole(["mechanic"]),
+  checkPermission("inventory:purchase"),
   async (req, res) => {
     try {
-      const { id } = req.params;
-      const { status } = req.body;
-      const validStatuses = ["In Progress", "Ready for Dispatch", "Dispatched"];
-
-      if (!status || !validStatuses.includes(status)) {
-        return res.status(400).json({ message: "Invalid or missing status." });
+      let lines;
+      if (req.body.lines !== undefined) {
+        const result = purchasing.validateLines(req.body.lines);
+        if (result.error) {
+          return res.status(400).json({ message: result.error });
+        }
+        lines = result.lines;
       }
 
-      const db = await readDB();
-      const job = db.jobCards.find((j) => j.id === id);
-
-      if (!job) {
-        return res.status(404).json({ message: "Job card not found." });
-      }
-      if (job.assignedMechanicId !== req.user.userId) {
-        return res
-          .status(403)
-          .json({ message: "You are not assigned to this job." });
-      }
-
-      job.status = status;
-      if (status === "Dispatched") {
-        job.dispatchedDate = new Date().toISOString();
-      }
+      const order = await db.transaction((tx) => {
+        const order = findOrderFor(tx, req.params.id, ["Draft"], "edit");
+        if (req.body.supplierId !== undefined) {
+          findOrderSupplier(tx, req.body.supplierId);
+          order.supplierId = req.body.supplierId;
+        }
+        if (lines) {
+          order.lines = buildOrderLines(tx, lines);
+        }
+        if (req.body.note !== undefined) {
+          order.note = String(req.body.note || "").trim();
+        }
+        return describeOrder(tx, order);
+      });
 
-      await writeDB(db);
-      res.json({ message: "Status updated.", jobCard: job });
+      res.json({ message: `${order.number} updated.`, order });
     } catch (error) {
-      res.status(500).json({ message: "Server error", error: error.message });
+      sendError(res, error);
     }
   }
 );
 
-// --- 4. Customer Routes ---
-
 /**
- * POST /api/customer/request-service (Customer-only)
- * Customer fills out a form to create a new job card.
+ * POST /api/inventory/purchase-orders/:id/place (inventory:purchase)
+ * Marks a draft as sent to the supplier. Its expected date follows from
+ * the supplier's lead time.
  */
 app.post(
-  "/api/customer/request-service",
+  "/api/inventory/purchase-orders/:id/place",
   authMiddleware,
-  checkRole(["customer"]),
+  checkPermission("inventory:purchase"),
   async (req, res) => {
     try {
-      const { vehicleNumberPlate, issueDescription } = req.body;
-      if (!vehicleNumberPlate || !issueDescription) {
-        return res
-          .status(400)
-          .json({
-            message: "Vehicle number plate and issue description are required.",
-          });
-      }
-
-      const db = await readDB();
+      const order = await db.transaction((tx) => {
+        const order = findOrderFor(tx, req.params.id, ["Draft"], "place");
+        const supplier = findOrderSupplier(tx, order.supplierId);
+        const now = new Date();
+        order.status = "Ordered";
+        order.orderedDate = now.toISOString();
+        order.expectedDate = purchasing.expectedDate(supplier, now);
+        return describeOrder(tx, order);
+      });
 
-      const newJobCard = {
-        id: randomUUID(),
-        customerId: req.user.userId, // From the logged-in user's token
-        vehicleNumberPlate,
-        issueDescription,
-        status: "Pending", // Initial status, needs admin assignment
-        assignedMechanicId: null,
-        partsUsed: [],
-        createdDate: new Date().toISOString(),
-      };
+      res.json({ message: `${order.number} placed.`, order });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
 
-      db.jobCards.push(newJobCard);
-      await writeDB(db);
+/**
+ * POST /api/inventory/purchase-orders/:id/receive (inventory:purchase)
+ * Records a delivery against a placed order and adds it to stock:
+ * { lines: [{ partId, quantity }], note }. Without lines, everything
+ * still outstanding is received. Each part's delivery is also logged as
+ * a restock.
+ */
+app.post(
+  "/api/inventory/purchase-orders/:id/receive",
+  authMiddleware,
+  checkPermission("inventory:purchase"),
+  async (req, res) => {
+    try {
+      const note = (req.body.note || "").trim();
+      const result = await db.transaction((tx) => {
+        const order = findOrderFor(
+          tx,
+          req.params.id,
+          purchasing.RECEIVABLE_STATUSES,
+          "receive"
+        );
+        const { received, error } = purchasing.planReceipt(
+          order,
+          req.body.lines
+        );
+        if (error) {
+          throw new HttpError(400, error);
+        }
 
-      res
-        .status(201)
-        .json({
-          message: "Service request submitted successfully.",
-          jobCard: newJobCard,
+        const date = new Date().toISOString();
+        received.forEach(({ partId, quantity }) => {
+          const part = tx.parts.findById(partId);
+          if (part.retired) {
+            throw new HttpError(
+              400,
+              `${part.partName} has been retired. Cancel the rest of ${order.number} instead.`
+            );
+          }
+          part.quantity += quantity;
+          order.lines.find((l) => l.partId === partId).received += quantity;
+          tx.restocks.insert({
+            id: randomUUID(),
+            partId,
+            quantity,
+            addedBy: req.user.userId,
+            addedByName: req.user.fullName,
+            note: `Received on ${order.number}`,
+            purchaseOrderId: order.id,
+            date,
+          });
+        });
+        order.receipts.push({
+          id: randomUUID(),
+          lines: received,
+          note,
+          receivedBy: req.user.userId,
+          receivedByName: req.user.fullName,
+          date,
         });
+        order.status = purchasing.receiptStatus(order);
+        if (order.status === "Received") {
+          order.receivedDate = date;
+        }
+        return {
+          order: describeOrder(tx, order),
+          partIds: received.map((r) => r.partId),
+        };
+      });
+
+      publishStockEvent(result.partIds);
+      res.json({
+        message: `Delivery for ${result.order.number} received.`,
+        order: result.order,
+      });
     } catch (error) {
-      res.status(500).json({ message: "Server error", error: error.message });
+      sendError(res, error);
     }
   }
 );
 
 /**
- * GET /api/customer/status (Customer-only)
- * Customer views the status of all their job cards.
+ * POST /api/inventory/purchase-orders/:id/cancel (inventory:purchase)
+ * Cancels an order that hasn't been fully received: { reason }. Stock
+ * already delivered against it stays.
  */
-app.get(
-  "/api/customer/status",
+app.post(
+  "/api/inventory/purchase-orders/:id/cancel",
   authMiddleware,
-  checkRole(["customer"]),
+  checkPermission("inventory:purchase"),
   async (req, res) => {
     try {
-      const db = await readDB();
-      // Find all jobs belonging to the logged-in customer
-      const myJobs = db.jobCards.filter(
-        (j) => j.customerId === req.user.userId
-      );
-
-      if (myJobs.length === 0) {
-        return res.json([]); // Return empty array
-      }
-
-      // Return only the data a customer needs to see
-      const jobStatuses = myJobs.map((job) => ({
-        jobId: job.id,
-        vehicle: job.vehicleNumberPlate,
-        issue: job.issueDescription,
-        status: job.status,
-        created: job.createdDate,
-      }));
+      const order = await db.transaction((tx) => {
+        const order = findOrderFor(
+          tx,
+          req.params.id,
+          purchasing.OPEN_STATUSES,
+          "cancel"
+        );
+        order.status = "Cancelled";
+        order.cancelledDate = new Date().toISOString();
+        order.cancelReason = (req.body.reason || "").trim();
+        return describeOrder(tx, order);
+      });
 
-      res.json(jobStatuses);
+      res.json({ message: `${order.number} cancelled.`, order });
     } catch (error) {
-      res.status(500).json({ message: "Server error", error: error.message });
+      sendError(res, error);
     }
   }
 );
@@ -539,6 +4806,19 @@ app.use((req, res, next) => {
   res.sendFile(path.join(__dirname, "public", "index.html"));
 });
 
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-});
+audit.init(audit.logPathFor(DB_PATH));
+db.beforeCommit(draftReorders); // Before the audit, which records its drafts
+db.beforeCommit(audit.recordChanges);
+db.afterCommit(audit.writeStaged);
+db.init(DB_PATH)
+  .then(() => attachments.init(ATTACHMENTS_DIR))
+  .then(() => {
+    notifications.startWorker();
+    app.listen(PORT, () => {
+      console.log(`Server running on http://localhost:${PORT}`);
+    });
+  })
+  .catch((error) => {
+    console.error("Failed to start server:", error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,163 @@
+/**
+ * Server-side login sessions and rotating refresh tokens.
+ *
+ * Logging in opens a session in the `sessions` collection. The client gets
+ * a short-lived access token (a JWT naming the session) and a refresh
+ * token of the form "<sessionId>.<secret>"; only a hash of the secret is
+ * stored. Every refresh replaces the secret, so each refresh token works
+ * once. Presenting an already-used token is treated as theft and ends
+ * the session, unless it happens within REUSE_GRACE_MS of the rotation
+ * (two browser tabs refreshing at the same moment).
+ *
+ * Access tokens are only accepted while their session is active, so
+ * revoking a session logs it out everywhere straight away.
+ */
+const { randomUUID, randomBytes, createHash } = require("crypto");
+
+const REFRESH_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Since the last refresh
+const REUSE_GRACE_MS = 30 * 1000;
+const KEEP_ENDED_MS = 30 * 24 * 60 * 60 * 1000; // Then ended ones are purged
+
+function hashSecret(secret) {
+  return createHash("sha256").update(secret).digest("hex");
+}
+
+/**
+ * Gives a session a new refresh secret.
+ * @param {object} session - The session record (mutated in place).
+ * @returns {string} The new refresh token.
+ */
+function issueRefreshToken(session) {
+  const secret = randomBytes(32).toString("base64url");
+  const now = Date.now();
+  session.previousTokenHash = session.refreshTokenHash || null;
+  session.refreshTokenHash = hashSecret(secret);
+  session.lastRefreshDate = new Date(now).toISOString();
+  session.expiresDate = new Date(now + REFRESH_TTL_MS).toISOString();
+  return `${session.id}.${secret}`;
+}
+
+/**
+ * Whether a session can still be used.
+ * @param {object|null} session
+ * @returns {boolean}
+ */
+function isActive(session) {
+  return Boolean(
+    session &&
+      !session.revokedDate &&
+      new Date(session.expiresDate) > new Date()
+  );
+}
+
+/**
+ * Removes sessions that ended more than KEEP_ENDED_MS ago.
+ * @param {object} tx - The transaction's repositories.
+ */
+function purgeEnded(tx) {
+  const cutoff = Date.now() - KEEP_ENDED_MS;
+  tx.sessions
+    .filter((s) => new Date(s.revokedDate || s.expiresDate).getTime() < cutoff)
+    .forEach((s) => tx.sessions.remove(s.id));
+}
+
+/**
+ * Opens a session for a user who just logged in. Call inside a
+ * transaction.
+ * @param {object} tx - The transaction's repositories.
+ * @param {string} userId - The user's ID.
+ * @param {object} client - { ip, userAgent } of the login request.
+ * @returns {{ session: object, refreshToken: string }}
+ */
+function create(tx, userId, client) {
+  purgeEnded(tx);
+  const session = {
+    id: randomUUID(),
+    userId,
+    ip: client.ip || null,
+    userAgent: client.userAgent || null,
+    createdDate: new Date().toISOString(),
+    revokedDate: null,
+  };
+  const refreshToken = issueRefreshToken(session);
+  tx.sessions.insert(session);
+  return { session, refreshToken };
+}
+
+/**
+ * Finds the session a refresh token belongs to.
+ * @param {object} tx - Repositories from a read or transaction.
+ * @param {string} refreshToken
+ * @returns {{ session: object|null, secret: string }}
+ */
+function findByToken(tx, refreshToken) {
+  const [sessionId, secret = ""] = String(refreshToken || "").split(".");
+  return { session: tx.sessions.findById(sessionId), secret };
+}
+
+/**
+ * Swaps a refresh token for a new one. Call inside a transaction.
+ * @param {object} tx - The transaction's repositories.
+ * @param {string} refreshToken - As presented by the client.
+ * @returns {{ session: object|null, refreshToken: string|null,
+ *   error: string|null }}
+ */
+function rotate(tx, refreshToken) {
+  const { session, secret } = findByToken(tx, refreshToken);
+  if (!isActive(session)) {
+    return { session: null, refreshToken: null, error: "Session has ended." };
+  }
+
+  const hash = hashSecret(secret);
+  if (hash === session.refreshTokenHash) {
+    return { session, refreshToken: issueRefreshToken(session), error: null };
+  }
+  if (hash === session.previousTokenHash) {
+    const sinceRotation = Date.now() - new Date(session.lastRefreshDate);
+    if (sinceRotation > REUSE_GRACE_MS) {
+      revoke(session, "Refresh token reused");
+    }
+    return {
+      session: null,
+      refreshToken: null,
+      error: "Refresh token was already used.",
+    };
+  }
+  return { session: null, refreshToken: null, error: "Invalid refresh token." };
+}
+
+/**
+ * Ends a session.
+ * @param {object} session - The session record (mutated in place).
+ * @param {string} reason - Why, for the record.
+ */
+function revoke(session, reason) {
+  if (session.revokedDate) return;
+  session.revokedDate = new Date().toISOString();
+  session.revokedReason = reason;
+}
+
+/**
+ * Ends every active session of a user. Call inside a transaction.
+ * @param {object} tx - The transaction's repositories.
+ * @param {string} userId - The user's ID.
+ * @param {string} reason - Why, for the record.
+ * @param {string} [exceptSessionId] - A session to keep (e.g. the caller's).
+ * @returns {Array<string>} IDs of the sessions ended.
+ */
+function revokeAllForUser(tx, userId, reason, exceptSessionId = null) {
+  const active = tx.sessions.filter(
+    (s) => s.userId === userId && s.id !== exceptSessionId && isActive(s)
+  );
+  active.forEach((s) => revoke(s, reason));
+  return active.map((s) => s.id);
+}
+
+module.exports = {
+  isActive,
+  create,
+  findByToken,
+  rotate,
+  revoke,
+  revokeAllForUser,
+};
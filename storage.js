@@ -0,0 +1,194 @@
+const fs = require("fs").promises;
+const { migrate } = require("./migrations");
+
+// Every top-level array in db.json that gets a repository.
+const COLLECTIONS = [
+  "users",
+  "parts",
+  "jobCards",
+  "restocks",
+  "vehicles",
+  "notifications",
+  "settings",
+  "signups",
+  "authEvents",
+  "sessions",
+  "suppliers",
+  "purchaseOrders",
+];
+
+let dbPath = null;
+let state = null; // Last committed copy of the database
+let queue = Promise.resolve(); // Serializes transactions
+const commitHooks = [];
+const afterCommitHooks = [];
+
+// --- REPOSITORY ---
+
+/**
+ * Creates a small repository API over one collection array.
+ * Records returned from a transaction's repositories may be mutated
+ * directly; the changes are saved when the transaction commits.
+ * @param {Array<object>} records - The collection array to operate on.
+ * @param {Set<string>} [touched] - Collects the IDs of every record
+ *   handed out, inserted or removed, i.e. every record that may change.
+ */
+function createRepository(records, touched = null) {
+  const touch = (found) => {
+    if (touched) found.forEach((r) => touched.add(r.id));
+    return found;
+  };
+  const touchOne = (record) => touch(record ? [record] : [])[0] || null;
+  return {
+    all: () => touch(records),
+    findById: (id) => touchOne(records.find((r) => r.id === id)),
+    findOne: (predicate) => touchOne(records.find(predicate)),
+    filter: (predicate) => touch(records.filter(predicate)),
+    insert(record) {
+      records.push(record);
+      return touchOne(record);
+    },
+    update(id, changes) {
+      const record = touchOne(records.find((r) => r.id === id));
+      if (!record) return null;
+      Object.assign(record, changes);
+      return record;
+    },
+    remove(id) {
+      const index = records.findIndex((r) => r.id === id);
+      if (index === -1) return null;
+      return touchOne(records.splice(index, 1)[0]);
+    },
+  };
+}
+
+/**
+ * Builds the object handed to read/transaction callbacks:
+ * one repository per collection (e.g. ctx.users, ctx.jobCards).
+ * @param {object} data - A database object.
+ * @param {object} [touched] - Filled with collection name -> Set of the
+ *   IDs of records that may change; see createRepository().
+ */
+function createContext(data, touched = null) {
+  const ctx = {};
+  COLLECTIONS.forEach((name) => {
+    if (touched) touched[name] = new Set();
+    ctx[name] = createRepository(data[name], touched && touched[name]);
+  });
+  return ctx;
+}
+
+// --- PERSISTENCE ---
+
+/**
+ * Atomically writes the database to disk.
+ * The data goes to a temp file first and is then renamed over db.json,
+ * so a crash mid-write never leaves a truncated file behind.
+ * @param {object} data - The complete database object to write.
+ * @returns {Promise<void>}
+ */
+async function persist(data) {
+  const tmpPath = `${dbPath}.${process.pid}.tmp`;
+  try {
+    const handle = await fs.open(tmpPath, "w");
+    try {
+      await handle.writeFile(JSON.stringify(data, null, 2), "utf-8");
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tmpPath, dbPath);
+  } catch (error) {
+    console.error("Error writing to database:", error);
+    await fs.unlink(tmpPath).catch(() => {});
+    throw new Error("Could not write to database.");
+  }
+}
+
+// --- PUBLIC API ---
+
+/**
+ * Loads db.json into memory and runs any pending schema migrations.
+ * Must be awaited before the server starts accepting requests.
+ * @param {string} filePath - Path to the JSON database file.
+ * @returns {Promise<void>}
+ */
+async function init(filePath) {
+  dbPath = filePath;
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(dbPath, "utf-8"));
+  } catch (error) {
+    console.error("Error reading database:", error);
+    throw new Error("Could not read from database.");
+  }
+
+  const migrated = await migrate(data);
+  COLLECTIONS.forEach((name) => {
+    data[name] = data[name] || [];
+  });
+  if (migrated) {
+    await persist(data);
+  }
+  state = data;
+}
+
+/**
+ * Runs a read-only query against the last committed state.
+ * Callers must not mutate the records they get back.
+ * @param {function(object): *} fn - Receives the repositories.
+ * @returns {*} Whatever `fn` returns.
+ */
+function read(fn) {
+  return fn(createContext(state));
+}
+
+/**
+ * Registers a function to run just before every transaction commits, in
+ * the order registered. It receives the last committed database, the
+ * transaction's draft, which records the transaction may have changed
+ * (collection name -> Set of IDs) and the transaction's repositories,
+ * through which it may add to the draft.
+ * @param {function(object, object, object, object): void} hook
+ */
+function beforeCommit(hook) {
+  commitHooks.push(hook);
+}
+
+/**
+ * Registers a function to run after every transaction has been saved,
+ * still in the transaction queue (e.g. writing an audit trail). It must
+ * not throw: the transaction has already committed.
+ * @param {function(): Promise<void>} hook
+ */
+function afterCommit(hook) {
+  afterCommitHooks.push(hook);
+}
+
+/**
+ * Runs `fn` against a private copy of the database and commits it.
+ * Transactions are queued and run one at a time, so two concurrent
+ * requests can never overwrite each other's changes. If `fn` throws,
+ * nothing is written and the error is passed on to the caller.
+ * @param {function(object): *} fn - Receives the repositories; may be async.
+ * @returns {Promise<*>} Whatever `fn` returns.
+ */
+function transaction(fn) {
+  const run = queue.then(async () => {
+    const draft = structuredClone(state);
+    const touched = {};
+    const ctx = createContext(draft, touched);
+    const result = await fn(ctx);
+    commitHooks.forEach((hook) => hook(state, draft, touched, ctx));
+    await persist(draft);
+    state = draft;
+    for (const hook of afterCommitHooks) {
+      await hook();
+    }
+    return result;
+  });
+  queue = run.catch(() => {});
+  return run;
+}
+
+module.exports = { init, read, transaction, beforeCommit, afterCommit };
@@ -0,0 +1,65 @@
+/**
+ * PUT /api/admin/users/:id and POST /api/auth/register, run against a
+ * server started on a copy of the seed database.
+ */
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers");
+
+let server;
+let token;
+
+const request = (method, url, body) => server.request(method, url, body, token);
+
+before(async () => {
+  server = await startServer();
+  token = await server.login("admin", "admin123");
+});
+
+after(() => server && server.stop());
+
+test("rejects an invalid mobile number", async () => {
+  const res = await request("PUT", "/api/admin/users/c1", { mobile: "12345" });
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(
+    res.body.message,
+    "Please enter a valid 10-digit mobile number."
+  );
+});
+
+test("rejects a mobile number another customer uses", async () => {
+  const res = await request("PUT", "/api/admin/users/c1", {
+    mobile: "9700000002",
+  });
+  assert.strictEqual(res.status, 409);
+});
+
+test("normalizes a valid mobile number", async () => {
+  const res = await request("PUT", "/api/admin/users/c1", {
+    mobile: "+91 98765 43210",
+  });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.user.mobile, "9876543210");
+});
+
+test("register rejects an invalid mobile number", async () => {
+  const res = await request("POST", "/api/auth/register", {
+    username: "new_customer",
+    password: "secret123",
+    fullName: "New Customer",
+    mobile: "98765",
+    role: "customer",
+  });
+  assert.strictEqual(res.status, 400);
+});
+
+test("register rejects a customer mobile number already in use", async () => {
+  const res = await request("POST", "/api/auth/register", {
+    username: "new_customer",
+    password: "secret123",
+    fullName: "New Customer",
+    mobile: "+91 97000 00002",
+    role: "customer",
+  });
+  assert.strictEqual(res.status, 409);
+});
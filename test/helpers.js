@@ -0,0 +1,80 @@
+/**
+ * Starts the server on a copy of the seed database for integration tests.
+ */
+const { spawn } = require("node:child_process");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const ROOT = path.join(__dirname, "..");
+
+/**
+ * Starts the server on a fresh copy of db.json in a temp folder and
+ * resolves once it is listening.
+ * @returns {Promise<{ request: Function, login: Function, stop: Function }>}
+ *   request(method, url, body, token) sends JSON and resolves to
+ *   { status, body }; login(username, password) resolves to a token;
+ *   stop() ends the server and removes the temp folder.
+ */
+function startServer() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "vehicle-service-"));
+  fs.copyFileSync(path.join(ROOT, "db.json"), path.join(tmpDir, "db.json"));
+  const port = 4100 + Math.floor(Math.random() * 1000);
+  const server = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DB_PATH: path.join(tmpDir, "db.json"),
+      ATTACHMENTS_DIR: path.join(tmpDir, "attachments"),
+      JWT_SECRET: process.env.JWT_SECRET || "test-secret",
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  async function request(method, url, body, token) {
+    const headers = { "Content-Type": "application/json" };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const res = await fetch(`http://localhost:${port}${url}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  async function login(username, password) {
+    const res = await request("POST", "/api/auth/login", {
+      username,
+      password,
+    });
+    if (res.status !== 200) {
+      throw new Error(`Could not log in as ${username}: ${res.body.message}`);
+    }
+    return res.body.token;
+  }
+
+  function stop() {
+    if (server.exitCode === null) server.kill();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      stop();
+      reject(new Error("Server did not start in time."));
+    }, 15000);
+    server.stdout.on("data", (chunk) => {
+      if (String(chunk).includes("Server running")) {
+        clearTimeout(timer);
+        resolve({ request, login, stop });
+      }
+    });
+    server.on("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}.`));
+    });
+  });
+}
+
+module.exports = { startServer };
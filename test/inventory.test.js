@@ -0,0 +1,83 @@
+/**
+ * Stock changes made at the same time, run against a server started on a
+ * copy of the seed database. Transactions are queued one at a time, so
+ * none of them may lose another's update or oversell a part.
+ */
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers");
+
+let server;
+let adminToken;
+let mechanicToken;
+
+/**
+ * The current stock of a part.
+ * @param {string} partId
+ * @returns {Promise<number>}
+ */
+async function stockOf(partId) {
+  const res = await server.request(
+    "GET",
+    "/api/inventory/parts",
+    undefined,
+    adminToken
+  );
+  return res.body.find((p) => p.id === partId).quantity;
+}
+
+/**
+ * Logs a part on job j3, which is In Progress with mech_deepak.
+ * @returns {Promise<{ status: number, body: object }>}
+ */
+function logPart(partId, quantityUsed) {
+  return server.request(
+    "PUT",
+    "/api/mechanic/jobs/j3/log-part",
+    { partId, quantityUsed },
+    mechanicToken
+  );
+}
+
+before(async () => {
+  server = await startServer();
+  adminToken = await server.login("admin", "admin123");
+  mechanicToken = await server.login("mech_deepak", "mechdeepak123");
+});
+
+after(() => server && server.stop());
+
+test("concurrent log-part and restock requests all count", async () => {
+  const start = await stockOf("p3");
+  const requests = [];
+  for (let i = 0; i < 10; i++) {
+    requests.push(logPart("p3", 2));
+    requests.push(
+      server.request(
+        "POST",
+        "/api/inventory/parts/p3/restock",
+        { quantity: 5 },
+        adminToken
+      )
+    );
+  }
+  const results = await Promise.all(requests);
+
+  results.forEach((res) => assert.ok(res.status < 300, res.body.message));
+  assert.strictEqual(await stockOf("p3"), start - 10 * 2 + 10 * 5);
+});
+
+test("concurrent log-part requests never oversell a part", async () => {
+  const start = await stockOf("p6");
+  const each = Math.floor(start / 3);
+  const results = await Promise.all(
+    Array.from({ length: 5 }, () => logPart("p6", each))
+  );
+
+  const succeeded = results.filter((res) => res.status === 200).length;
+  assert.strictEqual(succeeded, 3);
+  results
+    .filter((res) => res.status !== 200)
+    .forEach((res) => assert.strictEqual(res.status, 400));
+  assert.strictEqual(await stockOf("p6"), start - 3 * each);
+});
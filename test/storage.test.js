@@ -0,0 +1,146 @@
+/**
+ * The storage layer: schema migrations, the transaction queue and
+ * atomic writes, run against copies of db.json in a temp folder.
+ */
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const db = require("../storage");
+const audit = require("../audit");
+const { CURRENT_VERSION } = require("../migrations");
+
+const SEED_PATH = path.join(__dirname, "..", "db.json");
+
+let tmpDir;
+let dbPath;
+const log = console.log;
+
+/**
+ * Writes a database file and opens it.
+ * @param {object} data - The database object to start from.
+ */
+async function open(data) {
+  fs.writeFileSync(dbPath, JSON.stringify(data));
+  await db.init(dbPath);
+}
+
+const readFile = () => JSON.parse(fs.readFileSync(dbPath, "utf-8"));
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "vehicle-storage-"));
+  dbPath = path.join(tmpDir, "db.json");
+  audit.init(audit.logPathFor(dbPath));
+  console.log = () => {}; // Migrations log each step
+});
+
+afterEach(() => {
+  console.log = log;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test("migrates the original db.json to the current version", async () => {
+  const seed = JSON.parse(fs.readFileSync(SEED_PATH, "utf-8"));
+  assert.strictEqual(seed.meta, undefined);
+  await open(seed);
+
+  const data = readFile();
+  assert.strictEqual(data.meta.schemaVersion, CURRENT_VERSION);
+  data.users.forEach((u) => assert.match(u.password, /^\$2[aby]\$/));
+  data.parts.forEach((p) => {
+    assert.strictEqual(typeof p.reorderLevel, "number");
+    assert.strictEqual(p.reserved, 0);
+  });
+  data.jobCards.forEach((j) => {
+    assert.ok(Array.isArray(j.statusHistory));
+    assert.deepStrictEqual(j.reservedParts, []);
+  });
+  assert.ok(data.settings.some((s) => s.id === "permissions"));
+  assert.strictEqual(data.auditLog, undefined);
+});
+
+test("moves a v21 audit log out of db.json", async () => {
+  const seed = JSON.parse(fs.readFileSync(SEED_PATH, "utf-8"));
+  await open(seed);
+  const v21 = readFile();
+  v21.meta.schemaVersion = 21;
+  v21.auditLog = [
+    { id: "e1", entity: "parts", entityId: "p1", change: "update" },
+    { id: "e2", entity: "users", entityId: "c1", change: "update" },
+  ];
+  await open(v21);
+
+  assert.strictEqual(readFile().auditLog, undefined);
+  const entries = await audit.query(() => true, 10);
+  assert.deepStrictEqual(
+    entries.map((e) => e.id),
+    ["e2", "e1"]
+  );
+});
+
+test("queued transactions don't overwrite each other", async () => {
+  await open({ parts: [{ id: "p1", quantity: 100 }] });
+
+  await Promise.all(
+    Array.from({ length: 20 }, (_, i) =>
+      db.transaction(async (tx) => {
+        const part = tx.parts.findById("p1");
+        const quantity = part.quantity;
+        await new Promise((resolve) => setTimeout(resolve, 1));
+        part.quantity = quantity + (i % 2 === 0 ? 5 : -3);
+      })
+    )
+  );
+
+  const expected = 100 + 10 * 5 - 10 * 3;
+  assert.strictEqual(
+    db.read((tx) => tx.parts.findById("p1").quantity),
+    expected
+  );
+  assert.strictEqual(readFile().parts[0].quantity, expected);
+});
+
+test("a failed transaction changes nothing", async () => {
+  await open({ parts: [{ id: "p1", quantity: 10 }] });
+
+  await assert.rejects(
+    db.transaction((tx) => {
+      tx.parts.findById("p1").quantity = 0;
+      throw new Error("Out of stock");
+    }),
+    /Out of stock/
+  );
+
+  assert.strictEqual(
+    db.read((tx) => tx.parts.findById("p1").quantity),
+    10
+  );
+  assert.strictEqual(readFile().parts[0].quantity, 10);
+});
+
+test("writes go through a temp file that is renamed over db.json", async () => {
+  await open({ parts: [{ id: "p1", quantity: 10 }] });
+  const renames = [];
+  const rename = fs.promises.rename;
+  fs.promises.rename = async (from, to) => {
+    renames.push([from, to]);
+    assert.strictEqual(JSON.parse(fs.readFileSync(from)).parts[0].quantity, 9);
+    assert.strictEqual(readFile().parts[0].quantity, 10);
+    return rename(from, to);
+  };
+  try {
+    await db.transaction((tx) => {
+      tx.parts.findById("p1").quantity = 9;
+    });
+  } finally {
+    fs.promises.rename = rename;
+  }
+
+  assert.deepStrictEqual(renames, [[`${dbPath}.${process.pid}.tmp`, dbPath]]);
+  assert.strictEqual(readFile().parts[0].quantity, 9);
+  assert.deepStrictEqual(
+    fs.readdirSync(tmpDir).filter((f) => f.endsWith(".tmp")),
+    []
+  );
+});
@@ -0,0 +1,101 @@
+/**
+ * Indian vehicle registration plate helpers and vehicle field validation.
+ *
+ * Plates are stored normalized (upper case, no spaces or dashes), so
+ * "MH-12-AB-1234", "mh12ab1234" and "MH 12 AB 1234" are the same vehicle.
+ */
+
+// State code, RTO number, optional series letters, 4-digit number
+const STANDARD_PLATE = /^([A-Z]{2})(\d{1,2})([A-Z]{0,3})(\d{4})$/;
+// Bharat (BH) series: year, "BH", 4-digit number, series letters
+const BH_PLATE = /^(\d{2})(BH)(\d{4})([A-Z]{1,2})$/;
+
+const FUEL_TYPES = ["Petrol", "Diesel", "CNG", "LPG", "Electric", "Hybrid"];
+const MIN_YEAR = 1950;
+
+/**
+ * Strips spaces, dashes and dots and upper-cases a plate.
+ * @param {string} plate - The plate as typed.
+ * @returns {string}
+ */
+function normalizePlate(plate) {
+  return String(plate || "")
+    .toUpperCase()
+    .replace(/[\s.-]/g, "");
+}
+
+/**
+ * Whether a normalized plate is a valid Indian registration number.
+ * @param {string} plate - A normalized plate.
+ * @returns {boolean}
+ */
+function isValidPlate(plate) {
+  return STANDARD_PLATE.test(plate) || BH_PLATE.test(plate);
+}
+
+/**
+ * Formats a normalized plate for display, e.g. "MH12AB1234" -> "MH-12-AB-1234".
+ * Plates that don't match a known format are returned unchanged.
+ * @param {string} plate - A normalized plate.
+ * @returns {string}
+ */
+function formatPlate(plate) {
+  const match = STANDARD_PLATE.exec(plate) || BH_PLATE.exec(plate);
+  if (!match) return plate;
+  return match.slice(1).filter(Boolean).join("-");
+}
+
+/**
+ * Validates and cleans the descriptive fields of a vehicle.
+ * Only fields present in `input` are checked and returned, so this works
+ * for both creation and partial updates.
+ * @param {object} input - Raw request body.
+ * @returns {{ fields: object, error: string|null }}
+ */
+function validateVehicleFields(input) {
+  const fields = {};
+  const maxYear = new Date().getFullYear() + 1;
+
+  for (const key of ["make", "model"]) {
+    if (input[key] !== undefined) {
+      fields[key] = String(input[key]).trim();
+      if (!fields[key]) {
+        return { fields, error: `Vehicle ${key} is required.` };
+      }
+    }
+  }
+  if (input.year !== undefined) {
+    fields.year = parseInt(input.year, 10);
+    if (isNaN(fields.year) || fields.year < MIN_YEAR || fields.year > maxYear) {
+      return {
+        fields,
+        error: `Year must be between ${MIN_YEAR} and ${maxYear}.`,
+      };
+    }
+  }
+  if (input.fuelType !== undefined) {
+    fields.fuelType = input.fuelType;
+    if (!FUEL_TYPES.includes(fields.fuelType)) {
+      return {
+        fields,
+        error: `Fuel type must be one of: ${FUEL_TYPES.join(", ")}.`,
+      };
+    }
+  }
+  if (input.odometer !== undefined) {
+    fields.odometer = parseInt(input.odometer, 10);
+    if (isNaN(fields.odometer) || fields.odometer < 0) {
+      return { fields, error: "Odometer reading must be zero or more." };
+    }
+  }
+
+  return { fields, error: null };
+}
+
+module.exports = {
+  FUEL_TYPES,
+  normalizePlate,
+  isValidPlate,
+  formatPlate,
+  validateVehicleFields,
+};